@@ -3,6 +3,7 @@
 #include <fog_pars_fragment>
 
 varying vec2 vUv;
+varying vec3 vWorldPosition;
 uniform sampler2D tDepth;
 uniform sampler2D tDudv;
 uniform vec3 waterColor;
@@ -12,6 +13,22 @@ uniform float cameraFar;
 uniform float time;
 uniform float threshold;
 uniform vec2 resolution;
+uniform sampler2D shorelineMap;
+uniform vec4 shorelineBounds; // min x, min z, size x, size z
+uniform float shorelineRange;
+uniform float shorelineEnabled;
+uniform sampler2D rippleMap;
+uniform vec4 rippleBounds; // min x, min z, size x, size z
+uniform float rippleTexel; // size of a ripple texel in uv
+uniform float rippleEnabled;
+uniform vec3 underwaterColor;
+
+// The sun (the directional light in scene.js), for shading the ripples
+const vec3 lightDirection = vec3(-0.57735, 0.57735, -0.57735);
+
+// Seen from below, light only gets through the surface within about 48.6
+// degrees of straight up (Snell's window); this is the cosine of that angle
+const float snellWindowEdge = 0.66;
 
 float getDepth(const in vec2 screenPosition) {
   #if DEPTH_PACKING == 1
@@ -29,7 +46,56 @@ float getViewZ(const in float depth) {
   #endif
 }
 
+// Water depth above the island terrain (large out at sea)
+float getShoreDepth() {
+  vec2 shoreUV = (vWorldPosition.xz - shorelineBounds.xy) / shorelineBounds.zw;
+  if (shorelineEnabled < 0.5 || any(lessThan(shoreUV, vec2(0.0))) || any(greaterThan(shoreUV, vec2(1.0)))) {
+    return 1000.0;
+  }
+  float terrainHeight = (texture2D(shorelineMap, shoreUV).r * 2.0 - 1.0) * shorelineRange;
+  return vWorldPosition.y - terrainHeight;
+}
+
+// Ripple height here and its slope along x and z, fading out toward the edges
+// of the ripple field (calm outside it)
+vec3 getRipple() {
+  vec2 rippleUV = (vWorldPosition.xz - rippleBounds.xy) / rippleBounds.zw;
+  float edge = min(min(rippleUV.x, rippleUV.y), min(1.0 - rippleUV.x, 1.0 - rippleUV.y));
+  if (rippleEnabled < 0.5 || edge <= 0.0) {
+    return vec3(0.0);
+  }
+
+  float height = texture2D(rippleMap, rippleUV).r;
+  float slopeX = texture2D(rippleMap, rippleUV + vec2(rippleTexel, 0.0)).r - texture2D(rippleMap, rippleUV - vec2(rippleTexel, 0.0)).r;
+  float slopeZ = texture2D(rippleMap, rippleUV + vec2(0.0, rippleTexel)).r - texture2D(rippleMap, rippleUV - vec2(0.0, rippleTexel)).r;
+  float texelSize = rippleTexel * rippleBounds.z;
+  return vec3(height, slopeX, slopeZ) / vec3(1.0, 2.0 * texelSize, 2.0 * texelSize) * smoothstep(0.0, 0.1, edge);
+}
+
+// The underside of the surface: the sky shows through Snell's window
+// overhead, and outside it the surface mirrors the deep water below
+vec3 getUndersideColor() {
+  vec3 ripple = getRipple();
+  vec3 viewDirection = normalize(vWorldPosition - cameraPosition);
+
+  // Ripples and the dudv pattern wobble the edge of the window
+  vec2 wobble = (texture2D(tDudv, vUv * 10.0 - time * 0.05).rg * 2.0 - 1.0) * 0.03 - ripple.yz * 0.5;
+  float window = smoothstep(snellWindowEdge - 0.02, snellWindowEdge + 0.02, viewDirection.y + dot(wobble, viewDirection.xz));
+
+  vec3 skyColor = mix(waterColor * 1.5, foamColor, 0.4);
+  return mix(underwaterColor, skyColor, window);
+}
+
 void main() {
+  if (!gl_FrontFacing) {
+    gl_FragColor = vec4(getUndersideColor(), 1.0);
+
+    #include <tonemapping_fragment>
+    #include <encodings_fragment>
+    #include <fog_fragment>
+    return;
+  }
+
   vec2 screenUV = gl_FragCoord.xy / resolution;
 
   float fragmentLinearEyeDepth = getViewZ(gl_FragCoord.z);
@@ -48,6 +114,12 @@ void main() {
   displacement.x += waveAmount;
   displacement.y += waveAmount;
 
+  // Ripples and wakes tilt the surface, bending the foam pattern
+  float rippleDistortion = 2.0;
+  vec3 ripple = getRipple();
+  vec3 rippleNormal = normalize(vec3(-ripple.y, 1.0, -ripple.z));
+  displacement += rippleNormal.xz * rippleDistortion;
+
   diff += displacement.x;
 
   // Ghibli-style toon shading for water
@@ -60,8 +132,22 @@ void main() {
   // Mix between foam color and water color with toon-like transition
   vec3 toonWaterColor = mix(waterColor * 0.8, waterColor * 1.2, step(toonThreshold, toonBands));
   
+  // Ripple faces turned toward the sun are lit and the others shaded, in toon bands
+  float rippleLight = dot(rippleNormal, lightDirection) - lightDirection.y;
+  toonWaterColor *= 1.0 + clamp(floor(rippleLight * 8.0 + 0.5) / 4.0, -0.5, 0.5);
+  
   // Final color with foam
   gl_FragColor.rgb = mix(foamColor, toonWaterColor, step(threshold / (0.1 / thickness), diff));
+  
+  // Surf where the water gets shallow over the island terrain, broken up like the foam
+  float shoreFoamDepth = 0.35;
+  float shoreDepth = getShoreDepth() + displacement.x * 0.15;
+  gl_FragColor.rgb = mix(gl_FragColor.rgb, foamColor, step(shoreDepth, shoreFoamDepth));
+  
+  // Foam on the steep fronts of wakes and splash rings
+  float rippleFoamSlope = 0.12;
+  float rippleSlope = length(ripple.yz) + displacement.x * 0.02;
+  gl_FragColor.rgb = mix(gl_FragColor.rgb, foamColor, step(rippleFoamSlope, rippleSlope));
   gl_FragColor.a = 1.0;
 
   #include <tonemapping_fragment>
@@ -1,11 +1,35 @@
 #include <fog_pars_vertex>
 
+uniform float time;
+uniform vec2 waveFade; // Distances from the camera over which the waves flatten out
+
 varying vec2 vUv;
+varying vec3 vWorldPosition;
+
+// Gerstner waves shared with the physics (src/waves.js), so floating
+// bodies ride the same surface that is rendered
+#include <gerstner_waves>
 
 void main() {
-  vUv = uv;
+  vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+  
+  // World-anchored UVs (as if the plane were a fixed 10000-unit square at the
+  // origin) so foam doesn't slide when the patch follows the camera
+  vUv = vec2(worldPosition.x, -worldPosition.z) / 10000.0 + 0.5;
   
   #include <begin_vertex>
+  
+  // The waves move the water in world space; the transposed model matrix
+  // turns that back into the plane's local space (local z is world y)
+  vec3 tangent;
+  vec3 binormal;
+  vec3 wave = gerstnerWaves(worldPosition.xz, time, tangent, binormal);
+  
+  // Far out the cells are too big to follow the waves; flatten them there
+  wave *= 1.0 - smoothstep(waveFade.x, waveFade.y, distance(worldPosition.xz, cameraPosition.xz));
+  transformed += (vec4(wave, 0.0) * modelMatrix).xyz;
+  vWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+  
   #include <project_vertex>
   #include <fog_vertex>
-}
\ No newline at end of file
+}
@@ -0,0 +1,104 @@
+/**
+ * Headless replay harness: plays a replay file without a browser and checks
+ * that the world ends in the state it was recorded with.
+ *
+ * Usage:
+ *   node scripts/replay.js <replay.json>... [--update]
+ *
+ * Exits with 1 when a final world's checksum differs from the one stored in
+ * its replay, so a physics regression fails the run. --update stores the new
+ * checksums instead (after an intended change to the simulation). npm run
+ * replay plays the replays the tests check (test/fixtures/).
+ *
+ * Model props (glTF files) are not loaded here, so only replays recorded
+ * without props in the world can be played: the others are refused (see
+ * checkReplayWorld in src/replay.js).
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import * as THREE from 'three';
+import { validateLevel } from '../src/level.js';
+import { createSimulation } from '../src/simulation.js';
+import { checkReplay, runReplay } from '../src/replay.js';
+
+// Levels are served from public/, so a level URL is a path below it
+const PUBLIC_DIR = new URL('../public/', import.meta.url);
+
+/**
+ * Read and validate the level a replay was recorded on
+ * @param {string} levelUrl - The level URL stored in the replay
+ * @returns {Promise<Object>} The validated level
+ */
+async function readLevel(levelUrl) {
+  const level = JSON.parse(await readFile(new URL(`.${levelUrl}`, PUBLIC_DIR), 'utf8'));
+  
+  const errors = validateLevel(level);
+  if (errors.length > 0) {
+    throw new Error(`Level "${levelUrl}" has ${errors.length} error(s):\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  return level;
+}
+
+/**
+ * Play a replay file and compare (or update) its checksum
+ * @param {string} file - Path of the replay JSON
+ * @param {boolean} update - Store the new checksum instead of comparing
+ * @returns {Promise<boolean>} Whether the run passed
+ */
+async function main(file, update) {
+  const replay = checkReplay(JSON.parse(await readFile(file, 'utf8')));
+  const level = await readLevel(replay.level);
+  
+  const simulation = await createSimulation(level, { scene: new THREE.Scene() }, {
+    characterMode: replay.controller,
+    spawn: replay.spawn,
+    seed: replay.seed,
+    loadModels: false
+  });
+  
+  const checksum = runReplay(simulation, replay, new THREE.PerspectiveCamera());
+  
+  if (update) {
+    await writeFile(file, `${JSON.stringify({ ...replay, checksum })}\n`);
+    console.log(`${file}: ${replay.steps} steps, checksum updated to ${checksum}`);
+    return true;
+  }
+  
+  if (checksum !== replay.checksum) {
+    console.error(`${file}: checksum ${checksum} does not match the recording (${replay.checksum})`);
+    return false;
+  }
+  
+  console.log(`${file}: ${replay.steps} steps, checksum ${checksum} matches`);
+  return true;
+}
+
+/**
+ * Play every replay file in turn
+ * @param {Array<string>} files - Paths of the replay JSONs
+ * @param {boolean} update - Store the new checksums instead of comparing
+ * @returns {Promise<boolean>} Whether all of them passed
+ */
+async function playAll(files, update) {
+  let passed = true;
+  for (const file of files) {
+    passed = await main(file, update) && passed;
+  }
+  return passed;
+}
+
+const args = process.argv.slice(2);
+const files = args.filter((arg) => !arg.startsWith('--'));
+
+if (files.length === 0) {
+  console.error('Usage: node scripts/replay.js <replay.json>... [--update]');
+  process.exit(2);
+}
+
+playAll(files, args.includes('--update')).then((passed) => {
+  process.exit(passed ? 0 : 1);
+}, (error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,212 @@
+// Import necessary modules
+import * as THREE from 'three';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { CHARACTER_STATES } from './character.js';
+
+// Animation clip files (Mixamo "without skin" FBX exports), relative to ANIMATION_PATH
+const ANIMATION_PATH = '/assets/animations/';
+const ANIMATION_FILES = {
+  idle: 'idle.fbx',
+  walk: 'walk.fbx',
+  run: 'run.fbx',
+  jump: 'jump.fbx',
+  fall: 'fall.fbx',
+  treadWater: 'tread-water.fbx',
+  swim: 'swim.fbx'
+};
+
+// Clip to use while another one is missing (e.g. not exported yet)
+const ANIMATION_FALLBACKS = {
+  walk: 'idle',
+  run: 'walk',
+  jump: 'fall',
+  fall: 'idle',
+  treadWater: 'idle',
+  swim: 'treadWater'
+};
+
+// Animation constants
+const CROSSFADE_DURATION = 0.25; // Seconds to blend between clips
+const WALK_CLIP_SPEED = 1.6; // Ground speed (m/s) the walk clip was authored at
+const RUN_CLIP_SPEED = 4.5; // Ground speed (m/s) the run clip was authored at
+const SWIM_CLIP_SPEED = 1.5; // Swim speed (m/s) the swim clip was authored at
+const IDLE_SPEED_THRESHOLD = 0.2; // Below this horizontal speed the character is standing still
+const RUN_SPEED_THRESHOLD = 3.0; // Above this horizontal speed the character runs
+const SWIM_SPEED_THRESHOLD = 0.3; // Below this horizontal speed the character treads water
+const MIN_TIME_SCALE = 0.5; // Playback speed limits for speed-matched clips
+const MAX_TIME_SCALE = 2.0;
+const TURN_SPEED = 10.0; // How quickly the model turns toward its movement direction (1/s)
+
+/**
+ * Create the animation subsystem for a loaded character model.
+ * Clips embedded in the model are used when their name matches a state;
+ * the rest are loaded from separate FBX files.
+ * @param {THREE.Object3D} model - The loaded (skinned) character model
+ * @param {Array} embeddedClips - Animation clips that came with the model
+ * @param {Object} loadingManager - Optional Three.js loading manager
+ * @returns {Object} The character animator
+ */
+export function createCharacterAnimator(model, embeddedClips = [], loadingManager) {
+  const animator = {
+    mixer: new THREE.AnimationMixer(model),
+    actions: {},
+    currentName: null,
+    currentAction: null
+  };
+  
+  const loader = new FBXLoader(loadingManager);
+  
+  for (const [name, file] of Object.entries(ANIMATION_FILES)) {
+    // Prefer a clip that is already embedded in the model
+    const embedded = embeddedClips.find((clip) => clip.name.toLowerCase().includes(name.toLowerCase()));
+    if (embedded) {
+      addAnimationClip(animator, name, embedded);
+      continue;
+    }
+    
+    loader.load(
+      ANIMATION_PATH + file,
+      (fbx) => {
+        if (fbx.animations.length === 0) {
+          console.warn(`Animation file has no clips: ${file}`);
+          return;
+        }
+        addAnimationClip(animator, name, fbx.animations[0]);
+      },
+      undefined,
+      () => {
+        console.warn(`Could not load animation "${name}" (${file}), using fallback`);
+      }
+    );
+  }
+  
+  return animator;
+}
+
+/**
+ * Register a clip with the animator
+ * @param {Object} animator - The character animator
+ * @param {string} name - The animation name (key of ANIMATION_FILES)
+ * @param {THREE.AnimationClip} clip - The clip
+ */
+function addAnimationClip(animator, name, clip) {
+  // Strip root motion so the physics body alone moves the character
+  const inPlaceClip = clip.clone();
+  inPlaceClip.name = name;
+  inPlaceClip.tracks = inPlaceClip.tracks.filter((track) => !track.name.endsWith('Hips.position'));
+  
+  const action = animator.mixer.clipAction(inPlaceClip);
+  
+  // Jumps play once and hold their last frame
+  if (name === 'jump') {
+    action.setLoop(THREE.LoopOnce, 1);
+    action.clampWhenFinished = true;
+  }
+  
+  animator.actions[name] = action;
+}
+
+/**
+ * Resolve an animation name to a loaded action, following fallbacks
+ * @param {Object} animator - The character animator
+ * @param {string} name - The desired animation name
+ * @returns {Object|null} The name and action to play, or null if nothing is loaded
+ */
+function resolveAction(animator, name) {
+  let resolved = name;
+  while (resolved && !animator.actions[resolved]) {
+    resolved = ANIMATION_FALLBACKS[resolved];
+  }
+  return resolved ? { name: resolved, action: animator.actions[resolved] } : null;
+}
+
+/**
+ * Horizontal speed of the character relative to what carries it
+ * (standing still on a moving ferry plays idle)
+ * @param {Object} character - The character controller
+ * @returns {number} The speed in m/s
+ */
+function getRelativeHorizontalSpeed(character) {
+  return Math.hypot(
+    character.velocity.x - character.carryVelocity.x,
+    character.velocity.z - character.carryVelocity.z
+  );
+}
+
+/**
+ * Choose the animation and playback speed for the controller state
+ * @param {Object} character - The character controller
+ * @returns {Object} The animation name and time scale
+ */
+function selectAnimation(character) {
+  const horizontalSpeed = getRelativeHorizontalSpeed(character);
+  const speedScale = (clipSpeed) => THREE.MathUtils.clamp(horizontalSpeed / clipSpeed, MIN_TIME_SCALE, MAX_TIME_SCALE);
+  
+  switch (character.state) {
+    case CHARACTER_STATES.SWIM:
+      if (horizontalSpeed < SWIM_SPEED_THRESHOLD) {
+        return { name: 'treadWater', timeScale: 1 };
+      }
+      return { name: 'swim', timeScale: speedScale(SWIM_CLIP_SPEED) };
+    case CHARACTER_STATES.CLIMB:
+      return { name: 'jump', timeScale: 1 };
+    case CHARACTER_STATES.AIR:
+      return { name: character.velocity.y > 0 ? 'jump' : 'fall', timeScale: 1 };
+    default:
+      if (horizontalSpeed < IDLE_SPEED_THRESHOLD) {
+        return { name: 'idle', timeScale: 1 };
+      }
+      if (horizontalSpeed < RUN_SPEED_THRESHOLD) {
+        return { name: 'walk', timeScale: speedScale(WALK_CLIP_SPEED) };
+      }
+      return { name: 'run', timeScale: speedScale(RUN_CLIP_SPEED) };
+  }
+}
+
+/**
+ * Update the character animation: crossfade to the clip matching the
+ * controller state, match its speed to the movement, and turn the model
+ * toward the direction of travel
+ * @param {Object} character - The character controller
+ * @param {number} deltaTime - Time since the last frame in seconds
+ */
+export function updateCharacterAnimation(character, deltaTime) {
+  const animator = character.animator;
+  if (!animator) return;
+  
+  const { name, timeScale } = selectAnimation(character);
+  const target = resolveAction(animator, name);
+  
+  if (target && target.name !== animator.currentName) {
+    // Crossfade from the current clip to the new one
+    target.action.reset();
+    target.action.setEffectiveWeight(1);
+    target.action.play();
+    
+    if (animator.currentAction) {
+      animator.currentAction.crossFadeTo(target.action, CROSSFADE_DURATION, false);
+    }
+    
+    animator.currentName = target.name;
+    animator.currentAction = target.action;
+  }
+  
+  if (animator.currentAction) {
+    animator.currentAction.setEffectiveTimeScale(timeScale);
+  }
+  
+  animator.mixer.update(deltaTime);
+  
+  // Face the direction of travel
+  if (character.model && getRelativeHorizontalSpeed(character) > IDLE_SPEED_THRESHOLD) {
+    const targetYaw = Math.atan2(
+      character.velocity.x - character.carryVelocity.x,
+      character.velocity.z - character.carryVelocity.z
+    );
+    const currentYaw = character.model.rotation.y;
+    
+    // Turn the shortest way round
+    const difference = Math.atan2(Math.sin(targetYaw - currentYaw), Math.cos(targetYaw - currentYaw));
+    character.model.rotation.y = currentYaw + difference * (1 - Math.exp(-TURN_SPEED * deltaTime));
+  }
+}
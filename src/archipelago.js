@@ -0,0 +1,303 @@
+/**
+ * Terrain islands of a level: the islands it lists, and the seeded
+ * archipelago generator, which lays out more with Poisson-disk spacing and
+ * scatters trees and flowers over them by height and slope.
+ *
+ * Listed islands are shaped from noise or a heightmap image; trees and spawn
+ * points placed over them are moved onto their ground. A level with an
+ * "archipelago" section is then expanded into more terrain islands,
+ * trees, flowers and a spawn point before its world is built. Everything
+ * comes from the seeded random generator, so a level and seed always give
+ * the same world (?level=archipelago&seed=42 can be shared as a link).
+ */
+
+import * as THREE from 'three';
+import { createNoise2D } from './random.js';
+import { createIslandHeightfield, sampleHeightfield, getHeightfieldSlope, loadHeightmap } from './terrain.js';
+
+// Settings used when the level's archipelago section leaves them out
+export const ARCHIPELAGO_DEFAULTS = {
+  islandCount: 6,
+  area: 60, // Radius of the region the islands are placed in (m)
+  minRadius: 6, // Island radius range (m)
+  maxRadius: 14,
+  minHeight: 1.5, // Hill height range (m)
+  maxHeight: 4,
+  spacing: 6, // Open water between neighbouring islands (m)
+  treeDensity: 0.015, // Trees per square meter of island
+  flowerDensity: 0.06 // Flowers per square meter of island
+};
+
+// Poisson-disk placement: candidates tried per placed island before giving up on a new one
+const PLACEMENT_ATTEMPTS = 30;
+
+// Scattering rules
+const TREE_MIN_SPACING = 2.5; // Between tree trunks (m)
+const TREE_MAX_SLOPE = THREE.MathUtils.degToRad(25);
+const FLOWER_MAX_SLOPE = THREE.MathUtils.degToRad(20);
+const GRASS_MARGIN = 0.2; // How far above the beach plants start (m)
+const SCATTER_ATTEMPTS = 10; // Candidate points per wanted plant
+
+// Spawn height above the terrain (body center, dropped onto the ground)
+const SPAWN_HEIGHT = 2;
+
+/**
+ * Load the heightmap images of a level's islands
+ * @param {Object} level - The validated level
+ * @returns {Promise<Map<string, Object>>} The heightmaps by URL
+ */
+export async function loadIslandHeightmaps(level) {
+  const urls = new Set((level.islands || []).map((island) => island.heightmap).filter(Boolean));
+  const heightmaps = new Map();
+  
+  for (const url of urls) {
+    heightmaps.set(url, await loadHeightmap(url));
+  }
+  
+  return heightmaps;
+}
+
+/**
+ * Build the terrain of a level's own islands, with flowers on the ones with
+ * vegetation, and move the trees and spawn points over them onto the ground
+ * @param {Object} level - The validated level
+ * @param {Function} random - Seeded random number generator (see random.js)
+ * @param {Map<string, Object>} heightmaps - Heightmap images by URL (see loadIslandHeightmaps)
+ * @returns {Object} A copy of the level with terrainIslands and flowers filled in
+ */
+export function createLevelIslands(level, random, heightmaps = new Map()) {
+  const islands = level.islands || [];
+  if (islands.length === 0) return level;
+  
+  const noise = createNoise2D(random);
+  const heightfields = islands.map((island) => {
+    const heightmap = island.heightmap ? heightmaps.get(island.heightmap) : undefined;
+    return createIslandHeightfield({ ...island, heightmap }, noise);
+  });
+  
+  const flowers = [];
+  islands.forEach((island, index) => {
+    if (island.vegetation) {
+      const area = Math.PI * island.radius * island.radius;
+      scatterFlowers(heightfields[index], island, Math.round(area * ARCHIPELAGO_DEFAULTS.flowerDensity), random, flowers);
+    }
+  });
+  
+  // Trees stand on the terrain under them, spawn points are kept above it
+  const trees = (level.trees || []).map((tree) => {
+    const ground = getGroundHeight(heightfields, tree.position);
+    return ground === null ? tree : { ...tree, position: [tree.position[0], ground, tree.position[2]] };
+  });
+  const spawnPoints = (level.spawnPoints || []).map((spawn) => {
+    const ground = getGroundHeight(heightfields, spawn.position);
+    if (ground === null || spawn.position[1] >= ground + SPAWN_HEIGHT) return spawn;
+    return { ...spawn, position: [spawn.position[0], ground + SPAWN_HEIGHT, spawn.position[2]] };
+  });
+  
+  console.log(`Created ${islands.length} islands, ${flowers.length} flowers`);
+  
+  return {
+    ...level,
+    terrainIslands: [...(level.terrainIslands || []), ...heightfields],
+    trees,
+    flowers: [...(level.flowers || []), ...flowers],
+    spawnPoints
+  };
+}
+
+/**
+ * Expand a level's archipelago section into a level with terrain islands,
+ * trees, flowers and a spawn point on the largest island
+ * @param {Object} level - The validated level (with an archipelago section)
+ * @param {Function} random - Seeded random number generator (see random.js)
+ * @returns {Object} A copy of the level with terrainIslands, trees, flowers and spawnPoints filled in
+ */
+export function generateArchipelago(level, random) {
+  const settings = { ...ARCHIPELAGO_DEFAULTS, ...level.archipelago };
+  const noise = createNoise2D(random);
+  
+  const islands = placeIslands(settings, random);
+  const heightfields = islands.map((island) => createIslandHeightfield(island, noise));
+  
+  const trees = [];
+  const flowers = [];
+  heightfields.forEach((heightfield, index) => {
+    const area = Math.PI * islands[index].radius * islands[index].radius;
+    scatterTrees(heightfield, islands[index], Math.round(area * settings.treeDensity), random, trees);
+    scatterFlowers(heightfield, islands[index], Math.round(area * settings.flowerDensity), random, flowers);
+  });
+  
+  console.log(`Generated archipelago: ${islands.length} islands, ${trees.length} trees, ${flowers.length} flowers`);
+  
+  return {
+    ...level,
+    terrainIslands: [...(level.terrainIslands || []), ...heightfields],
+    trees: [...(level.trees || []), ...trees],
+    flowers: [...(level.flowers || []), ...flowers],
+    spawnPoints: [createSpawnPoint(heightfields[0], islands[0]), ...(level.spawnPoints || [])]
+  };
+}
+
+/**
+ * Place islands with Poisson-disk spacing: each new island is tried at
+ * random around an already placed one, and kept if it leaves at least
+ * `spacing` of open water to every other island
+ * @param {Object} settings - The archipelago settings
+ * @param {Function} random - Seeded random number generator
+ * @returns {Array<Object>} Island descriptions ({ position, radius, height }), largest first
+ */
+function placeIslands(settings, random) {
+  const range = (min, max) => min + random() * (max - min);
+  
+  // Largest first, so the big islands get the room they need
+  const radii = Array.from({ length: settings.islandCount }, () => range(settings.minRadius, settings.maxRadius));
+  radii.sort((a, b) => b - a);
+  
+  const islands = [{ position: [0, 0, 0], radius: radii[0], height: range(settings.minHeight, settings.maxHeight) }];
+  
+  const fits = (x, z, radius) => {
+    if (Math.hypot(x, z) + radius > settings.area) return false;
+    return islands.every((other) => {
+      return Math.hypot(x - other.position[0], z - other.position[2]) >= radius + other.radius + settings.spacing;
+    });
+  };
+  
+  for (const radius of radii.slice(1)) {
+    let placed = null;
+    
+    // Islands of different sizes need different room, so every placed island
+    // stays a candidate neighbour (there are only a handful)
+    for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS * islands.length && !placed; attempt++) {
+      const parent = islands[Math.floor(random() * islands.length)];
+      
+      // Between one and two spacings of open water from the parent
+      const angle = random() * Math.PI * 2;
+      const distance = parent.radius + radius + settings.spacing * (1 + random());
+      const x = parent.position[0] + Math.cos(angle) * distance;
+      const z = parent.position[2] + Math.sin(angle) * distance;
+      
+      if (fits(x, z, radius)) {
+        placed = { position: [x, 0, z], radius, height: range(settings.minHeight, settings.maxHeight) };
+      }
+    }
+    
+    if (placed) {
+      islands.push(placed);
+    }
+  }
+  
+  if (islands.length < settings.islandCount) {
+    console.warn(`Archipelago area is full: placed ${islands.length} of ${settings.islandCount} islands`);
+  }
+  
+  return islands;
+}
+
+/**
+ * Pick a random point on an island's grass (above the beach, gentle enough)
+ * @param {Object} heightfield - The island's heightfield
+ * @param {Object} island - The island description
+ * @param {number} maxSlope - Steepest allowed slope (radians)
+ * @param {Function} random - Seeded random number generator
+ * @returns {Array<number>|null} The point [x, y, z], or null if the candidate was rejected
+ */
+function pickGrassPoint(heightfield, island, maxSlope, random) {
+  // Uniform over the island's disk
+  const angle = random() * Math.PI * 2;
+  const distance = Math.sqrt(random()) * island.radius;
+  const x = island.position[0] + Math.cos(angle) * distance;
+  const z = island.position[2] + Math.sin(angle) * distance;
+  
+  const height = sampleHeightfield(heightfield, x, z);
+  if (height === null || height < heightfield.center.y + heightfield.beachHeight + GRASS_MARGIN) return null;
+  if (getHeightfieldSlope(heightfield, x, z) > maxSlope) return null;
+  
+  return [x, height, z];
+}
+
+/**
+ * Scatter trees over an island's grass, keeping their trunks apart
+ * @param {Object} heightfield - The island's heightfield
+ * @param {Object} island - The island description
+ * @param {number} count - Number of trees wanted
+ * @param {Function} random - Seeded random number generator
+ * @param {Array<Object>} trees - Level tree entries to append to
+ */
+function scatterTrees(heightfield, island, count, random, trees) {
+  const placed = [];
+  
+  for (let attempt = 0; attempt < count * SCATTER_ATTEMPTS && placed.length < count; attempt++) {
+    const point = pickGrassPoint(heightfield, island, TREE_MAX_SLOPE, random);
+    if (!point) continue;
+    
+    const crowded = placed.some((other) => Math.hypot(point[0] - other[0], point[2] - other[2]) < TREE_MIN_SPACING);
+    if (crowded) continue;
+    
+    placed.push(point);
+    trees.push({ position: point, height: 2 + random() * 1.5, radius: 0.3 + random() * 0.2 });
+  }
+}
+
+/**
+ * Scatter flowers over an island's grass
+ * @param {Object} heightfield - The island's heightfield
+ * @param {Object} island - The island description
+ * @param {number} count - Number of flowers wanted
+ * @param {Function} random - Seeded random number generator
+ * @param {Array<Object>} flowers - Level flower entries to append to
+ */
+function scatterFlowers(heightfield, island, count, random, flowers) {
+  let placed = 0;
+  
+  for (let attempt = 0; attempt < count * SCATTER_ATTEMPTS && placed < count; attempt++) {
+    const point = pickGrassPoint(heightfield, island, FLOWER_MAX_SLOPE, random);
+    if (point) {
+      flowers.push({ position: point });
+      placed++;
+    }
+  }
+}
+
+/**
+ * Height of the highest terrain under a point
+ * @param {Array<Object>} heightfields - The islands' heightfields
+ * @param {Array<number>} position - The point [x, y, z] (y is ignored)
+ * @returns {number|null} World Y of the terrain, or null where there is no island
+ */
+function getGroundHeight(heightfields, position) {
+  let ground = null;
+  
+  for (const heightfield of heightfields) {
+    const height = sampleHeightfield(heightfield, position[0], position[2]);
+    if (height !== null && (ground === null || height > ground)) {
+      ground = height;
+    }
+  }
+  
+  return ground;
+}
+
+/**
+ * Spawn point above the highest ground of an island
+ * @param {Object} heightfield - The island's heightfield
+ * @param {Object} island - The island description
+ * @returns {Object} The spawn point ({ name, position, yaw })
+ */
+function createSpawnPoint(heightfield, island) {
+  let best = null;
+  
+  // Search a coarse grid over the island for its highest point
+  const steps = 16;
+  for (let i = 0; i <= steps; i++) {
+    for (let j = 0; j <= steps; j++) {
+      const x = island.position[0] + (i / steps * 2 - 1) * island.radius;
+      const z = island.position[2] + (j / steps * 2 - 1) * island.radius;
+      const height = sampleHeightfield(heightfield, x, z);
+      if (height !== null && (!best || height > best[1])) {
+        best = [x, height, z];
+      }
+    }
+  }
+  
+  return { name: 'archipelago', position: [best[0], best[1] + SPAWN_HEIGHT, best[2]], yaw: 0 };
+}
@@ -1,11 +1,48 @@
 // Import Three.js
 import * as THREE from 'three';
+import { getWaterSurfaceHeight } from './physics.js';
 
 // Camera constants
-const CAMERA_HEIGHT = 1.5;
-const CAMERA_DISTANCE = 5.0;
-const CAMERA_SMOOTHING = 0.1;
-const CAMERA_LOOK_AHEAD = 2.0;
+const CAMERA_HEIGHT = 1.5; // Height of the orbit pivot above the character center
+const CAMERA_DISTANCE = 5.0; // Default distance from the pivot
+const MIN_CAMERA_DISTANCE = 2.0;
+const MAX_CAMERA_DISTANCE = 12.0;
+const ZOOM_SPEED = 0.005; // Distance change per wheel delta unit
+const PITCH_SPEED = 0.002; // Radians per mouse pixel
+const MIN_PITCH = THREE.MathUtils.degToRad(-30); // Looking up from below the pivot
+const MAX_PITCH = THREE.MathUtils.degToRad(70); // Looking down from above
+const DEFAULT_PITCH = THREE.MathUtils.degToRad(15);
+const CAMERA_SMOOTHING = 10.0; // Follow sharpness (1/s), independent of frame rate
+const ZOOM_SMOOTHING = 8.0; // Zoom and un-occlusion sharpness (1/s)
+const CAMERA_COLLISION_RADIUS = 0.3; // Radius of the sphere swept from the pivot to the camera
+const CAMERA_COLLISION_MARGIN = 0.1; // Gap kept between the camera and obstacles
+const CAMERA_WATER_CLEARANCE = 0.3; // Height kept above the wave surface while the pivot is above water
+const CAMERA_BLEND_DURATION = 0.6; // Seconds to blend between camera modes
+const FIRST_PERSON_EYE_HEIGHT = 0.7; // Eye height above the character center when the head bone is unknown
+const FIRST_PERSON_MIN_PITCH = THREE.MathUtils.degToRad(-80); // Looking up
+const FIRST_PERSON_MAX_PITCH = THREE.MathUtils.degToRad(80); // Looking down
+const HIDDEN_HEAD_SCALE = 0.001; // Head bone scale in first-person (keeps it out of the near plane)
+const FREE_FLY_SPEED = 10.0; // Debug camera speed (m/s)
+const FREE_FLY_LOOK_SPEED = 0.002; // Radians per mouse pixel
+const CINEMATIC_DURATION = 40.0; // Seconds for one lap of the default rail
+
+// Camera modes, in hotkey cycling order
+export const CAMERA_MODES = {
+  CHASE: 'chase',
+  FIRST_PERSON: 'firstPerson',
+  FREE_FLY: 'freeFly',
+  CINEMATIC: 'cinematic'
+};
+
+// Default cinematic rail: a loop around the islands (camera position and look-at target)
+const DEFAULT_CINEMATIC_KEYFRAMES = [
+  { position: [0, 12, 40], lookAt: [0, 2, 0] },
+  { position: [35, 8, 25], lookAt: [15, 2, 10] },
+  { position: [45, 15, -10], lookAt: [20, 3, -10] },
+  { position: [10, 6, -40], lookAt: [-5, 2, -15] },
+  { position: [-35, 10, -25], lookAt: [-15, 3, -5] },
+  { position: [-40, 18, 15], lookAt: [-10, 2, 10] }
+];
 
 /**
  * Initialize the camera
@@ -22,72 +59,433 @@ export function initCamera(threeObjects) {
   camera.position.set(0, CAMERA_HEIGHT, CAMERA_DISTANCE);
   
   // Create a target vector for the camera to look at
-  const target = new THREE.Vector3(0, CAMERA_HEIGHT, -CAMERA_LOOK_AHEAD);
+  const target = new THREE.Vector3(0, CAMERA_HEIGHT, 0);
   
   // Create the camera controller object
   const cameraController = {
     camera,
     target,
+    pitch: DEFAULT_PITCH,
+    desiredDistance: CAMERA_DISTANCE, // Set by the scroll wheel
+    distance: CAMERA_DISTANCE, // Smoothed distance, shortened by collisions
     idealPosition: new THREE.Vector3(),
-    idealLookAt: new THREE.Vector3()
+    idealLookAt: new THREE.Vector3(),
+    mode: CAMERA_MODES.CHASE,
+    position: camera.position.clone(), // Smoothed chase camera position
+    modeKeyHeld: false, // Edge detection for the mode hotkey
+    blend: null, // Pose the current transition started from
+    headBone: null,
+    freeFly: {
+      position: new THREE.Vector3(),
+      yaw: 0,
+      pitch: 0
+    },
+    cinematic: null
   };
   
+  setCinematicPath(cameraController, DEFAULT_CINEMATIC_KEYFRAMES);
+  
+  // Scroll wheel zoom
+  window.addEventListener('wheel', (event) => {
+    cameraController.desiredDistance = THREE.MathUtils.clamp(
+      cameraController.desiredDistance + event.deltaY * ZOOM_SPEED,
+      MIN_CAMERA_DISTANCE,
+      MAX_CAMERA_DISTANCE
+    );
+  }, { passive: true });
+  
   console.log('Camera controller initialized');
   
   return cameraController;
 }
 
 /**
- * Update the camera based on character position and rotation
+ * Update the camera for the active mode, blending from the previous mode
+ * after a switch
+ * @param {Object} cameraController - The camera controller
+ * @param {Object} character - The character controller
+ * @param {Object} inputState - The current input state
+ * @param {Object} physicsWorld - The physics world (used for camera collision)
+ * @param {number} deltaTime - Time since the last frame in seconds
+ */
+export function updateCamera(cameraController, character, inputState, physicsWorld, deltaTime) {
+  // Cycle modes on the hotkey press (not while it is held)
+  if (inputState.cameraMode && !cameraController.modeKeyHeld) {
+    const modes = Object.values(CAMERA_MODES);
+    const next = modes[(modes.indexOf(cameraController.mode) + 1) % modes.length];
+    setCameraMode(cameraController, next, character);
+  }
+  cameraController.modeKeyHeld = inputState.cameraMode;
+  
+  const camera = cameraController.camera;
+  
+  switch (cameraController.mode) {
+    case CAMERA_MODES.FIRST_PERSON:
+      updateFirstPersonCamera(cameraController, character, inputState);
+      break;
+    case CAMERA_MODES.FREE_FLY:
+      updateFreeFlyCamera(cameraController, inputState, deltaTime);
+      break;
+    case CAMERA_MODES.CINEMATIC:
+      updateCinematicCamera(cameraController, deltaTime);
+      break;
+    default:
+      updateChaseCamera(cameraController, character, inputState, physicsWorld, deltaTime);
+      break;
+  }
+  
+  // Hide the head from the inside while looking through the eyes
+  setHeadVisible(cameraController, character, cameraController.mode !== CAMERA_MODES.FIRST_PERSON);
+  
+  // Ease from the pose the camera had when the mode changed
+  const blend = cameraController.blend;
+  if (blend) {
+    blend.elapsed += deltaTime;
+    const t = THREE.MathUtils.smoothstep(blend.elapsed / CAMERA_BLEND_DURATION, 0, 1);
+    
+    camera.position.lerpVectors(blend.position, camera.position, t);
+    camera.quaternion.slerpQuaternions(blend.quaternion, camera.quaternion.clone(), t);
+    
+    if (blend.elapsed >= CAMERA_BLEND_DURATION) {
+      cameraController.blend = null;
+    }
+  }
+}
+
+/**
+ * Switch the camera mode, starting a blend from the current view
+ * @param {Object} cameraController - The camera controller
+ * @param {string} mode - One of CAMERA_MODES
+ * @param {Object} character - The character controller
+ */
+export function setCameraMode(cameraController, mode, character) {
+  if (mode === cameraController.mode) return;
+  
+  const camera = cameraController.camera;
+  
+  cameraController.blend = {
+    position: camera.position.clone(),
+    quaternion: camera.quaternion.clone(),
+    elapsed: 0
+  };
+  
+  if (mode === CAMERA_MODES.CHASE) {
+    // Follow from wherever the camera is now
+    cameraController.position.copy(camera.position);
+    cameraController.target.copy(character.mesh.position);
+    cameraController.target.y += CAMERA_HEIGHT;
+  } else if (mode === CAMERA_MODES.FIRST_PERSON) {
+    // Keep the chase pitch inside the first-person range
+    cameraController.pitch = THREE.MathUtils.clamp(cameraController.pitch, FIRST_PERSON_MIN_PITCH, FIRST_PERSON_MAX_PITCH);
+  } else if (mode === CAMERA_MODES.FREE_FLY) {
+    // Start flying from the current view
+    const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+    cameraController.freeFly.position.copy(camera.position);
+    cameraController.freeFly.yaw = euler.y;
+    cameraController.freeFly.pitch = euler.x;
+  } else if (mode === CAMERA_MODES.CINEMATIC) {
+    cameraController.cinematic.time = 0;
+  }
+  
+  // Leaving first-person lowers the pitch back into the chase range
+  if (mode !== CAMERA_MODES.FIRST_PERSON) {
+    cameraController.pitch = THREE.MathUtils.clamp(cameraController.pitch, MIN_PITCH, MAX_PITCH);
+  }
+  
+  cameraController.mode = mode;
+  console.log(`Camera mode: ${mode}`);
+}
+
+/**
+ * Whether the camera is detached from the character, so character input
+ * should be ignored (the free-fly camera uses the movement keys itself)
+ * @param {Object} cameraController - The camera controller
+ * @returns {boolean} Whether the character should ignore input
+ */
+export function isCameraDetached(cameraController) {
+  return cameraController.mode === CAMERA_MODES.FREE_FLY;
+}
+
+/**
+ * Set the rail followed by the cinematic camera
+ * @param {Object} cameraController - The camera controller
+ * @param {Array} keyframes - Closed loop of { position: [x, y, z], lookAt: [x, y, z] }
+ * @param {number} duration - Seconds for one lap
+ */
+export function setCinematicPath(cameraController, keyframes, duration = CINEMATIC_DURATION) {
+  const toVector = (array) => new THREE.Vector3(array[0], array[1], array[2]);
+  
+  cameraController.cinematic = {
+    positionCurve: new THREE.CatmullRomCurve3(keyframes.map((keyframe) => toVector(keyframe.position)), true, 'centripetal'),
+    lookAtCurve: new THREE.CatmullRomCurve3(keyframes.map((keyframe) => toVector(keyframe.lookAt)), true, 'centripetal'),
+    duration,
+    time: 0
+  };
+}
+
+/**
+ * Third-person camera orbiting behind the character
  * @param {Object} cameraController - The camera controller
  * @param {Object} character - The character controller
  * @param {Object} inputState - The current input state
+ * @param {Object} physicsWorld - The physics world (used for camera collision)
+ * @param {number} deltaTime - Time since the last frame in seconds
  */
-export function updateCamera(cameraController, character, inputState) {
+function updateChaseCamera(cameraController, character, inputState, physicsWorld, deltaTime) {
+  // Pitch from vertical mouse movement
+  cameraController.pitch = THREE.MathUtils.clamp(
+    cameraController.pitch + inputState.mouseY * PITCH_SPEED,
+    MIN_PITCH,
+    MAX_PITCH
+  );
+  
   // Get character position
   const characterPosition = character.mesh.position;
   
-  // Calculate ideal camera position based on character position and rotation
-  calculateIdealCameraPosition(cameraController, characterPosition, character.rotation);
+  // Calculate ideal camera position based on character position, yaw and pitch
+  calculateIdealCameraPosition(cameraController, characterPosition, character.rotation.y);
+  
+  // Pull the camera in front of anything between it and the character
+  resolveCameraCollision(cameraController, character, physicsWorld, deltaTime);
   
   // Smoothly move camera towards ideal position
-  smoothCameraMovement(cameraController);
+  smoothCameraMovement(cameraController, deltaTime);
+  
+  // Don't dip into the waves the player sees
+  keepCameraAboveWater(cameraController, physicsWorld);
   
   // Make camera look at the target
+  cameraController.camera.position.copy(cameraController.position);
   cameraController.camera.lookAt(cameraController.target);
 }
 
+/**
+ * First-person camera at the character's eyes
+ * @param {Object} cameraController - The camera controller
+ * @param {Object} character - The character controller
+ * @param {Object} inputState - The current input state
+ */
+function updateFirstPersonCamera(cameraController, character, inputState) {
+  cameraController.pitch = THREE.MathUtils.clamp(
+    cameraController.pitch + inputState.mouseY * PITCH_SPEED,
+    FIRST_PERSON_MIN_PITCH,
+    FIRST_PERSON_MAX_PITCH
+  );
+  
+  const camera = cameraController.camera;
+  const headBone = findHeadBone(cameraController, character);
+  
+  if (headBone) {
+    // Follow the animated head (bob, swim stroke) at this frame's pose
+    character.mesh.updateMatrixWorld(true);
+    headBone.getWorldPosition(camera.position);
+  } else {
+    camera.position.copy(character.mesh.position);
+    camera.position.y += FIRST_PERSON_EYE_HEIGHT;
+  }
+  
+  // Look along the character yaw; positive pitch looks down
+  camera.quaternion.setFromEuler(new THREE.Euler(-cameraController.pitch, character.rotation.y, 0, 'YXZ'));
+}
+
+/**
+ * Free-flying debug camera, driven by the movement and look inputs
+ * (jump rises, dive sinks)
+ * @param {Object} cameraController - The camera controller
+ * @param {Object} inputState - The current input state
+ * @param {number} deltaTime - Time since the last frame in seconds
+ */
+function updateFreeFlyCamera(cameraController, inputState, deltaTime) {
+  const freeFly = cameraController.freeFly;
+  
+  freeFly.yaw -= inputState.mouseX * FREE_FLY_LOOK_SPEED;
+  freeFly.pitch = THREE.MathUtils.clamp(
+    freeFly.pitch - inputState.mouseY * FREE_FLY_LOOK_SPEED,
+    -Math.PI / 2 + 0.01,
+    Math.PI / 2 - 0.01
+  );
+  
+  const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(freeFly.pitch, freeFly.yaw, 0, 'YXZ'));
+  
+  // Move in view space, so forward flies where the camera looks
+  const move = new THREE.Vector3(
+    Number(inputState.right) - Number(inputState.left),
+    0,
+    Number(inputState.backward) - Number(inputState.forward)
+  ).applyQuaternion(rotation);
+  move.y += Number(inputState.jump) - Number(inputState.dive);
+  
+  if (move.lengthSq() > 1) {
+    move.normalize();
+  }
+  freeFly.position.addScaledVector(move, FREE_FLY_SPEED * deltaTime);
+  
+  cameraController.camera.position.copy(freeFly.position);
+  cameraController.camera.quaternion.copy(rotation);
+}
+
+/**
+ * Cinematic camera following the spline rail
+ * @param {Object} cameraController - The camera controller
+ * @param {number} deltaTime - Time since the last frame in seconds
+ */
+function updateCinematicCamera(cameraController, deltaTime) {
+  const cinematic = cameraController.cinematic;
+  cinematic.time = (cinematic.time + deltaTime) % cinematic.duration;
+  
+  // Arc-length parameter gives a constant speed along the rail
+  const u = cinematic.time / cinematic.duration;
+  const camera = cameraController.camera;
+  cinematic.positionCurve.getPointAt(u, camera.position);
+  camera.lookAt(cinematic.lookAtCurve.getPointAt(u));
+}
+
+/**
+ * Find (and cache) the head bone of the character model
+ * @param {Object} cameraController - The camera controller
+ * @param {Object} character - The character controller
+ * @returns {THREE.Bone|null} The head bone, or null if the model isn't loaded
+ */
+function findHeadBone(cameraController, character) {
+  if (!character.model) return null;
+  
+  if (!cameraController.headBone) {
+    character.model.traverse((child) => {
+      if (!cameraController.headBone && child.isBone && /head$/i.test(child.name)) {
+        cameraController.headBone = child;
+      }
+    });
+  }
+  
+  return cameraController.headBone;
+}
+
+/**
+ * Show or hide the character's head. The model is a single skinned mesh,
+ * so the head bone is collapsed instead of hiding a mesh.
+ * @param {Object} cameraController - The camera controller
+ * @param {Object} character - The character controller
+ * @param {boolean} visible - Whether the head should be visible
+ */
+function setHeadVisible(cameraController, character, visible) {
+  const headBone = findHeadBone(cameraController, character);
+  if (!headBone) return;
+  
+  headBone.scale.setScalar(visible ? 1 : HIDDEN_HEAD_SCALE);
+}
+
+/**
+ * Calculate the orbit direction from the pivot toward the camera
+ * @param {number} yaw - Horizontal angle (character rotation)
+ * @param {number} pitch - Vertical angle (positive looks down)
+ * @returns {THREE.Vector3} Unit vector from the pivot to the camera
+ */
+function getOrbitDirection(yaw, pitch) {
+  return new THREE.Vector3(
+    Math.sin(yaw) * Math.cos(pitch),
+    Math.sin(pitch),
+    Math.cos(yaw) * Math.cos(pitch)
+  );
+}
+
 /**
  * Calculate the ideal camera position based on character position and rotation
  * @param {Object} cameraController - The camera controller
  * @param {Object} characterPosition - The character position
- * @param {Object} characterRotation - The character rotation
+ * @param {number} yaw - The character yaw
+ */
+function calculateIdealCameraPosition(cameraController, characterPosition, yaw) {
+  // Orbit pivot above the character
+  cameraController.idealLookAt.copy(characterPosition);
+  cameraController.idealLookAt.y += CAMERA_HEIGHT;
+  
+  // Camera behind the character at the requested distance
+  const offset = getOrbitDirection(yaw, cameraController.pitch).multiplyScalar(cameraController.desiredDistance);
+  cameraController.idealPosition.copy(cameraController.idealLookAt).add(offset);
+}
+
+/**
+ * Shorten the camera distance when the line of sight is blocked.
+ * A sphere is swept from the pivot toward the ideal camera position;
+ * the camera snaps in front of the first hit and eases back out once clear.
+ * @param {Object} cameraController - The camera controller
+ * @param {Object} character - The character controller
+ * @param {Object} physicsWorld - The physics world
+ * @param {number} deltaTime - Time since the last frame in seconds
  */
-function calculateIdealCameraPosition(cameraController, characterPosition, characterRotation) {
-  // Calculate camera offset based on character rotation
-  const offset = new THREE.Vector3(0, CAMERA_HEIGHT, CAMERA_DISTANCE);
-  offset.applyEuler(characterRotation);
+function resolveCameraCollision(cameraController, character, physicsWorld, deltaTime) {
+  const pivot = cameraController.idealLookAt;
+  const direction = new THREE.Vector3().subVectors(cameraController.idealPosition, pivot);
+  const desiredDistance = direction.length();
+  direction.normalize();
   
-  // Calculate ideal camera position
-  cameraController.idealPosition.copy(characterPosition).add(offset);
+  let allowedDistance = desiredDistance;
   
-  // Calculate look-ahead point based on character rotation
-  const lookAhead = new THREE.Vector3(0, 0, -CAMERA_LOOK_AHEAD);
-  lookAhead.applyEuler(characterRotation);
+  if (physicsWorld) {
+    const shape = new physicsWorld.RAPIER.Ball(CAMERA_COLLISION_RADIUS);
+    const hit = physicsWorld.world.castShape(
+      pivot,
+      { x: 0, y: 0, z: 0, w: 1 },
+      { x: direction.x, y: direction.y, z: direction.z },
+      shape,
+      desiredDistance,
+      true,
+      undefined,
+      undefined,
+      character.collider,
+      character.rigidBody
+    );
+    
+    if (hit !== null) {
+      allowedDistance = Math.max(0, hit.toi - CAMERA_COLLISION_MARGIN);
+    }
+  }
   
-  // Calculate ideal look-at point
-  cameraController.idealLookAt.copy(characterPosition).add(lookAhead);
-  cameraController.idealLookAt.y += CAMERA_HEIGHT;
+  if (allowedDistance < cameraController.distance) {
+    // Snap in immediately so the camera never sits inside geometry
+    cameraController.distance = allowedDistance;
+  } else {
+    // Ease back out (also applies scroll-wheel zoom smoothly)
+    const t = 1 - Math.exp(-ZOOM_SMOOTHING * deltaTime);
+    cameraController.distance += (allowedDistance - cameraController.distance) * t;
+  }
+  
+  cameraController.idealPosition.copy(pivot).addScaledVector(direction, cameraController.distance);
+}
+
+/**
+ * Lift the chase camera over the wave surface, so it doesn't cut through
+ * a passing crest. A pivot under water (a diving character) is left alone.
+ * @param {Object} cameraController - The camera controller
+ * @param {Object} physicsWorld - The physics world
+ */
+function keepCameraAboveWater(cameraController, physicsWorld) {
+  if (!physicsWorld) return;
+  
+  const { position, target } = cameraController;
+  if (target.y < getWaterSurfaceHeight(physicsWorld, target.x, target.z)) return;
+  
+  const minHeight = getWaterSurfaceHeight(physicsWorld, position.x, position.z) + CAMERA_WATER_CLEARANCE;
+  position.y = Math.max(position.y, minHeight);
 }
 
 /**
  * Smoothly move camera towards ideal position
  * @param {Object} cameraController - The camera controller
+ * @param {number} deltaTime - Time since the last frame in seconds
  */
-function smoothCameraMovement(cameraController) {
-  // Smoothly interpolate camera position
-  cameraController.camera.position.lerp(cameraController.idealPosition, CAMERA_SMOOTHING);
+function smoothCameraMovement(cameraController, deltaTime) {
+  // Exponential smoothing gives the same feel at any frame rate
+  const t = 1 - Math.exp(-CAMERA_SMOOTHING * deltaTime);
+  
+  // Smoothly interpolate camera position and target
+  cameraController.position.lerp(cameraController.idealPosition, t);
+  cameraController.target.lerp(cameraController.idealLookAt, t);
   
-  // Smoothly interpolate camera target
-  cameraController.target.lerp(cameraController.idealLookAt, CAMERA_SMOOTHING);
-} 
\ No newline at end of file
+  // Never lag behind an occlusion pull-in
+  const offset = new THREE.Vector3().subVectors(cameraController.position, cameraController.target);
+  if (offset.length() > cameraController.distance) {
+    offset.setLength(cameraController.distance);
+    cameraController.position.copy(cameraController.target).add(offset);
+  }
+}
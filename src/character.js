@@ -1,8 +1,10 @@
 // Import necessary modules
 import * as THREE from 'three';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
-import { createRigidBody, createCollider } from './physics.js';
+import { createRigidBody, createCollider, createInterpolationState, captureBodyState, applyInterpolatedState, PHYSICS_TIMESTEP, getWaterSurfaceHeight } from './physics.js';
 import { createVisualObject } from './scene.js';
+import { createCharacterAnimator } from './animation.js';
+import { getSurfaceVelocity, getSurfaceYawRate } from './platforms.js';
 
 // Character constants
 const CHARACTER_HEIGHT = 2.0;
@@ -11,16 +13,62 @@ const MOVE_SPEED = 5.0;
 const JUMP_FORCE = 10.0;
 const ROTATION_SPEED = 0.1;
 const GROUND_CHECK_DISTANCE = 0.1;
-const WATER_LEVEL = 0; // Water level at y=0
+
+// Kinematic controller constants
+const GRAVITY = -9.81;
+const CONTROLLER_OFFSET = 0.01; // Skin width kept between the capsule and obstacles
+const MAX_SLOPE_CLIMB_ANGLE = THREE.MathUtils.degToRad(45); // Steeper slopes block movement
+const MIN_SLOPE_SLIDE_ANGLE = THREE.MathUtils.degToRad(30); // Steeper slopes make the character slide down
+const AUTOSTEP_MAX_HEIGHT = 0.5; // Highest ledge the character steps onto without jumping
+const AUTOSTEP_MIN_WIDTH = 0.2; // Minimum free width on top of a ledge to step onto it
+const SNAP_TO_GROUND_DISTANCE = 0.3; // Keeps the character glued to the ground on the way down slopes
+
+// Swimming constants
+const FEET_OFFSET = CHARACTER_HEIGHT / 2 + CHARACTER_RADIUS; // Body center to bottom of the capsule
+const HEAD_OFFSET = FEET_OFFSET - 0.2; // Body center to eye/mouth height
+const SWIM_SPEED = 2.5; // Horizontal speed while swimming
+const DIVE_SPEED = 2.0; // Vertical speed when diving or ascending
+const SURFACE_RISE_SPEED = 1.0; // Passive rise speed back to the surface
+const SURFACE_SPRING = 4.0; // How firmly the swimmer is held at the surface float height
+const WATER_RESPONSE = 6.0; // How quickly vertical swim velocity reaches its target (1/s)
+const SWIM_FLOAT_DEPTH = 1.0; // Body center depth below the surface when floating
+const SWIM_ENTER_DEPTH = 1.3; // Water depth at the feet that starts swimming
+const SWIM_EXIT_DEPTH = 1.0; // Water depth at the feet below which a grounded swimmer walks again
+const MAX_BREATH = 10.0; // Seconds of air
+const BREATH_RECOVERY_RATE = 2.5; // Seconds of air regained per second at the surface
+
+// Ledge climbing constants (getting out of the water onto an island)
+const LEDGE_REACH = 0.4; // How far in front of the capsule a ledge is searched for
+const LEDGE_MAX_HEIGHT = 1.2; // Highest ledge above the water surface that can be climbed
+const CLIMB_SPEED = 2.5; // Vertical speed while pulling up
+const CLIMB_FORWARD_SPEED = 2.0; // Speed moving onto the ledge after pulling up
+const CLIMB_FORWARD_DISTANCE = 0.8; // Distance moved onto the ledge
+const CLIMB_TIMEOUT = 2.0; // Give up a climb that gets stuck (seconds)
+
+// Available character controller modes
+export const CHARACTER_MODES = {
+  DYNAMIC: 'dynamic',     // Dynamic rigid body driven by velocity
+  KINEMATIC: 'kinematic'  // Kinematic body driven by Rapier's KinematicCharacterController
+};
+
+// Locomotion states
+export const CHARACTER_STATES = {
+  GROUND: 'ground', // Standing or walking on a surface
+  AIR: 'air',       // Jumping or falling
+  SWIM: 'swim',     // Swimming at or below the water surface
+  CLIMB: 'climb'    // Pulling up out of the water onto a ledge
+};
 
 /**
  * Create a character controller
  * @param {Object} physicsWorld - The physics world
  * @param {Object} threeObjects - The Three.js objects
  * @param {Object} loadingManager - Optional Three.js loading manager
+ * @param {string} mode - The controller mode (one of CHARACTER_MODES)
+ * @param {boolean} loadModel - Load the 3D model and animations (false for headless simulation)
  * @returns {Object} The character controller
  */
-export function createCharacter(physicsWorld, threeObjects, loadingManager) {
+export function createCharacter(physicsWorld, threeObjects, loadingManager, mode = CHARACTER_MODES.KINEMATIC, loadModel = true) {
   console.log('Creating character controller');
   
   // Create character position at water level (half-submerged)
@@ -40,6 +88,9 @@ export function createCharacter(physicsWorld, threeObjects, loadingManager) {
     height: CHARACTER_HEIGHT
   });
   
+  // Create the kinematic character controller (used in kinematic mode)
+  const controller = createKinematicController(physicsWorld);
+  
   // Create character visual representation (transparent capsule)
   const mesh = createVisualObject(threeObjects, 'capsule', {
     radius: CHARACTER_RADIUS,
@@ -67,25 +118,144 @@ export function createCharacter(physicsWorld, threeObjects, loadingManager) {
   const character = {
     rigidBody,
     collider,
+    controller,
+    mode: CHARACTER_MODES.DYNAMIC,
+    verticalVelocity: 0, // Vertical speed integrated by hand in kinematic mode
     mesh,
     direction,
     rotation,
     isGrounded: false,
-    isFloating: true, // New property to track if character is in water
+    isFloating: true, // Whether the character is swimming
+    state: CHARACTER_STATES.SWIM,
+    isSubmerged: false, // Whether the character's head is under water
+    waterDepth: 0, // Depth of the water surface above the character's feet
+    breath: MAX_BREATH, // Seconds of air left
+    maxBreath: MAX_BREATH,
+    climb: null, // Active ledge climb ({ ledgeY, direction, distance, elapsed })
+    groundCheck: null, // Last ground ray ({ origin, distance, hitDistance })
+    groundBody: null, // Rigid body the character stands on (null in the air or on the ground collider)
+    carryVelocity: new THREE.Vector3(), // Velocity inherited from a moving platform (kept when jumping off)
     velocity: new THREE.Vector3(),
     cameraOffset: new THREE.Vector3(0, 1.5, 0), // Camera offset from character position
+    interpolation: createInterpolationState(rigidBody), // Poses of the last two physics steps
     modelLoaded: false,
-    model: null
+    model: null,
+    animator: null // Animation state machine, created once the model has loaded
   };
   
+  // Switch to the requested controller mode
+  setCharacterMode(character, mode, physicsWorld);
+  
   // Load the character 3D model
-  loadCharacterModel(character, threeObjects, loadingManager);
+  if (loadModel) {
+    loadCharacterModel(character, threeObjects, loadingManager);
+  }
   
   console.log('Character controller created');
   
   return character;
 }
 
+/**
+ * Create and configure a Rapier kinematic character controller
+ * @param {Object} physicsWorld - The physics world
+ * @returns {Object} The kinematic character controller
+ */
+function createKinematicController(physicsWorld) {
+  const controller = physicsWorld.world.createCharacterController(CONTROLLER_OFFSET);
+  
+  // Slope handling
+  controller.setMaxSlopeClimbAngle(MAX_SLOPE_CLIMB_ANGLE);
+  controller.setMinSlopeSlideAngle(MIN_SLOPE_SLIDE_ANGLE);
+  
+  // Step over small ledges (including dynamic bodies such as floating crates)
+  controller.enableAutostep(AUTOSTEP_MAX_HEIGHT, AUTOSTEP_MIN_WIDTH, true);
+  
+  // Stay on the ground when walking down slopes and steps
+  controller.enableSnapToGround(SNAP_TO_GROUND_DISTANCE);
+  
+  // Slide along walls instead of stopping dead
+  controller.setSlideEnabled(true);
+  
+  // Push dynamic bodies out of the way
+  controller.setApplyImpulsesToDynamicBodies(true);
+  
+  return controller;
+}
+
+/**
+ * Switch the character between the dynamic and kinematic controller modes
+ * @param {Object} character - The character controller
+ * @param {string} mode - The new mode (one of CHARACTER_MODES)
+ * @param {Object} physicsWorld - The physics world
+ */
+export function setCharacterMode(character, mode, physicsWorld) {
+  const { RigidBodyType } = physicsWorld.RAPIER;
+  
+  switch (mode) {
+    case CHARACTER_MODES.DYNAMIC:
+      character.rigidBody.setBodyType(RigidBodyType.Dynamic, true);
+      // Carry the current motion over to the dynamic body
+      character.rigidBody.setLinvel(
+        { x: character.velocity.x, y: character.verticalVelocity, z: character.velocity.z },
+        true
+      );
+      break;
+    case CHARACTER_MODES.KINEMATIC:
+      // Keep falling/rising at the current rate
+      character.verticalVelocity = character.rigidBody.linvel().y;
+      character.rigidBody.setBodyType(RigidBodyType.KinematicPositionBased, true);
+      break;
+    default:
+      throw new Error(`Unsupported character mode: ${mode}`);
+  }
+  
+  character.mode = mode;
+  console.log(`Character mode: ${mode}`);
+}
+
+/**
+ * Move the character to a spawn point, at rest
+ * @param {Object} character - The character controller
+ * @param {Object} position - World position of the character center
+ * @param {number} yaw - Facing angle in radians
+ */
+export function placeCharacter(character, position, yaw = 0) {
+  character.rigidBody.setTranslation({ x: position.x, y: position.y, z: position.z }, true);
+  character.rigidBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+  
+  character.velocity.set(0, 0, 0);
+  character.carryVelocity.set(0, 0, 0);
+  character.groundBody = null;
+  character.verticalVelocity = 0;
+  character.rotation.y = yaw;
+  character.climb = null;
+  
+  // Don't interpolate from the old position
+  character.interpolation = createInterpolationState(character.rigidBody);
+  character.mesh.position.set(position.x, position.y, position.z);
+}
+
+/**
+ * Re-attach the character to a physics world restored from a snapshot.
+ * The body and collider keep their handles; the kinematic controller
+ * belongs to the old world and is recreated.
+ * @param {Object} character - The character controller
+ * @param {Object} physicsWorld - The physics world (already restored)
+ */
+export function attachCharacterToWorld(character, physicsWorld) {
+  const world = physicsWorld.world;
+  
+  character.rigidBody = world.getRigidBody(character.rigidBody.handle);
+  character.collider = world.getCollider(character.collider.handle);
+  
+  character.controller.free();
+  character.controller = createKinematicController(physicsWorld);
+  
+  // Don't interpolate from the pose before the restore
+  character.interpolation = createInterpolationState(character.rigidBody);
+}
+
 /**
  * Load the character 3D model
  * @param {Object} character - The character controller
@@ -134,6 +304,9 @@ function loadCharacterModel(character, threeObjects, loadingManager) {
       character.model = fbx;
       character.modelLoaded = true;
       
+      // Drive the skeleton from the controller state
+      character.animator = createCharacterAnimator(fbx, fbx.animations, loadingManager);
+      
       // Ensure the capsule is completely transparent
       if (character.mesh.material) {
         character.mesh.material.transparent = true;
@@ -155,50 +328,282 @@ function loadCharacterModel(character, threeObjects, loadingManager) {
 }
 
 /**
- * Update the character based on input
+ * Update the character based on input.
+ * Called once per fixed physics step, before the world is stepped.
  * @param {Object} character - The character controller
  * @param {Object} inputState - The current input state
  * @param {Object} physicsWorld - The physics world
  * @param {Object} camera - The camera
  */
 export function updateCharacter(character, inputState, physicsWorld, camera) {
-  // Check if character is grounded
-  character.isGrounded = checkGrounded(character, physicsWorld);
-  
   // Update character rotation based on mouse input
   updateRotation(character, inputState, camera);
   
   // Calculate movement direction based on input and character rotation
   calculateMovementDirection(character, inputState);
   
-  // Apply movement to the character
-  applyMovement(character, inputState);
+  // Check if character is grounded
+  // (in kinematic mode the controller reports it as part of the previous move)
+  if (character.mode === CHARACTER_MODES.DYNAMIC) {
+    character.isGrounded = checkGrounded(character, physicsWorld, GROUND_CHECK_DISTANCE);
+  } else if (character.isGrounded) {
+    // The controller knows the character is grounded, but not on what
+    checkGrounded(character, physicsWorld, SNAP_TO_GROUND_DISTANCE);
+  } else {
+    character.groundBody = null;
+  }
+  
+  // Sample the water and pick the locomotion state
+  updateWaterState(character, physicsWorld);
+  updateLocomotionState(character, physicsWorld);
+  
+  // Ride moving platforms and keep their momentum in the air
+  updateCarryVelocity(character);
   
-  // Update mesh position and rotation based on physics body
-  updateMeshFromBody(character);
+  if (character.mode === CHARACTER_MODES.KINEMATIC) {
+    applyKinematicMovement(character, inputState, physicsWorld);
+  } else {
+    applyMovement(character, inputState);
+  }
 }
 
 /**
- * Check if the character is grounded
+ * Sample the water surface at the character and update breath
  * @param {Object} character - The character controller
  * @param {Object} physicsWorld - The physics world
+ */
+function updateWaterState(character, physicsWorld) {
+  const position = character.rigidBody.translation();
+  const waterHeight = getWaterSurfaceHeight(physicsWorld, position.x, position.z);
+  
+  character.waterHeight = waterHeight;
+  character.waterDepth = waterHeight - (position.y - FEET_OFFSET);
+  character.isSubmerged = position.y + HEAD_OFFSET < waterHeight;
+  
+  // Hold breath under water, recover it at the surface
+  if (character.isSubmerged) {
+    character.breath = Math.max(0, character.breath - PHYSICS_TIMESTEP);
+  } else {
+    character.breath = Math.min(MAX_BREATH, character.breath + BREATH_RECOVERY_RATE * PHYSICS_TIMESTEP);
+  }
+}
+
+/**
+ * Transition between ground, air, swim and climb states
+ * @param {Object} character - The character controller
+ * @param {Object} physicsWorld - The physics world
+ */
+function updateLocomotionState(character, physicsWorld) {
+  switch (character.state) {
+    case CHARACTER_STATES.CLIMB:
+      // The climb finishes itself once the character is on the ledge
+      if (!character.climb) {
+        setLocomotionState(character, CHARACTER_STATES.GROUND);
+      } else if (character.climb.elapsed > CLIMB_TIMEOUT) {
+        // Blocked (e.g. by an overhang): drop back into the water
+        character.climb = null;
+        setLocomotionState(character, CHARACTER_STATES.SWIM);
+      }
+      break;
+    case CHARACTER_STATES.SWIM:
+      if (character.isGrounded && character.waterDepth < SWIM_EXIT_DEPTH) {
+        // Walked out through shallow water
+        setLocomotionState(character, CHARACTER_STATES.GROUND);
+      } else {
+        // Pull up onto a ledge when swimming into one at the surface
+        const ledgeY = findClimbableLedge(character, physicsWorld);
+        if (ledgeY !== null) {
+          character.climb = {
+            ledgeY,
+            direction: new THREE.Vector3(character.direction.x, 0, character.direction.z).normalize(),
+            distance: 0,
+            elapsed: 0
+          };
+          setLocomotionState(character, CHARACTER_STATES.CLIMB);
+        }
+      }
+      break;
+    default:
+      if (character.waterDepth > SWIM_ENTER_DEPTH) {
+        setLocomotionState(character, CHARACTER_STATES.SWIM);
+      } else {
+        setLocomotionState(character, character.isGrounded ? CHARACTER_STATES.GROUND : CHARACTER_STATES.AIR);
+      }
+      break;
+  }
+}
+
+/**
+ * Update the velocity the character inherits from what it stands on.
+ * On the ground it matches the surface (zero on static ground); in the air
+ * the horizontal part is kept as momentum; water slowly absorbs it.
+ * @param {Object} character - The character controller
+ */
+function updateCarryVelocity(character) {
+  const carry = character.carryVelocity;
+  
+  switch (character.state) {
+    case CHARACTER_STATES.GROUND: {
+      const position = character.rigidBody.translation();
+      const feet = { x: position.x, y: position.y - FEET_OFFSET, z: position.z };
+      getSurfaceVelocity(character.groundBody, feet, carry);
+      
+      // Turn with rotating platforms
+      character.rotation.y += getSurfaceYawRate(character.groundBody) * PHYSICS_TIMESTEP;
+      break;
+    }
+    case CHARACTER_STATES.SWIM:
+      carry.multiplyScalar(Math.exp(-WATER_RESPONSE * PHYSICS_TIMESTEP));
+      break;
+    case CHARACTER_STATES.CLIMB:
+      carry.set(0, 0, 0);
+      break;
+    default:
+      // Airborne: gravity alone drives the vertical motion
+      carry.y = 0;
+      break;
+  }
+}
+
+/**
+ * Set the locomotion state and the flags derived from it
+ * @param {Object} character - The character controller
+ * @param {string} state - The new state (one of CHARACTER_STATES)
+ */
+function setLocomotionState(character, state) {
+  character.state = state;
+  character.isFloating = state === CHARACTER_STATES.SWIM;
+}
+
+/**
+ * Look for a ledge in front of a swimming character that it can climb onto
+ * @param {Object} character - The character controller
+ * @param {Object} physicsWorld - The physics world
+ * @returns {number|null} The world Y of the ledge top, or null if there is none
+ */
+function findClimbableLedge(character, physicsWorld) {
+  // Only when swimming forward at the surface
+  const position = character.rigidBody.translation();
+  const floatY = character.waterHeight - SWIM_FLOAT_DEPTH;
+  if (character.direction.lengthSq() < 0.01 || position.y < floatY - 0.3) {
+    return null;
+  }
+  
+  // Cast down just in front of the capsule, from the highest climbable height
+  const forward = new THREE.Vector3(character.direction.x, 0, character.direction.z).normalize();
+  const rayOrigin = {
+    x: position.x + forward.x * (CHARACTER_RADIUS + LEDGE_REACH),
+    y: character.waterHeight + LEDGE_MAX_HEIGHT,
+    z: position.z + forward.z * (CHARACTER_RADIUS + LEDGE_REACH)
+  };
+  const ray = new physicsWorld.RAPIER.Ray(rayOrigin, { x: 0, y: -1, z: 0 });
+  const maxDistance = LEDGE_MAX_HEIGHT + SWIM_FLOAT_DEPTH;
+  const hit = physicsWorld.world.castRay(ray, maxDistance, true, undefined, undefined, character.collider);
+  
+  // No hit, or the wall is taller than the climbable height
+  if (hit === null || hit.toi <= 0) {
+    return null;
+  }
+  
+  // Ledges below the feet are simply swum over
+  const ledgeY = rayOrigin.y - hit.toi;
+  if (ledgeY < position.y - FEET_OFFSET + AUTOSTEP_MAX_HEIGHT) {
+    return null;
+  }
+  
+  return ledgeY;
+}
+
+/**
+ * Get the velocity of the active ledge climb and advance it
+ * @param {Object} character - The character controller
+ * @returns {Object} The climb velocity
+ */
+function getClimbVelocity(character) {
+  const climb = character.climb;
+  const position = character.rigidBody.translation();
+  climb.elapsed += PHYSICS_TIMESTEP;
+  
+  // Pull up until the feet clear the ledge
+  if (position.y - FEET_OFFSET < climb.ledgeY + CONTROLLER_OFFSET * 5) {
+    return { x: 0, y: CLIMB_SPEED, z: 0 };
+  }
+  
+  // Then step forward onto it
+  climb.distance += CLIMB_FORWARD_SPEED * PHYSICS_TIMESTEP;
+  if (climb.distance >= CLIMB_FORWARD_DISTANCE) {
+    character.climb = null;
+  }
+  
+  return {
+    x: climb.direction.x * CLIMB_FORWARD_SPEED,
+    y: 0,
+    z: climb.direction.z * CLIMB_FORWARD_SPEED
+  };
+}
+
+/**
+ * Get the target vertical swim speed from the dive/ascend input
+ * @param {Object} character - The character controller
+ * @param {Object} inputState - The current input state
+ * @returns {number} The target vertical velocity
+ */
+function getSwimTargetVerticalVelocity(character, inputState) {
+  const position = character.rigidBody.translation();
+  const floatY = character.waterHeight - SWIM_FLOAT_DEPTH;
+  
+  // Diving needs air; without it the swimmer is pushed back up
+  if (inputState.dive && character.breath > 0) {
+    return -DIVE_SPEED;
+  }
+  
+  // Rise (faster when ascending) but settle at the surface float height
+  const riseSpeed = inputState.jump ? DIVE_SPEED : SURFACE_RISE_SPEED;
+  return Math.min(riseSpeed, (floatY - position.y) * SURFACE_SPRING);
+}
+
+/**
+ * Record the character body pose after a physics step
+ * @param {Object} character - The character controller
+ */
+export function captureCharacterState(character) {
+  captureBodyState(character.rigidBody, character.interpolation);
+}
+
+/**
+ * Check if the character is grounded, and remember the body it stands on
+ * @param {Object} character - The character controller
+ * @param {Object} physicsWorld - The physics world
+ * @param {number} distance - How far below the feet to look for ground
  * @returns {boolean} Whether the character is grounded
  */
-function checkGrounded(character, physicsWorld) {
+function checkGrounded(character, physicsWorld, distance) {
   // Get character position
   const position = character.rigidBody.translation();
   
   // Create a ray from the character's feet downward
   const rayOrigin = { 
     x: position.x, 
-    y: position.y - CHARACTER_HEIGHT / 2 + CHARACTER_RADIUS, 
+    y: position.y - FEET_OFFSET, 
     z: position.z 
   };
   const rayDirection = { x: 0, y: -1, z: 0 };
   
-  // Cast the ray to check for ground
+  // Cast the ray to check for ground, ignoring the character's own capsule
   const ray = new physicsWorld.RAPIER.Ray(rayOrigin, rayDirection);
-  const hit = physicsWorld.world.castRay(ray, GROUND_CHECK_DISTANCE, true);
+  const hit = physicsWorld.world.castRay(
+    ray, distance, true, undefined, undefined, character.collider
+  );
+  
+  // The body under the feet (a moving platform carries the character)
+  character.groundBody = hit !== null ? hit.collider.parent() : null;
+  
+  // Keep the ray for the physics debug overlay
+  character.groundCheck = {
+    origin: rayOrigin,
+    distance,
+    hitDistance: hit !== null ? hit.toi : null
+  };
   
   return hit !== null;
 }
@@ -226,15 +631,13 @@ function calculateMovementDirection(character, inputState) {
   // Reset direction
   character.direction.set(0, 0, 0);
   
-  // Calculate forward/backward movement
-  if (inputState.forward) character.direction.z = -1;
-  if (inputState.backward) character.direction.z = 1;
+  // Calculate forward/backward movement (inputs are analog, 0..1)
+  character.direction.z = Number(inputState.backward) - Number(inputState.forward);
   
   // Calculate left/right movement
-  if (inputState.left) character.direction.x = -1;
-  if (inputState.right) character.direction.x = 1;
+  character.direction.x = Number(inputState.right) - Number(inputState.left);
   
-  // Normalize direction if moving diagonally
+  // Normalize direction if moving diagonally (keeps partial stick tilt below full speed)
   if (character.direction.length() > 1) {
     character.direction.normalize();
   }
@@ -252,16 +655,31 @@ function applyMovement(character, inputState) {
   // Get current velocity
   const velocity = character.rigidBody.linvel();
   
-  // Apply movement force in the direction of movement
+  if (character.state === CHARACTER_STATES.CLIMB) {
+    const climbVelocity = getClimbVelocity(character);
+    character.rigidBody.setLinvel(climbVelocity, true);
+    character.velocity.set(climbVelocity.x, climbVelocity.y, climbVelocity.z);
+    return;
+  }
+  
+  const speed = character.state === CHARACTER_STATES.SWIM ? SWIM_SPEED : MOVE_SPEED;
+  
+  // Apply movement force in the direction of movement, on top of any platform motion
+  const carry = character.carryVelocity;
   const movementForce = {
-    x: character.direction.x * MOVE_SPEED,
+    x: character.direction.x * speed + carry.x,
     y: velocity.y, // Preserve vertical velocity
-    z: character.direction.z * MOVE_SPEED
+    z: character.direction.z * speed + carry.z
   };
   
-  // Apply jump force if jumping and grounded
-  if (inputState.jump && character.isGrounded) {
-    movementForce.y = JUMP_FORCE;
+  if (character.state === CHARACTER_STATES.SWIM) {
+    // Buoyancy comes from the water physics; only steer when diving or ascending
+    if ((inputState.dive && character.breath > 0) || inputState.jump) {
+      movementForce.y = getSwimTargetVerticalVelocity(character, inputState);
+    }
+  } else if (inputState.jump && character.isGrounded) {
+    // Apply jump force if jumping and grounded (a rising platform adds to it)
+    movementForce.y = JUMP_FORCE + Math.max(0, carry.y);
   }
   
   // Set the character's velocity
@@ -272,15 +690,76 @@ function applyMovement(character, inputState) {
 }
 
 /**
- * Update the mesh position and rotation based on the physics body
+ * Move the character with the kinematic character controller.
+ * Gravity, jumping and swimming are integrated by hand since kinematic
+ * bodies are not affected by forces.
  * @param {Object} character - The character controller
+ * @param {Object} inputState - The current input state
+ * @param {Object} physicsWorld - The physics world
  */
-function updateMeshFromBody(character) {
-  // Get the position and rotation from the physics body
+function applyKinematicMovement(character, inputState, physicsWorld) {
+  const dt = PHYSICS_TIMESTEP;
   const position = character.rigidBody.translation();
-  const rotation = character.rigidBody.rotation();
+  let speed = MOVE_SPEED;
+  let horizontal = character.direction;
+  
+  if (character.state === CHARACTER_STATES.CLIMB) {
+    // Scripted pull-up onto the ledge
+    const climbVelocity = getClimbVelocity(character);
+    horizontal = new THREE.Vector3(climbVelocity.x, 0, climbVelocity.z);
+    speed = 1;
+    character.verticalVelocity = climbVelocity.y;
+  } else if (character.state === CHARACTER_STATES.SWIM) {
+    // Ease toward the dive/ascend/float speed (water resists sudden changes)
+    const target = getSwimTargetVerticalVelocity(character, inputState);
+    character.verticalVelocity += (target - character.verticalVelocity) * (1 - Math.exp(-WATER_RESPONSE * dt));
+    speed = SWIM_SPEED;
+  } else if (inputState.jump && character.isGrounded) {
+    // Jump if grounded (a rising platform adds to it)
+    character.verticalVelocity = JUMP_FORCE + Math.max(0, character.carryVelocity.y);
+  } else if (character.isGrounded && character.verticalVelocity < 0) {
+    // Keep pressing into the ground so the controller keeps reporting it
+    character.verticalVelocity = GRAVITY * dt;
+  } else {
+    // Otherwise accumulate gravity
+    character.verticalVelocity += GRAVITY * dt;
+  }
   
-  // Update the mesh position and rotation
-  character.mesh.position.set(position.x, position.y, position.z);
-  character.mesh.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+  // Desired displacement for this step, carried along by any platform
+  const carry = character.carryVelocity;
+  const desiredTranslation = {
+    x: (horizontal.x * speed + carry.x) * dt,
+    y: (character.verticalVelocity + carry.y) * dt,
+    z: (horizontal.z * speed + carry.z) * dt
+  };
+  
+  // Let the controller resolve slopes, steps and wall sliding
+  character.controller.computeColliderMovement(character.collider, desiredTranslation);
+  const movement = character.controller.computedMovement();
+  character.isGrounded = character.controller.computedGrounded();
+  
+  // Stop rising when hitting a ceiling
+  if (character.verticalVelocity > 0 && movement.y < desiredTranslation.y * 0.5) {
+    character.verticalVelocity = 0;
+  }
+  
+  // Move the body; the world step interpolates it to the new position
+  character.rigidBody.setNextKinematicTranslation({
+    x: position.x + movement.x,
+    y: position.y + movement.y,
+    z: position.z + movement.z
+  });
+  
+  // Store the effective velocity for reference
+  character.velocity.set(movement.x / dt, movement.y / dt, movement.z / dt);
+}
+
+/**
+ * Update the mesh position and rotation based on the physics body,
+ * interpolated between the last two physics steps
+ * @param {Object} character - The character controller
+ * @param {number} alpha - Interpolation factor between the previous and current step
+ */
+export function updateMeshFromBody(character, alpha = 1) {
+  applyInterpolatedState(character.mesh, character.interpolation, alpha);
 }
\ No newline at end of file
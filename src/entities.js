@@ -0,0 +1,174 @@
+/**
+ * Entity registry: pairs Three.js objects with the Rapier bodies that drive them.
+ *
+ * Registered entities with a moving (non-fixed) body have their poses recorded
+ * after every physics step and their objects placed between the last two poses
+ * each frame. Removing an entity removes its body, colliders and object and
+ * frees their GPU resources. Objects without a body (decoration) can be
+ * registered too, so a level can be torn down in one place.
+ */
+
+import { createInterpolationState, captureBodyState, applyInterpolatedState } from './physics.js';
+
+/**
+ * Create an empty entity registry
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object} threeObjects - The Three.js objects
+ * @returns {Object} The entity registry
+ */
+export function createEntityRegistry(physicsWorld, threeObjects) {
+  return {
+    physicsWorld,
+    threeObjects,
+    entities: new Map(), // Entity ID -> entity
+    nextId: 1
+  };
+}
+
+/**
+ * Register an object (and optionally its rigid body) with the registry.
+ * The object is added to the scene if it has no parent yet.
+ * @param {Object} registry - The entity registry
+ * @param {Object} options - { object3D, rigidBody, name }
+ * @returns {Object} The entity ({ id, name, object3D, rigidBody, interpolation })
+ */
+export function registerEntity(registry, { object3D, rigidBody = null, name = '' }) {
+  if (!object3D.parent) {
+    registry.threeObjects.scene.add(object3D);
+  }
+  
+  const entity = {
+    id: registry.nextId++,
+    name,
+    object3D,
+    rigidBody,
+    // Fixed bodies never move, so only moving ones are synced
+    interpolation: rigidBody && !rigidBody.isFixed() ? createInterpolationState(rigidBody) : null
+  };
+  
+  registry.entities.set(entity.id, entity);
+  return entity;
+}
+
+/**
+ * Remove an entity: its rigid body and colliders leave the physics world and
+ * its object leaves the scene
+ * @param {Object} registry - The entity registry
+ * @param {Object} entity - The entity to remove
+ * @param {boolean} dispose - Also free the object's geometries and materials
+ */
+export function removeEntity(registry, entity, dispose = true) {
+  if (!registry.entities.delete(entity.id)) return;
+  
+  const physicsWorld = registry.physicsWorld;
+  
+  if (entity.rigidBody) {
+    // Water physics caches buoyancy samples per collider handle, and handles get reused
+    for (let i = 0; i < entity.rigidBody.numColliders(); i++) {
+      physicsWorld.water.forgetCollider(entity.rigidBody.collider(i));
+    }
+    physicsWorld.world.removeRigidBody(entity.rigidBody);
+    entity.rigidBody = null;
+  }
+  
+  entity.object3D.removeFromParent();
+  
+  if (dispose) {
+    disposeObject(entity.object3D);
+  }
+}
+
+/**
+ * Remove every entity (e.g. before loading another level)
+ * @param {Object} registry - The entity registry
+ */
+export function clearEntities(registry) {
+  for (const entity of [...registry.entities.values()]) {
+    removeEntity(registry, entity);
+  }
+}
+
+/**
+ * Find the entities with a given name
+ * @param {Object} registry - The entity registry
+ * @param {string} name - The entity name
+ * @returns {Array} The matching entities
+ */
+export function findEntities(registry, name) {
+  return [...registry.entities.values()].filter((entity) => entity.name === name);
+}
+
+/**
+ * Re-attach every entity to a physics world restored from a snapshot.
+ * Bodies are looked up by handle and keep their userData.
+ * @param {Object} registry - The entity registry
+ */
+export function attachEntitiesToWorld(registry) {
+  const world = registry.physicsWorld.world;
+  
+  for (const entity of registry.entities.values()) {
+    if (!entity.rigidBody) continue;
+    
+    const rigidBody = world.getRigidBody(entity.rigidBody.handle);
+    if (!rigidBody) {
+      throw new Error(`Restored physics world has no body for entity ${entity.id} (${entity.name})`);
+    }
+    
+    rigidBody.userData = entity.rigidBody.userData;
+    entity.rigidBody = rigidBody;
+    
+    // Don't interpolate from the pose before the restore
+    if (entity.interpolation) {
+      entity.interpolation = createInterpolationState(rigidBody);
+    }
+  }
+}
+
+/**
+ * Record the pose of every moving entity; call after each physics step
+ * @param {Object} registry - The entity registry
+ */
+export function captureEntityStates(registry) {
+  for (const entity of registry.entities.values()) {
+    if (entity.interpolation) {
+      captureBodyState(entity.rigidBody, entity.interpolation);
+    }
+  }
+}
+
+/**
+ * Place every moving entity's object between its last two physics poses
+ * @param {Object} registry - The entity registry
+ * @param {number} alpha - Blend factor in [0, 1] (0 = previous step, 1 = current step)
+ */
+export function syncEntities(registry, alpha) {
+  for (const entity of registry.entities.values()) {
+    if (entity.interpolation) {
+      applyInterpolatedState(entity.object3D, entity.interpolation, alpha);
+    }
+  }
+}
+
+/**
+ * Free the geometries, materials and textures of an object tree
+ * @param {THREE.Object3D} object3D - The root object
+ */
+function disposeObject(object3D) {
+  object3D.traverse((child) => {
+    if (child.geometry) {
+      child.geometry.dispose();
+    }
+    
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    for (const material of materials) {
+      if (!material) continue;
+      
+      for (const value of Object.values(material)) {
+        if (value && value.isTexture) {
+          value.dispose();
+        }
+      }
+      material.dispose();
+    }
+  });
+}
@@ -3,228 +3,233 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { createRigidBody, createCollider } from './physics.js';
 import { createVisualObject } from './scene.js';
+import { toVector3 } from './level.js';
+import { createMeshColliders } from './mesh-colliders.js';
+import { registerEntity } from './entities.js';
+import { createPlatform } from './platforms.js';
+import { createTerrainIsland } from './terrain.js';
+
+// Color used when a level doesn't specify one
+const DEFAULT_FLOATING_COLOR = 0x8B4513; // Brown wooden color
+
+// Flower colors, picked at random
+const FLOWER_COLORS = [0xFF1493, 0xFFFF00, 0xFF4500, 0x9932CC, 0xFFFFFF];
 
 /**
- * Create the environment with various objects
+ * Create the environment described by a level file. Every object is
+ * registered with the entity registry, which keeps moving ones in sync with
+ * their physics bodies.
  * @param {Object} physicsWorld - The physics world
- * @param {Object} threeObjects - The Three.js objects
+ * @param {Object} entities - The entity registry
+ * @param {Object} level - The validated level (see level.js)
+ * @param {Function} random - Seeded random number generator (see random.js)
+ * @param {boolean} loadModels - Load model props (false where there is no network, e.g. headless)
+ * @returns {Promise<Array<number>>} Resolves once the model props are in the world, with the
+ *   indices (in level.props) of those that loaded
  */
-export function createEnvironment(physicsWorld, threeObjects) {
-  console.log('Creating environment');
-  
-  // Create islands with trees
-  createIslandsWithTrees(physicsWorld, threeObjects);
+export function createEnvironment(physicsWorld, entities, level, random, loadModels = true) {
+  console.log(`Creating environment: ${level.name || 'unnamed level'}`);
   
-  // Remove boxes and other objects that don't fit the water scene
-  // Instead, add some floating objects
+  // Level water overrides the default wave and buoyancy settings
+  applyWaterSettings(physicsWorld, level.water);
   
-  // Create a floating platform
-  createBox(physicsWorld, threeObjects, 
-    { x: 10, y: 0.5, z: 10 }, 
-    { width: 5, height: 1, depth: 5 }, 
-    0x8B4513, // Brown wooden color
-    null,
-    false // Make it dynamic so it floats
-  );
+  // Create islands with trees (terrain built from the level's islands, see archipelago.js)
+  for (const heightfield of level.terrainIslands || []) {
+    createTerrainIsland(physicsWorld, entities, heightfield);
+  }
+  for (const tree of level.trees || []) {
+    createSimpleTree(physicsWorld, entities, toVector3(tree.position), tree.height, tree.radius);
+  }
+  createFlowers(entities, level.flowers || [], random);
   
-  // Create some floating spheres
-  createSphere(physicsWorld, threeObjects, 
-    { x: 5, y: 0, z: 15 }, 
-    { radius: 1 }, 
-    0xffa500, // Orange
-    false // Dynamic
-  );
+  // Floating objects: dynamic bodies whose meshes follow the simulation
+  createFloatingBodies(physicsWorld, entities, level.floatingBodies || []);
   
-  createSphere(physicsWorld, threeObjects, 
-    { x: -5, y: 0, z: 10 }, 
-    { radius: 0.7 }, 
-    0xa52a2a, // Brown
-    false // Dynamic
-  );
+  // Moving platforms (ferries, rafts, rolling logs)
+  for (const platform of level.platforms || []) {
+    createPlatform(physicsWorld, entities, platform);
+  }
   
   console.log('Environment created');
+  
+  // Load model props (the world is complete once they are in)
+  return loadModels ? loadProps(physicsWorld, entities, level.props || []) : Promise.resolve([]);
 }
 
 /**
- * Create islands with trees
+ * Apply the water settings of a level
  * @param {Object} physicsWorld - The physics world
- * @param {Object} threeObjects - The Three.js objects
+ * @param {Object} water - Water settings from the level (optional)
  */
-function createIslandsWithTrees(physicsWorld, threeObjects) {
+function applyWaterSettings(physicsWorld, water) {
+  if (!water) return;
+  
+  const settings = physicsWorld.water.settings;
+  
+  for (const [key, value] of Object.entries(water)) {
+    if (key === 'waveDirection') {
+      settings.waveDirection.set(value[0], value[1]).normalize();
+    } else if (key === 'waves') {
+      settings.waves = value.map((wave) => ({
+        direction: new THREE.Vector2(wave.direction[0], wave.direction[1]).normalize(),
+        steepness: wave.steepness,
+        wavelength: wave.wavelength,
+        speed: wave.speed
+      }));
+    } else {
+      settings[key] = value;
+    }
+  }
+}
+
+/**
+ * Load the model props of a level. Colliders are generated from the model
+ * geometry unless the prop asks for a primitive shape or none.
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object} entities - The entity registry
+ * @param {Array} props - Prop descriptions from the level
+ * @returns {Promise<Array<number>>} Resolves once every prop has loaded (or failed to),
+ *   with the indices of those that loaded
+ */
+function loadProps(physicsWorld, entities, props) {
   const loader = new GLTFLoader();
   
-  // Create multiple islands with trees
-  
-  // Main central island
-  const mainIslandPosition = { x: 0, y: -0.5, z: 0 };
-  const mainIsland = createSimpleIsland(physicsWorld, threeObjects, mainIslandPosition, 8, 1.5, 10, 0x8B4513);
-  
-  // Add trees to main island
-  createSimpleTree(physicsWorld, threeObjects, { x: 0, y: 1, z: 0 }, 3, 0.5);
-  createSimpleTree(physicsWorld, threeObjects, { x: 3, y: 1, z: 2 }, 2.5, 0.4);
-  createSimpleTree(physicsWorld, threeObjects, { x: -2, y: 1, z: -3 }, 3.5, 0.6);
-  createSimpleTree(physicsWorld, threeObjects, { x: 4, y: 1, z: -2 }, 2, 0.3);
-  
-  // Small island 1
-  const island1Position = { x: 15, y: -0.5, z: 15 };
-  createSimpleIsland(physicsWorld, threeObjects, island1Position, 4, 1, 5, 0x8B4513);
-  
-  // Add trees to small island 1
-  createSimpleTree(physicsWorld, threeObjects, { x: 15, y: 0.5, z: 15 }, 2.5, 0.4);
-  createSimpleTree(physicsWorld, threeObjects, { x: 17, y: 0.5, z: 14 }, 1.8, 0.3);
-  
-  // Small island 2
-  const island2Position = { x: -15, y: -0.5, z: 10 };
-  createSimpleIsland(physicsWorld, threeObjects, island2Position, 3, 1, 4, 0x8B4513);
-  
-  // Add trees to small island 2
-  createSimpleTree(physicsWorld, threeObjects, { x: -15, y: 0.5, z: 10 }, 2, 0.35);
+  const loads = props.map((prop) => loader.loadAsync(prop.model).catch((error) => {
+    console.warn(`Could not load prop model ${prop.model}:`, error);
+    return null;
+  }));
+  
+  // Models finish loading in any order, but props are created in level order
+  // so their body handles (which snapshots refer to) are the same every time
+  return Promise.all(loads).then((results) => {
+    const loaded = [];
+    results.forEach((gltf, index) => {
+      if (gltf) {
+        createProp(physicsWorld, entities, props[index], gltf.scene);
+        loaded.push(index);
+      }
+    });
+    return loaded;
+  });
+}
+
+/**
+ * Place a loaded prop model and give it a body and colliders
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object} entities - The entity registry
+ * @param {Object} prop - Prop description from the level
+ * @param {THREE.Object3D} model - The loaded model
+ */
+function createProp(physicsWorld, entities, prop, model) {
+  const position = toVector3(prop.position);
+  model.position.set(position.x, position.y, position.z);
+  model.scale.setScalar(prop.scale || 1);
+  model.rotation.y = prop.rotationY || 0;
+  
+  const collider = prop.collider || 'mesh';
+  if (collider === 'none') {
+    registerEntity(entities, { object3D: model, name: 'prop' });
+    return;
+  }
   
-  // Small island 3
-  const island3Position = { x: 5, y: -0.5, z: -20 };
-  createSimpleIsland(physicsWorld, threeObjects, island3Position, 5, 1.2, 6, 0x8B4513);
+  const isStatic = !prop.dynamic;
+  const rigidBody = createRigidBody(physicsWorld, position, isStatic);
+  rigidBody.setRotation(model.quaternion, true);
   
-  // Add trees to small island 3
-  createSimpleTree(physicsWorld, threeObjects, { x: 5, y: 0.7, z: -20 }, 3, 0.5);
-  createSimpleTree(physicsWorld, threeObjects, { x: 7, y: 0.7, z: -18 }, 2.2, 0.4);
-  createSimpleTree(physicsWorld, threeObjects, { x: 3, y: 0.7, z: -22 }, 2.5, 0.45);
+  // Placed in the scene first: mesh colliders are built from world transforms
+  registerEntity(entities, { object3D: model, rigidBody, name: 'prop' });
   
-  // Add vegetation to islands
-  addVegetation(threeObjects, mainIslandPosition, 8);
-  addVegetation(threeObjects, island1Position, 4);
-  addVegetation(threeObjects, island2Position, 3);
-  addVegetation(threeObjects, island3Position, 5);
+  // Trimeshes for static props, convex hulls for dynamic ones
+  const colliders = collider === 'mesh'
+    ? createMeshColliders(physicsWorld, rigidBody, model, isStatic)
+    : [createCollider(physicsWorld, rigidBody, collider.shape, collider.size)];
   
-  // Attempt to load actual models if available
-  try {
-    // Load island model
-    loader.load('/island.glb', (gltf) => {
-      const island = gltf.scene;
-      island.position.set(30, 0, 30); // Base at water level (y=0)
-      island.scale.set(10, 10, 10); // Adjust scale as needed
-      threeObjects.scene.add(island);
-
-      // Add physics collider (approximate with a box)
-      const islandBody = createRigidBody(physicsWorld, { x: 30, y: 0, z: 30 }, true);
-      createCollider(physicsWorld, islandBody, 'box', { width: 10, height: 2, depth: 10 });
-    }, undefined, (error) => {
-      console.warn('Could not load island model:', error);
-    });
-
-    // Load tree model
-    loader.load('/tree.glb', (gltf) => {
-      const tree = gltf.scene;
-      tree.position.set(30, 2, 30); // On island, above water
-      tree.scale.set(5, 5, 5); // Adjust scale
-      threeObjects.scene.add(tree);
-
-      // Add collider for tree
-      const treeBody = createRigidBody(physicsWorld, { x: 30, y: 2, z: 30 }, true);
-      createCollider(physicsWorld, treeBody, 'cylinder', { radius: 0.5, height: 2 });
-    }, undefined, (error) => {
-      console.warn('Could not load tree model:', error);
-    });
-  } catch (error) {
-    console.warn('Error loading models:', error);
+  if (prop.density !== undefined) {
+    colliders.forEach((created) => created.setDensity(prop.density));
   }
 }
 
 /**
- * Add vegetation (grass, flowers) to an island
- * @param {Object} threeObjects - The Three.js objects
- * @param {Object} islandPosition - The position of the island
- * @param {number} radius - The radius of the island
+ * Create the floating (dynamic) bodies of a level
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object} entities - The entity registry
+ * @param {Array} bodies - Floating body descriptions from the level
  */
-function addVegetation(threeObjects, islandPosition, radius) {
-  // Create grass
-  const grassGeometry = new THREE.PlaneGeometry(radius * 2, radius * 2);
-  const grassMaterial = new THREE.MeshStandardMaterial({ 
-    color: 0x7CFC00, // Bright green
-    side: THREE.DoubleSide,
-    roughness: 0.8
-  });
-  
-  const grass = new THREE.Mesh(grassGeometry, grassMaterial);
-  grass.rotation.x = -Math.PI / 2; // Lay flat
-  grass.position.set(
-    islandPosition.x, 
-    islandPosition.y + 0.01, // Slightly above island
-    islandPosition.z
-  );
-  threeObjects.scene.add(grass);
-  
-  // Add some random flowers or small details
-  const flowerCount = Math.floor(radius * 3); // More flowers for bigger islands
-  
-  for (let i = 0; i < flowerCount; i++) {
-    // Random position within island radius
-    const angle = Math.random() * Math.PI * 2;
-    const distance = Math.random() * (radius * 0.8); // Keep within 80% of radius
-    const x = islandPosition.x + Math.cos(angle) * distance;
-    const z = islandPosition.z + Math.sin(angle) * distance;
-    
-    // Random flower color
-    const colors = [0xFF1493, 0xFFFF00, 0xFF4500, 0x9932CC, 0xFFFFFF];
-    const color = colors[Math.floor(Math.random() * colors.length)];
-    
-    // Create a simple flower with a sphere and cylinder
-    const flowerGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-    const flowerMaterial = new THREE.MeshStandardMaterial({ color });
-    const flower = new THREE.Mesh(flowerGeometry, flowerMaterial);
+function createFloatingBodies(physicsWorld, entities, bodies) {
+  for (const body of bodies) {
+    const position = toVector3(body.position);
+    const color = body.color ? new THREE.Color(body.color) : DEFAULT_FLOATING_COLOR;
     
-    const stemGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.5, 8);
-    const stemMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
-    const stem = new THREE.Mesh(stemGeometry, stemMaterial);
+    const rigidBody = createRigidBody(physicsWorld, position, false);
+    const collider = createCollider(physicsWorld, rigidBody, body.shape, body.size);
+    if (body.density !== undefined) {
+      collider.setDensity(body.density);
+    }
     
-    // Position flower and stem
-    stem.position.set(x, islandPosition.y + 0.25, z);
-    flower.position.set(x, islandPosition.y + 0.6, z);
+    const mesh = createVisualObject(entities.threeObjects, body.shape, body.size, position, color);
     
-    threeObjects.scene.add(stem);
-    threeObjects.scene.add(flower);
+    registerEntity(entities, { object3D: mesh, rigidBody, name: 'floatingBody' });
   }
 }
 
 /**
- * Create a simple island using a cylinder
- * @param {Object} physicsWorld - The physics world
- * @param {Object} threeObjects - The Three.js objects
- * @param {Object} position - The position of the island
- * @param {number} radiusTop - The top radius of the island
- * @param {number} height - The height of the island
- * @param {number} radiusBottom - The bottom radius of the island
- * @param {number} color - The color of the island
+ * Create flowers at given positions (scattered over the islands, see archipelago.js)
+ * @param {Object} entities - The entity registry
+ * @param {Array} flowers - Flower entries ({ position }) from the level
+ * @param {Function} random - Seeded random number generator (picks the colors)
  */
-function createSimpleIsland(physicsWorld, threeObjects, position, radiusTop, height, radiusBottom, color) {
-  // Create island mesh
-  const geometry = new THREE.CylinderGeometry(radiusTop, radiusBottom, height, 32);
-  const material = new THREE.MeshStandardMaterial({ 
-    color,
-    roughness: 0.9,
-    metalness: 0.1
-  });
-  const mesh = new THREE.Mesh(geometry, material);
-  mesh.position.set(position.x, position.y, position.z);
-  mesh.castShadow = true;
-  mesh.receiveShadow = true;
-  threeObjects.scene.add(mesh);
+function createFlowers(entities, flowers, random) {
+  if (flowers.length === 0) return;
+  
+  // Decoration only (no physics), in one group
+  const vegetation = new THREE.Group();
+  for (const flower of flowers) {
+    const [x, y, z] = flower.position;
+    addFlower(vegetation, x, y, z, FLOWER_COLORS[Math.floor(random() * FLOWER_COLORS.length)]);
+  }
   
-  // Create physics body for the island
-  const rigidBody = createRigidBody(physicsWorld, position, true);
-  createCollider(physicsWorld, rigidBody, 'cylinder', { radius: radiusTop, height });
+  registerEntity(entities, { object3D: vegetation, name: 'vegetation' });
+}
+
+/**
+ * Add a simple flower (a sphere on a cylinder stem) to a group
+ * @param {THREE.Group} group - The group to add the flower to
+ * @param {number} x - X position of the stem base in the group
+ * @param {number} y - Y position of the stem base in the group
+ * @param {number} z - Z position of the stem base in the group
+ * @param {number} color - The flower color
+ */
+function addFlower(group, x, y, z, color) {
+  const flowerGeometry = new THREE.SphereGeometry(0.2, 8, 8);
+  const flowerMaterial = new THREE.MeshStandardMaterial({ color });
+  const flower = new THREE.Mesh(flowerGeometry, flowerMaterial);
+  
+  const stemGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.5, 8);
+  const stemMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22 });
+  const stem = new THREE.Mesh(stemGeometry, stemMaterial);
+  
+  // Position flower and stem
+  stem.position.set(x, y + 0.25, z);
+  flower.position.set(x, y + 0.6, z);
   
-  return { rigidBody, mesh };
+  group.add(stem);
+  group.add(flower);
 }
 
 /**
  * Create a simple tree using a cylinder for trunk and a cone for foliage
  * @param {Object} physicsWorld - The physics world
- * @param {Object} threeObjects - The Three.js objects
+ * @param {Object} entities - The entity registry
  * @param {Object} position - The position of the tree
  * @param {number} height - The height of the tree
  * @param {number} radius - The radius of the tree trunk
+ * @returns {Object} The tree entity
  */
-function createSimpleTree(physicsWorld, threeObjects, position, height, radius) {
+function createSimpleTree(physicsWorld, entities, position, height, radius) {
+  // Trunk and foliage are grouped at the tree base
+  const tree = new THREE.Group();
+  tree.position.set(position.x, position.y, position.z);
+  
   // Create tree trunk
   const trunkGeometry = new THREE.CylinderGeometry(radius * 0.5, radius, height * 0.4, 8);
   const trunkMaterial = new THREE.MeshStandardMaterial({ 
@@ -233,10 +238,10 @@ function createSimpleTree(physicsWorld, threeObjects, position, height, radius)
     metalness: 0.1
   });
   const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-  trunk.position.set(position.x, position.y + height * 0.2, position.z);
+  trunk.position.set(0, height * 0.2, 0);
   trunk.castShadow = true;
   trunk.receiveShadow = true;
-  threeObjects.scene.add(trunk);
+  tree.add(trunk);
   
   // Create multiple layers of foliage for a more realistic tree
   const foliageColors = [0x228B22, 0x006400, 0x32CD32]; // Different shades of green
@@ -245,7 +250,7 @@ function createSimpleTree(physicsWorld, threeObjects, position, height, radius)
   for (let i = 0; i < foliageLayers; i++) {
     const layerSize = height * 0.3 * (1 - i * 0.2); // Decreasing size for higher layers
     const layerHeight = height * 0.2;
-    const layerY = position.y + height * 0.4 + i * layerHeight * 0.8;
+    const layerY = height * 0.4 + i * layerHeight * 0.8;
     
     const foliageGeometry = new THREE.ConeGeometry(layerSize, layerHeight, 8);
     const foliageMaterial = new THREE.MeshStandardMaterial({ 
@@ -254,76 +259,15 @@ function createSimpleTree(physicsWorld, threeObjects, position, height, radius)
       metalness: 0.1
     });
     const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
-    foliage.position.set(position.x, layerY, position.z);
+    foliage.position.set(0, layerY, 0);
     foliage.castShadow = true;
     foliage.receiveShadow = true;
-    threeObjects.scene.add(foliage);
+    tree.add(foliage);
   }
   
   // Create physics body for the tree
   const rigidBody = createRigidBody(physicsWorld, position, true);
   createCollider(physicsWorld, rigidBody, 'cylinder', { radius, height });
   
-  return { rigidBody };
+  return registerEntity(entities, { object3D: tree, rigidBody, name: 'tree' });
 }
-
-/**
- * Create a box in the environment
- * @param {Object} physicsWorld - The physics world
- * @param {Object} threeObjects - The Three.js objects
- * @param {Object} position - The position of the box
- * @param {Object} size - The size of the box
- * @param {number} color - The color of the box
- * @param {Object} rotation - The rotation of the box (optional)
- * @param {boolean} isStatic - Whether the box is static (default: true)
- */
-function createBox(physicsWorld, threeObjects, position, size, color, rotation = null, isStatic = true) {
-  // Create a physics rigid body for the box
-  const rigidBody = createRigidBody(physicsWorld, position, isStatic);
-  
-  // Apply rotation if provided
-  if (rotation) {
-    const q = new physicsWorld.RAPIER.Quaternion(
-      rotation.x,
-      rotation.y,
-      rotation.z,
-      rotation.w
-    );
-    rigidBody.setRotation(q, true);
-  }
-  
-  // Create a collider for the box
-  createCollider(physicsWorld, rigidBody, 'box', size);
-  
-  // Create a visual representation of the box
-  const mesh = createVisualObject(threeObjects, 'box', size, position, color);
-  
-  // Apply rotation to the mesh if provided
-  if (rotation) {
-    mesh.rotation.copy(rotation);
-  }
-  
-  return { rigidBody, mesh };
-}
-
-/**
- * Create a sphere in the environment
- * @param {Object} physicsWorld - The physics world
- * @param {Object} threeObjects - The Three.js objects
- * @param {Object} position - The position of the sphere
- * @param {Object} size - The size of the sphere
- * @param {number} color - The color of the sphere
- * @param {boolean} isStatic - Whether the sphere is static (default: true)
- */
-function createSphere(physicsWorld, threeObjects, position, size, color, isStatic = true) {
-  // Create a physics rigid body for the sphere
-  const rigidBody = createRigidBody(physicsWorld, position, isStatic);
-  
-  // Create a collider for the sphere
-  createCollider(physicsWorld, rigidBody, 'sphere', size);
-  
-  // Create a visual representation of the sphere
-  const mesh = createVisualObject(threeObjects, 'sphere', size, position, color);
-  
-  return { rigidBody, mesh };
-}
\ No newline at end of file
@@ -171,11 +171,19 @@ export function createWaterGUI(options = {}) {
     // Performance
     const textureOptions = [128, 256, 512, 1024, 2048];
     performanceFolder.add(waterParams, 'textureWidth', textureOptions).name('Texture Width').onChange((value) => {
-        console.log('Texture width changed to', value, '- requires reload to take effect');
+        if (config.water && config.water.setResolution) {
+            config.water.setResolution(waterParams.textureWidth, waterParams.textureHeight);
+        } else {
+            console.log('Texture width changed to', value, '- requires reload to take effect');
+        }
     });
     
     performanceFolder.add(waterParams, 'textureHeight', textureOptions).name('Texture Height').onChange((value) => {
-        console.log('Texture height changed to', value, '- requires reload to take effect');
+        if (config.water && config.water.setResolution) {
+            config.water.setResolution(waterParams.textureWidth, waterParams.textureHeight);
+        } else {
+            console.log('Texture height changed to', value, '- requires reload to take effect');
+        }
     });
     
     // Add a preset selector
@@ -0,0 +1,35 @@
+/**
+ * Heads-up display module for on-screen character status
+ */
+
+// HUD elements
+let breathMeter = null;
+let breathFill = null;
+
+/**
+ * Initialize the HUD
+ */
+export function initHud() {
+  breathMeter = document.getElementById('breath-meter');
+  breathFill = document.getElementById('breath-fill');
+  
+  if (!breathMeter || !breathFill) {
+    console.warn('Breath meter elements not found');
+  }
+}
+
+/**
+ * Update the HUD from the character state
+ * @param {Object} character - The character controller
+ */
+export function updateHud(character) {
+  if (!breathMeter || !breathFill) return;
+  
+  // Only show the breath meter while it is not full
+  const breathRatio = character.breath / character.maxBreath;
+  breathMeter.style.display = breathRatio < 1 ? 'block' : 'none';
+  breathFill.style.width = `${breathRatio * 100}%`;
+  
+  // Warn when running out of air
+  breathFill.style.backgroundColor = breathRatio < 0.25 ? '#ff4d4d' : '#4dc3ff';
+}
@@ -1,19 +1,87 @@
 /**
- * Input handling module for capturing keyboard and mouse input
+ * Input handling module for capturing keyboard, mouse and gamepad input.
+ *
+ * Physical inputs are mapped to named actions through rebindable bindings,
+ * and the actions are exposed through the same inputState shape the
+ * character controller has always used.
  */
 
-// Input state object to track key presses and mouse movement
+// Storage key for user-defined bindings
+const BINDINGS_STORAGE_KEY = '3d-controller.inputBindings';
+
+// Gamepad constants
+const STICK_DEADZONE = 0.15;   // Stick values below this are ignored
+const TRIGGER_DEADZONE = 0.1;  // Trigger values below this are ignored
+const BUTTON_THRESHOLD = 0.5;  // Analog value at which a digital action counts as pressed
+const GAMEPAD_LOOK_SPEED = 800; // Right stick look speed, in mouse pixels per second at full tilt
+
+/**
+ * Default bindings for every action.
+ * Bindings are strings of the form:
+ * - 'Key:<KeyboardEvent.code>'       e.g. 'Key:KeyW', 'Key:ArrowUp'
+ * - 'GamepadButton:<index>'          standard mapping, e.g. 0 = A / Cross, 7 = right trigger
+ * - 'GamepadAxis:<index><+|->'       one direction of a stick axis, e.g. 'GamepadAxis:1-' = left stick up
+ */
+const DEFAULT_BINDINGS = {
+  moveForward: ['Key:KeyW', 'Key:ArrowUp', 'GamepadAxis:1-', 'GamepadButton:12'],
+  moveBackward: ['Key:KeyS', 'Key:ArrowDown', 'GamepadAxis:1+', 'GamepadButton:13'],
+  moveLeft: ['Key:KeyA', 'Key:ArrowLeft', 'GamepadAxis:0-', 'GamepadButton:14'],
+  moveRight: ['Key:KeyD', 'Key:ArrowRight', 'GamepadAxis:0+', 'GamepadButton:15'],
+  jump: ['Key:Space', 'GamepadButton:0'],
+  dive: ['Key:KeyC', 'GamepadButton:1', 'GamepadButton:7'],
+  cameraMode: ['Key:KeyV', 'GamepadButton:3'],
+  toggleDebug: ['Key:KeyP'],
+  quickSave: ['Key:KeyK'],
+  quickLoad: ['Key:KeyL'],
+  exportSnapshot: ['Key:KeyO'],
+  exportReplay: ['Key:KeyR'],
+  lookLeft: ['GamepadAxis:2-'],
+  lookRight: ['GamepadAxis:2+'],
+  lookUp: ['GamepadAxis:3-'],
+  lookDown: ['GamepadAxis:3+']
+};
+
+// Named axes built from pairs of actions (negative, positive)
+const AXES = {
+  moveX: ['moveLeft', 'moveRight'],
+  moveY: ['moveForward', 'moveBackward'],
+  lookX: ['lookLeft', 'lookRight'],
+  lookY: ['lookUp', 'lookDown']
+};
+
+// Input state object exposed to the rest of the game
 const inputState = {
-  forward: false,  // W key
-  backward: false, // S key
-  left: false,     // A key
-  right: false,    // D key
-  jump: false,     // Space key
+  forward: 0,      // Analog 0..1
+  backward: 0,     // Analog 0..1
+  left: 0,         // Analog 0..1
+  right: 0,        // Analog 0..1
+  jump: false,     // Jump (also ascends while swimming)
+  dive: false,     // Swim down
+  cameraMode: false, // Switch to the next camera mode
+  toggleDebug: false, // Show or hide the physics debug overlay
+  quickSave: false, // Save a snapshot to localStorage
+  quickLoad: false, // Restore the snapshot saved in localStorage
+  exportSnapshot: false, // Download a snapshot file
+  exportReplay: false, // Download the recorded input as a replay file
   mouseX: 0,       // Mouse X movement
   mouseY: 0,       // Mouse Y movement
   pointerLocked: false // Whether pointer is locked
 };
 
+// Current bindings (defaults merged with saved overrides)
+let bindings = loadBindings();
+
+// Raw device state
+const keysDown = new Set();
+let gamepadButtons = [];
+let gamepadAxes = [];
+
+// Action values fed by on-screen controls (see touch-controls.js)
+const virtualActions = new Map();
+
+// Pending rebind request ({ action, slot, resolve, reject })
+let pendingCapture = null;
+
 /**
  * Initialize input handling
  */
@@ -23,6 +91,7 @@ export function initInput() {
   // Keyboard event listeners
   window.addEventListener('keydown', handleKeyDown);
   window.addEventListener('keyup', handleKeyUp);
+  window.addEventListener('blur', () => keysDown.clear());
   
   // Mouse event listeners
   window.addEventListener('mousemove', handleMouseMove);
@@ -30,11 +99,20 @@ export function initInput() {
   // Pointer lock event listeners
   document.addEventListener('pointerlockchange', handlePointerLockChange);
   
+  // Gamepad connection logging (values are polled in updateInput)
+  window.addEventListener('gamepadconnected', (event) => {
+    console.log(`Gamepad connected: ${event.gamepad.id}`);
+  });
+  window.addEventListener('gamepaddisconnected', (event) => {
+    console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+  });
+  
   // Add click event listener to canvas to request pointer lock
   const canvas = document.querySelector('canvas');
   if (canvas) {
     canvas.addEventListener('click', () => {
-      if (!inputState.pointerLocked) {
+      // Pointer lock is not available on touch devices
+      if (!inputState.pointerLocked && canvas.requestPointerLock) {
         canvas.requestPointerLock();
       }
     });
@@ -52,7 +130,13 @@ export function initInput() {
  * @param {KeyboardEvent} event - The keyboard event
  */
 function handleKeyDown(event) {
-  updateKeyState(event.code, true);
+  if (pendingCapture) {
+    event.preventDefault();
+    completeCapture(`Key:${event.code}`);
+    return;
+  }
+  
+  keysDown.add(event.code);
 }
 
 /**
@@ -60,32 +144,7 @@ function handleKeyDown(event) {
  * @param {KeyboardEvent} event - The keyboard event
  */
 function handleKeyUp(event) {
-  updateKeyState(event.code, false);
-}
-
-/**
- * Update the key state based on the key code
- * @param {string} code - The key code
- * @param {boolean} pressed - Whether the key is pressed
- */
-function updateKeyState(code, pressed) {
-  switch (code) {
-    case 'KeyW':
-      inputState.forward = pressed;
-      break;
-    case 'KeyS':
-      inputState.backward = pressed;
-      break;
-    case 'KeyA':
-      inputState.left = pressed;
-      break;
-    case 'KeyD':
-      inputState.right = pressed;
-      break;
-    case 'Space':
-      inputState.jump = pressed;
-      break;
-  }
+  keysDown.delete(event.code);
 }
 
 /**
@@ -94,9 +153,10 @@ function updateKeyState(code, pressed) {
  */
 function handleMouseMove(event) {
   if (inputState.pointerLocked) {
-    // Use movementX/Y for better cross-browser support
-    inputState.mouseX = event.movementX || 0;
-    inputState.mouseY = event.movementY || 0;
+    // Use movementX/Y for better cross-browser support.
+    // Accumulate until resetMouseMovement() so no motion is lost between frames
+    inputState.mouseX += event.movementX || 0;
+    inputState.mouseY += event.movementY || 0;
   }
 }
 
@@ -108,11 +168,163 @@ function handlePointerLockChange() {
   console.log(`Pointer lock: ${inputState.pointerLocked ? 'acquired' : 'released'}`);
 }
 
+/**
+ * Apply a deadzone to an analog value and rescale the remainder to 0..1
+ * @param {number} value - The raw value (0..1)
+ * @param {number} deadzone - The deadzone size
+ * @returns {number} The filtered value
+ */
+function applyDeadzone(value, deadzone) {
+  if (value <= deadzone) return 0;
+  return Math.min(1, (value - deadzone) / (1 - deadzone));
+}
+
+/**
+ * Poll connected gamepads. Call once per frame.
+ * @param {number} deltaTime - Time since the last frame in seconds
+ */
+export function updateInput(deltaTime) {
+  gamepadButtons = [];
+  gamepadAxes = [];
+  
+  const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+  for (const gamepad of gamepads) {
+    if (!gamepad || gamepad.mapping !== 'standard') continue;
+    
+    // Combine all standard gamepads (strongest value wins)
+    gamepad.buttons.forEach((button, index) => {
+      // Triggers (6, 7) are analog and get their own deadzone
+      const value = index === 6 || index === 7
+        ? applyDeadzone(button.value, TRIGGER_DEADZONE)
+        : button.value;
+      gamepadButtons[index] = Math.max(gamepadButtons[index] || 0, value);
+    });
+    
+    // Sticks use a radial deadzone per stick (axes 0/1 and 2/3)
+    for (let axis = 0; axis + 1 < gamepad.axes.length; axis += 2) {
+      const x = gamepad.axes[axis];
+      const y = gamepad.axes[axis + 1];
+      const magnitude = Math.hypot(x, y);
+      const scale = magnitude > 0 ? applyDeadzone(magnitude, STICK_DEADZONE) / magnitude : 0;
+      
+      for (const [index, value] of [[axis, x * scale], [axis + 1, y * scale]]) {
+        if (Math.abs(value) > Math.abs(gamepadAxes[index] || 0)) {
+          gamepadAxes[index] = value;
+        }
+      }
+    }
+  }
+  
+  // A rebind in progress takes the first pressed button or pushed axis
+  if (pendingCapture) {
+    const button = gamepadButtons.findIndex((value) => value > BUTTON_THRESHOLD);
+    const axis = gamepadAxes.findIndex((value) => Math.abs(value) > BUTTON_THRESHOLD);
+    if (button !== -1) {
+      completeCapture(`GamepadButton:${button}`);
+    } else if (axis !== -1) {
+      completeCapture(`GamepadAxis:${axis}${gamepadAxes[axis] > 0 ? '+' : '-'}`);
+    }
+  }
+  
+  // Right stick look is fed through the mouse movement fields
+  inputState.mouseX += getAxisValue('lookX') * GAMEPAD_LOOK_SPEED * deltaTime;
+  inputState.mouseY += getAxisValue('lookY') * GAMEPAD_LOOK_SPEED * deltaTime;
+}
+
+/**
+ * Get the current value of a single binding
+ * @param {string} binding - The binding string
+ * @returns {number} The value (0..1)
+ */
+function getBindingValue(binding) {
+  const [device, code] = binding.split(':');
+  
+  switch (device) {
+    case 'Key':
+      return keysDown.has(code) ? 1 : 0;
+    case 'GamepadButton':
+      return gamepadButtons[Number(code)] || 0;
+    case 'GamepadAxis': {
+      const value = gamepadAxes[parseInt(code, 10)] || 0;
+      return code.endsWith('-') ? Math.max(0, -value) : Math.max(0, value);
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Get the current value of an action (strongest of its bindings)
+ * @param {string} action - The action name
+ * @returns {number} The value (0..1)
+ */
+export function getActionValue(action) {
+  const actionBindings = bindings[action] || [];
+  const virtualValue = virtualActions.get(action) || 0;
+  return actionBindings.reduce((value, binding) => Math.max(value, getBindingValue(binding)), virtualValue);
+}
+
+/**
+ * Set the value of an action from an on-screen control
+ * @param {string} action - The action name
+ * @param {number} value - The value (0..1), 0 to release
+ */
+export function setVirtualAction(action, value) {
+  if (!(action in DEFAULT_BINDINGS)) {
+    throw new Error(`Unknown input action: ${action}`);
+  }
+  
+  virtualActions.set(action, Math.max(0, Math.min(1, value)));
+}
+
+/**
+ * Add look movement from a source other than the locked mouse (e.g. touch drag)
+ * @param {number} deltaX - Horizontal movement, in mouse pixels
+ * @param {number} deltaY - Vertical movement, in mouse pixels
+ */
+export function addLookMovement(deltaX, deltaY) {
+  inputState.mouseX += deltaX;
+  inputState.mouseY += deltaY;
+}
+
+/**
+ * Check whether an action is pressed
+ * @param {string} action - The action name
+ * @returns {boolean} Whether the action is pressed
+ */
+export function isActionPressed(action) {
+  return getActionValue(action) >= BUTTON_THRESHOLD;
+}
+
+/**
+ * Get the current value of a named axis
+ * @param {string} axis - The axis name (see AXES)
+ * @returns {number} The value (-1..1)
+ */
+export function getAxisValue(axis) {
+  const [negative, positive] = AXES[axis];
+  return getActionValue(positive) - getActionValue(negative);
+}
+
 /**
  * Get the current input state
  * @returns {Object} The current input state
  */
 export function getInputState() {
+  // Resolve the actions into the input state fields
+  inputState.forward = getActionValue('moveForward');
+  inputState.backward = getActionValue('moveBackward');
+  inputState.left = getActionValue('moveLeft');
+  inputState.right = getActionValue('moveRight');
+  inputState.jump = isActionPressed('jump');
+  inputState.dive = isActionPressed('dive');
+  inputState.cameraMode = isActionPressed('cameraMode');
+  inputState.toggleDebug = isActionPressed('toggleDebug');
+  inputState.quickSave = isActionPressed('quickSave');
+  inputState.quickLoad = isActionPressed('quickLoad');
+  inputState.exportSnapshot = isActionPressed('exportSnapshot');
+  inputState.exportReplay = isActionPressed('exportReplay');
+  
   // Return a copy of the input state to prevent external modification
   return { ...inputState };
 }
@@ -124,4 +336,137 @@ export function getInputState() {
 export function resetMouseMovement() {
   inputState.mouseX = 0;
   inputState.mouseY = 0;
-} 
\ No newline at end of file
+}
+
+/**
+ * Load bindings from localStorage, falling back to the defaults
+ * @returns {Object} The bindings per action
+ */
+function loadBindings() {
+  const loaded = cloneBindings(DEFAULT_BINDINGS);
+  
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(BINDINGS_STORAGE_KEY) || '{}');
+    for (const [action, actionBindings] of Object.entries(saved)) {
+      if (action in DEFAULT_BINDINGS && Array.isArray(actionBindings)) {
+        loaded[action] = actionBindings.filter((binding) => typeof binding === 'string');
+      }
+    }
+  } catch (error) {
+    console.warn('Could not load input bindings:', error);
+  }
+  
+  return loaded;
+}
+
+/**
+ * Save the current bindings to localStorage
+ */
+function saveBindings() {
+  try {
+    window.localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+  } catch (error) {
+    console.warn('Could not save input bindings:', error);
+  }
+}
+
+/**
+ * Deep copy a bindings object
+ * @param {Object} source - The bindings to copy
+ * @returns {Object} The copy
+ */
+function cloneBindings(source) {
+  return Object.fromEntries(
+    Object.entries(source).map(([action, actionBindings]) => [action, [...actionBindings]])
+  );
+}
+
+/**
+ * Get a copy of the current bindings
+ * @returns {Object} The bindings per action
+ */
+export function getBindings() {
+  return cloneBindings(bindings);
+}
+
+/**
+ * Replace the bindings of an action and persist them
+ * @param {string} action - The action name
+ * @param {Array<string>} actionBindings - The new bindings
+ */
+export function setBindings(action, actionBindings) {
+  if (!(action in DEFAULT_BINDINGS)) {
+    throw new Error(`Unknown input action: ${action}`);
+  }
+  
+  bindings[action] = [...actionBindings];
+  saveBindings();
+}
+
+/**
+ * Restore the default bindings and clear the saved ones
+ */
+export function resetBindings() {
+  bindings = cloneBindings(DEFAULT_BINDINGS);
+  try {
+    window.localStorage.removeItem(BINDINGS_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not clear input bindings:', error);
+  }
+}
+
+/**
+ * Bind the next key, gamepad button or stick direction to an action. Only one
+ * rebind is pending at a time: starting another rejects the one before.
+ * @param {string} action - The action name
+ * @param {number} slot - Index of the binding to replace (appended if past the end)
+ * @returns {Promise<string>} Resolves with the captured binding; rejects if the
+ *   rebind is cancelled (see cancelCapture) or superseded by another
+ */
+export function captureBinding(action, slot = 0) {
+  if (!(action in DEFAULT_BINDINGS)) {
+    return Promise.reject(new Error(`Unknown input action: ${action}`));
+  }
+  
+  cancelCapture('Binding capture superseded');
+  
+  return new Promise((resolve, reject) => {
+    pendingCapture = { action, slot, resolve, reject };
+  });
+}
+
+/**
+ * Give up a pending rebind, leaving the bindings as they were
+ * @param {string} reason - Message of the error the rebind rejects with
+ * @returns {boolean} Whether a rebind was pending
+ */
+export function cancelCapture(reason = 'Binding capture cancelled') {
+  if (!pendingCapture) return false;
+  
+  const { action, reject } = pendingCapture;
+  pendingCapture = null;
+  reject(new Error(`${reason}: ${action}`));
+  return true;
+}
+
+/**
+ * Finish a pending rebind with the captured binding
+ * @param {string} binding - The captured binding
+ */
+function completeCapture(binding) {
+  const { action, slot, resolve } = pendingCapture;
+  pendingCapture = null;
+  
+  // A binding belongs to one action only
+  for (const actionBindings of Object.values(bindings)) {
+    const index = actionBindings.indexOf(binding);
+    if (index !== -1) actionBindings.splice(index, 1);
+  }
+  
+  const actionBindings = bindings[action];
+  actionBindings[Math.min(slot, actionBindings.length)] = binding;
+  saveBindings();
+  
+  console.log(`Bound ${binding} to ${action}`);
+  resolve(binding);
+}
@@ -0,0 +1,529 @@
+/**
+ * Level files: JSON descriptions of islands, trees, props, floating bodies,
+ * moving platforms, spawn points and water settings, so levels can be made
+ * without touching JS. An archipelago section generates islands from the seed.
+ *
+ * Levels live in public/levels/ and are validated on load; every problem is
+ * reported with its path in the file (e.g. "islands[2].radius").
+ */
+
+import { MAX_WAVES } from './waves.js';
+
+// Level format version understood by this loader
+export const LEVEL_VERSION = 2;
+
+// Default level, relative to the site root
+export const DEFAULT_LEVEL_URL = '/levels/default.json';
+
+// Settings a level may have at the top level
+const LEVEL_FIELDS = ['version', 'name', 'seed', 'water', 'spawnPoints', 'islands', 'trees', 'props', 'floatingBodies', 'platforms', 'archipelago'];
+
+// Settings of each kind of entry; anything else is reported, so a misspelled
+// setting isn't silently ignored
+const SPAWN_POINT_FIELDS = ['name', 'position', 'yaw'];
+const ISLAND_FIELDS = ['name', 'position', 'radius', 'height', 'beachWidth', 'beachHeight', 'coastRoughness', 'heightmap', 'vegetation'];
+const TREE_FIELDS = ['position', 'height', 'radius'];
+const PROP_FIELDS = ['model', 'position', 'scale', 'rotationY', 'dynamic', 'density', 'collider'];
+const FLOATING_BODY_FIELDS = ['shape', 'size', 'position', 'color', 'density'];
+
+// Platform settings: those of every platform, and those of each type
+const PLATFORM_FIELDS = ['type', 'shape', 'size', 'color', 'rotation'];
+const PLATFORM_TYPE_FIELDS = {
+  path: ['waypoints', 'speed', 'wait', 'loop'],
+  bob: ['position', 'floatHeight'],
+  rotate: ['position', 'axis', 'angularSpeed']
+};
+
+// Collider shapes and the size fields each one needs
+const COLLIDER_SIZE_FIELDS = {
+  box: ['width', 'height', 'depth'],
+  sphere: ['radius'],
+  capsule: ['radius', 'height'],
+  cylinder: ['radius', 'height']
+};
+
+// Prop colliders that aren't primitive shapes: generated from the model, or none
+const PROP_COLLIDER_MODES = ['mesh', 'none'];
+
+// Shapes that have a visual representation (see createVisualObject)
+const FLOATING_BODY_SHAPES = ['box', 'sphere', 'capsule'];
+
+// Water settings a level may override (see water-physics.js)
+const WATER_NUMBER_FIELDS = ['density', 'buoyancyMultiplier', 'linearDrag', 'quadraticDrag', 'waveHeight', 'waveFrequency', 'waveSpeed'];
+
+// Fields of an explicit Gerstner wave (see waves.js)
+const WAVE_FIELDS = ['direction', 'steepness', 'wavelength', 'speed'];
+
+// Archipelago generator settings (see archipelago.js); islandCount is a positive integer
+const ARCHIPELAGO_POSITIVE_FIELDS = ['area', 'minRadius', 'maxRadius', 'minHeight', 'maxHeight'];
+const ARCHIPELAGO_NUMBER_FIELDS = ['spacing', 'treeDensity', 'flowerDensity'];
+
+/**
+ * Fetch and validate a level file
+ * @param {string} url - URL of the level JSON
+ * @returns {Promise<Object>} The validated level
+ */
+export async function loadLevel(url = DEFAULT_LEVEL_URL) {
+  console.log(`Loading level: ${url}`);
+  
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load level "${url}": ${response.status} ${response.statusText}`);
+  }
+  
+  let level;
+  try {
+    level = await response.json();
+  } catch (error) {
+    throw new Error(`Level "${url}" is not valid JSON: ${error.message}`);
+  }
+  
+  const errors = validateLevel(level);
+  if (errors.length > 0) {
+    throw new Error(`Level "${url}" has ${errors.length} error(s):\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  return level;
+}
+
+/**
+ * Check a level against the level format
+ * @param {Object} level - The parsed level JSON
+ * @returns {Array<string>} Error messages (empty when the level is valid)
+ */
+export function validateLevel(level) {
+  const errors = [];
+  
+  if (!isObject(level)) {
+    return ['level: expected an object'];
+  }
+  
+  if (level.version !== LEVEL_VERSION) {
+    errors.push(`version: expected ${LEVEL_VERSION}, got ${JSON.stringify(level.version)}`);
+  }
+  checkFields(level, '', LEVEL_FIELDS, errors);
+  checkOptional(level, 'name', '', errors, checkString);
+  checkOptional(level, 'seed', '', errors, checkInteger);
+  
+  // Water settings
+  if (level.water !== undefined) {
+    if (!isObject(level.water)) {
+      errors.push('water: expected an object');
+    } else {
+      for (const key of Object.keys(level.water)) {
+        if (key === 'waveDirection') {
+          checkVector(level.water.waveDirection, 'water.waveDirection', errors, 2);
+        } else if (key === 'waves') {
+          checkWaves(level.water.waves, errors);
+        } else if (WATER_NUMBER_FIELDS.includes(key)) {
+          checkNumber(level.water[key], `water.${key}`, errors, { min: 0 });
+        } else {
+          errors.push(`water.${key}: unknown setting (expected one of ${[...WATER_NUMBER_FIELDS, 'waveDirection', 'waves'].join(', ')})`);
+        }
+      }
+    }
+  }
+  
+  // Spawn points (at least one, names unique; generated archipelagos add their own)
+  const spawnRequired = level.archipelago === undefined;
+  checkArray(level, 'spawnPoints', errors, { required: spawnRequired, minLength: spawnRequired ? 1 : 0, fields: SPAWN_POINT_FIELDS }, (spawn, path) => {
+    checkString(spawn.name, `${path}.name`, errors);
+    checkVector(spawn.position, `${path}.position`, errors);
+    checkOptional(spawn, 'yaw', path, errors, checkNumber);
+  });
+  if (Array.isArray(level.spawnPoints)) {
+    const names = level.spawnPoints.map((spawn) => spawn && spawn.name);
+    names.forEach((name, index) => {
+      if (names.indexOf(name) !== index) {
+        errors.push(`spawnPoints[${index}].name: duplicate spawn point "${name}"`);
+      }
+    });
+  }
+  
+  // Terrain islands (see terrain.js)
+  checkArray(level, 'islands', errors, { fields: ISLAND_FIELDS }, (island, path) => {
+    checkOptional(island, 'name', path, errors, checkString);
+    checkVector(island.position, `${path}.position`, errors);
+    checkPositive(island.radius, `${path}.radius`, errors);
+    checkPositive(island.height, `${path}.height`, errors);
+    checkOptional(island, 'beachWidth', path, errors, checkPositive);
+    checkOptional(island, 'beachHeight', path, errors, (value, valuePath) => checkNumber(value, valuePath, errors, { min: 0 }));
+    checkOptional(island, 'coastRoughness', path, errors, (value, valuePath) => checkNumber(value, valuePath, errors, { min: 0 }));
+    checkOptional(island, 'heightmap', path, errors, checkString);
+    checkOptional(island, 'vegetation', path, errors, checkBoolean);
+  });
+  
+  checkArray(level, 'trees', errors, { fields: TREE_FIELDS }, (tree, path) => {
+    checkVector(tree.position, `${path}.position`, errors);
+    checkPositive(tree.height, `${path}.height`, errors);
+    checkPositive(tree.radius, `${path}.radius`, errors);
+  });
+  
+  checkArray(level, 'props', errors, { fields: PROP_FIELDS }, (prop, path) => {
+    checkString(prop.model, `${path}.model`, errors);
+    checkVector(prop.position, `${path}.position`, errors);
+    checkOptional(prop, 'scale', path, errors, checkPositive);
+    checkOptional(prop, 'rotationY', path, errors, checkNumber);
+    checkOptional(prop, 'dynamic', path, errors, checkBoolean);
+    checkOptional(prop, 'density', path, errors, checkPositive);
+    if (typeof prop.collider === 'string') {
+      if (!PROP_COLLIDER_MODES.includes(prop.collider)) {
+        errors.push(`${path}.collider: expected ${PROP_COLLIDER_MODES.map((mode) => `"${mode}"`).join(' or ')} or a shape, got ${JSON.stringify(prop.collider)}`);
+      }
+    } else if (prop.collider !== undefined) {
+      checkShape(prop.collider, `${path}.collider`, errors, Object.keys(COLLIDER_SIZE_FIELDS));
+    }
+  });
+  
+  checkArray(level, 'floatingBodies', errors, { fields: FLOATING_BODY_FIELDS }, (body, path) => {
+    checkShape(body, path, errors, FLOATING_BODY_SHAPES);
+    checkVector(body.position, `${path}.position`, errors);
+    checkOptional(body, 'color', path, errors, checkColor);
+    checkOptional(body, 'density', path, errors, checkPositive);
+  });
+  
+  checkArray(level, 'platforms', errors, {}, (platform, path) => {
+    checkShape(platform, path, errors, FLOATING_BODY_SHAPES);
+    checkOptional(platform, 'color', path, errors, checkColor);
+    checkOptional(platform, 'rotation', path, errors, checkVector);
+    
+    switch (platform.type) {
+      case 'path':
+        if (!Array.isArray(platform.waypoints) || platform.waypoints.length < 2) {
+          errors.push(`${path}.waypoints: expected at least 2 waypoints`);
+        } else {
+          platform.waypoints.forEach((point, index) => checkVector(point, `${path}.waypoints[${index}]`, errors));
+        }
+        checkOptional(platform, 'speed', path, errors, checkPositive);
+        checkOptional(platform, 'wait', path, errors, (value, valuePath) => checkNumber(value, valuePath, errors, { min: 0 }));
+        checkOptional(platform, 'loop', path, errors, checkBoolean);
+        break;
+      case 'bob':
+        checkVector(platform.position, `${path}.position`, errors);
+        checkOptional(platform, 'floatHeight', path, errors, checkNumber);
+        break;
+      case 'rotate':
+        checkVector(platform.position, `${path}.position`, errors);
+        checkOptional(platform, 'axis', path, errors, checkVector);
+        checkOptional(platform, 'angularSpeed', path, errors, checkNumber);
+        break;
+      default:
+        errors.push(`${path}.type: expected one of ${Object.keys(PLATFORM_TYPE_FIELDS).join(', ')}, got ${JSON.stringify(platform.type)}`);
+        break;
+    }
+    
+    // The settings of the other types don't apply to this one
+    if (PLATFORM_TYPE_FIELDS[platform.type]) {
+      checkFields(platform, path, [...PLATFORM_FIELDS, ...PLATFORM_TYPE_FIELDS[platform.type]], errors);
+    }
+  });
+  
+  // Generated islands (see archipelago.js)
+  if (level.archipelago !== undefined) {
+    checkArchipelago(level.archipelago, errors);
+  }
+  
+  return errors;
+}
+
+/**
+ * Find a spawn point by name
+ * @param {Object} level - The validated level
+ * @param {string} name - Spawn point name (the first spawn point if omitted or unknown)
+ * @returns {Object} The spawn point ({ name, position: { x, y, z }, yaw })
+ */
+export function getSpawnPoint(level, name) {
+  let spawn = level.spawnPoints.find((candidate) => candidate.name === name);
+  if (!spawn) {
+    if (name) {
+      console.warn(`Unknown spawn point "${name}", using "${level.spawnPoints[0].name}"`);
+    }
+    spawn = level.spawnPoints[0];
+  }
+  
+  return {
+    name: spawn.name,
+    position: toVector3(spawn.position),
+    yaw: spawn.yaw || 0
+  };
+}
+
+/**
+ * Convert a level [x, y, z] array to a position object
+ * @param {Array<number>} array - The array from the level file
+ * @returns {Object} The position ({ x, y, z })
+ */
+export function toVector3(array) {
+  return { x: array[0], y: array[1], z: array[2] };
+}
+
+/**
+ * Check an array of entries, reporting errors with their index
+ * @param {Object} level - The level
+ * @param {string} key - The array field
+ * @param {Array<string>} errors - Error list to append to
+ * @param {Object} options - { required, minLength, fields } (fields: the settings an entry may have)
+ * @param {Function} checkEntry - Called with (entry, path) for every object entry
+ */
+function checkArray(level, key, errors, options, checkEntry) {
+  const value = level[key];
+  
+  if (value === undefined) {
+    if (options.required) {
+      errors.push(`${key}: required`);
+    }
+    return;
+  }
+  if (!Array.isArray(value)) {
+    errors.push(`${key}: expected an array`);
+    return;
+  }
+  if (options.minLength && value.length < options.minLength) {
+    errors.push(`${key}: expected at least ${options.minLength} entr${options.minLength === 1 ? 'y' : 'ies'}`);
+  }
+  
+  value.forEach((entry, index) => {
+    const path = `${key}[${index}]`;
+    if (!isObject(entry)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    if (options.fields) {
+      checkFields(entry, path, options.fields, errors);
+    }
+    checkEntry(entry, path);
+  });
+}
+
+/**
+ * Report the settings of an object that aren't in its list
+ * @param {Object} object - The object to check
+ * @param {string} path - Path of the object in the level ('' for the root)
+ * @param {Array<string>} fields - The settings it may have
+ * @param {Array<string>} errors - Error list to append to
+ */
+function checkFields(object, path, fields, errors) {
+  for (const key of Object.keys(object)) {
+    if (!fields.includes(key)) {
+      errors.push(`${path ? `${path}.${key}` : key}: unknown setting (expected one of ${fields.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Check an optional field with the same validator used for required ones
+ * @param {Object} object - The object holding the field
+ * @param {string} key - The field name
+ * @param {string} path - Path of the object in the level ('' for the root)
+ * @param {Array<string>} errors - Error list to append to
+ * @param {Function} check - Validator called with (value, path, errors)
+ */
+function checkOptional(object, key, path, errors, check) {
+  if (object[key] !== undefined) {
+    check(object[key], path ? `${path}.${key}` : key, errors);
+  }
+}
+
+/**
+ * Check the settings of a generated archipelago
+ * @param {*} archipelago - The archipelago section
+ * @param {Array<string>} errors - Error list to append to
+ */
+function checkArchipelago(archipelago, errors) {
+  if (!isObject(archipelago)) {
+    errors.push('archipelago: expected an object');
+    return;
+  }
+  
+  for (const key of Object.keys(archipelago)) {
+    const path = `archipelago.${key}`;
+    if (key === 'islandCount') {
+      checkInteger(archipelago.islandCount, path, errors);
+      checkPositive(archipelago.islandCount, path, errors);
+    } else if (ARCHIPELAGO_POSITIVE_FIELDS.includes(key)) {
+      checkPositive(archipelago[key], path, errors);
+    } else if (ARCHIPELAGO_NUMBER_FIELDS.includes(key)) {
+      checkNumber(archipelago[key], path, errors, { min: 0 });
+    } else {
+      errors.push(`${path}: unknown setting (expected one of ${['islandCount', ...ARCHIPELAGO_POSITIVE_FIELDS, ...ARCHIPELAGO_NUMBER_FIELDS].join(', ')})`);
+    }
+  }
+  
+  // Ranges must not be inverted
+  for (const [min, max] of [['minRadius', 'maxRadius'], ['minHeight', 'maxHeight']]) {
+    if (typeof archipelago[min] === 'number' && typeof archipelago[max] === 'number' && archipelago[min] > archipelago[max]) {
+      errors.push(`archipelago.${min}: expected at most ${max} (${archipelago[max]}), got ${archipelago[min]}`);
+    }
+  }
+}
+
+/**
+ * Check an explicit Gerstner wave set (see waves.js). The crests fold over
+ * themselves once the steepnesses add up to more than 1.
+ * @param {*} waves - The water.waves section
+ * @param {Array<string>} errors - Error list to append to
+ */
+function checkWaves(waves, errors) {
+  if (!Array.isArray(waves)) {
+    errors.push('water.waves: expected an array');
+    return;
+  }
+  if (waves.length > MAX_WAVES) {
+    errors.push(`water.waves: expected at most ${MAX_WAVES} waves, got ${waves.length}`);
+  }
+  
+  let totalSteepness = 0;
+  waves.forEach((wave, index) => {
+    const path = `water.waves[${index}]`;
+    if (!isObject(wave)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    
+    checkVector(wave.direction, `${path}.direction`, errors, 2);
+    if (Array.isArray(wave.direction) && wave.direction[0] === 0 && wave.direction[1] === 0) {
+      errors.push(`${path}.direction: expected a non-zero direction`);
+    }
+    checkNumber(wave.steepness, `${path}.steepness`, errors, { min: 0 });
+    checkPositive(wave.wavelength, `${path}.wavelength`, errors);
+    checkNumber(wave.speed, `${path}.speed`, errors);
+    checkFields(wave, path, WAVE_FIELDS, errors);
+    
+    if (typeof wave.steepness === 'number') {
+      totalSteepness += wave.steepness;
+    }
+  });
+  
+  if (totalSteepness > 1) {
+    errors.push(`water.waves: expected steepnesses adding up to at most 1, got ${totalSteepness}`);
+  }
+}
+
+/**
+ * Check a collider shape and its size fields
+ * @param {Object} object - Object with shape and size fields
+ * @param {string} path - Path of the object in the level
+ * @param {Array<string>} errors - Error list to append to
+ * @param {Array<string>} shapes - Allowed shapes
+ */
+function checkShape(object, path, errors, shapes) {
+  if (!isObject(object)) {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+  if (!shapes.includes(object.shape)) {
+    errors.push(`${path}.shape: expected one of ${shapes.join(', ')}, got ${JSON.stringify(object.shape)}`);
+    return;
+  }
+  if (!isObject(object.size)) {
+    errors.push(`${path}.size: expected an object with ${COLLIDER_SIZE_FIELDS[object.shape].join(', ')}`);
+    return;
+  }
+  for (const field of COLLIDER_SIZE_FIELDS[object.shape]) {
+    checkPositive(object.size[field], `${path}.size.${field}`, errors);
+  }
+}
+
+/**
+ * Check a finite number, optionally with a lower bound
+ * @param {*} value - The value to check
+ * @param {string} path - Path of the value in the level
+ * @param {Array<string>} errors - Error list to append to
+ * @param {Object} options - { min, exclusive }
+ */
+function checkNumber(value, path, errors, options = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${path}: expected a number, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (options.min !== undefined) {
+    const tooSmall = options.exclusive ? value <= options.min : value < options.min;
+    if (tooSmall) {
+      errors.push(`${path}: expected a number ${options.exclusive ? '>' : '>='} ${options.min}, got ${value}`);
+    }
+  }
+}
+
+/**
+ * Check a number greater than zero (sizes, scales, densities)
+ * @param {*} value - The value to check
+ * @param {string} path - Path of the value in the level
+ * @param {Array<string>} errors - Error list to append to
+ */
+function checkPositive(value, path, errors) {
+  checkNumber(value, path, errors, { min: 0, exclusive: true });
+}
+
+/**
+ * Check an integer (random seeds)
+ * @param {*} value - The value to check
+ * @param {string} path - Path of the value in the level
+ * @param {Array<string>} errors - Error list to append to
+ */
+function checkInteger(value, path, errors) {
+  if (!Number.isInteger(value)) {
+    errors.push(`${path}: expected an integer, got ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Check a non-empty string
+ * @param {*} value - The value to check
+ * @param {string} path - Path of the value in the level
+ * @param {Array<string>} errors - Error list to append to
+ */
+function checkString(value, path, errors) {
+  if (typeof value !== 'string' || value.length === 0) {
+    errors.push(`${path}: expected a non-empty string, got ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Check a boolean
+ * @param {*} value - The value to check
+ * @param {string} path - Path of the value in the level
+ * @param {Array<string>} errors - Error list to append to
+ */
+function checkBoolean(value, path, errors) {
+  if (typeof value !== 'boolean') {
+    errors.push(`${path}: expected true or false, got ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Check a "#rrggbb" color string
+ * @param {*} value - The value to check
+ * @param {string} path - Path of the value in the level
+ * @param {Array<string>} errors - Error list to append to
+ */
+function checkColor(value, path, errors) {
+  if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+    errors.push(`${path}: expected a color like "#8B4513", got ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Check an array of numbers
+ * @param {*} value - The value to check
+ * @param {string} path - Path of the value in the level
+ * @param {Array<string>} errors - Error list to append to
+ * @param {number} length - Expected number of components
+ */
+function checkVector(value, path, errors, length = 3) {
+  const valid = Array.isArray(value)
+    && value.length === length
+    && value.every((component) => typeof component === 'number' && Number.isFinite(component));
+  
+  if (!valid) {
+    errors.push(`${path}: expected an array of ${length} numbers, got ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * Whether a value is a plain object
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether the value is a non-array object
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
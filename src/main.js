@@ -1,12 +1,49 @@
 // Import necessary modules
 import * as THREE from 'three';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
-import { initPhysics, updatePhysics, createRigidBody, createCollider } from './physics.js';
-import { initScene, renderScene, createVisualObject } from './scene.js';
-import { initInput, getInputState, resetMouseMovement } from './input.js';
-import { createCharacter, updateCharacter } from './character.js';
-import { initCamera, updateCamera } from './camera.js';
-import { createEnvironment } from './environment.js';
+import { createRigidBody, createCollider, PHYSICS_TIMESTEP } from './physics.js';
+import { initScene, renderScene, createVisualObject, updateWaterSurface, updateWaterRipples, setShorelineMap } from './scene.js';
+import { collectRippleSources } from './ripples.js';
+import { createUnderwater, updateUnderwater } from './underwater.js';
+import { updateParticles, clearParticles } from './particles.js';
+import { createSplashes, updateSplashes, resetSplashes } from './splashes.js';
+import { createShorelineMap } from './terrain.js';
+import { initInput, updateInput, getInputState, resetMouseMovement } from './input.js';
+import { isTouchDevice, initTouchControls } from './touch-controls.js';
+import { updateMeshFromBody, CHARACTER_MODES } from './character.js';
+import { initCamera, updateCamera, isCameraDetached } from './camera.js';
+import { syncEntities } from './entities.js';
+import { createSimulation, stepSimulation } from './simulation.js';
+import { DEFAULT_SEED } from './random.js';
+import { loadLevel, DEFAULT_LEVEL_URL } from './level.js';
+import { setColliderViewVisible } from './mesh-colliders.js';
+import { createPhysicsDebug, setPhysicsDebugEnabled, updatePhysicsDebug } from './physics-debug.js';
+import { createSnapshot, restoreSnapshot, saveSnapshotToStorage, loadSnapshotFromStorage, downloadSnapshot } from './snapshots.js';
+import { createRecording, recordStep, finishRecording, createReplayPlayer, nextReplayInput, computeChecksum, checkReplay, checkReplayWorld, loadReplay, downloadReplay, storeReplayForReload, getStoredReplay } from './replay.js';
+import { initHud, updateHud } from './hud.js';
+import { updateCharacterAnimation } from './animation.js';
+
+// Fixed-step loop constants
+const MAX_FRAME_DELTA = 0.25; // Ignore frame gaps longer than this (e.g. a backgrounded tab)
+const MAX_STEPS_PER_FRAME = 5; // Catch-up budget before the simulation is allowed to slow down
+
+// Input the character receives while the camera is detached from it
+const IDLE_INPUT = {
+  forward: 0,
+  backward: 0,
+  left: 0,
+  right: 0,
+  jump: false,
+  dive: false,
+  cameraMode: false,
+  toggleDebug: false,
+  quickSave: false,
+  quickLoad: false,
+  exportSnapshot: false,
+  exportReplay: false,
+  mouseX: 0,
+  mouseY: 0
+};
 
 // Create a canvas element for rendering
 const canvas = document.createElement('canvas');
@@ -19,6 +56,20 @@ let character = null;
 let cameraController = null;
 let loadingManager = null;
 let clock = null;
+let simulation = null; // Physics world, character and level (see simulation.js)
+let entities = null; // Scene objects paired with their physics bodies
+let levelUrl = null; // URL of the running level (snapshots only restore into the same level)
+let physicsDebug = null;
+let splashes = null; // Splashes, spray and drips where bodies cross the water (see splashes.js)
+let debugKeyHeld = false; // Edge detection for the debug overlay hotkey
+const snapshotKeysHeld = { quickSave: false, quickLoad: false, exportSnapshot: false }; // Edge detection for the snapshot hotkeys
+let replayKeyHeld = false; // Edge detection for the replay export hotkey
+let recording = null; // Input of every step since the level started (see replay.js)
+let replayPlayer = null; // Plays a replay instead of live input
+let accumulator = 0;
+let pendingMouseX = 0; // Mouse movement not yet consumed by a physics step
+let pendingMouseY = 0;
+const rippleSources = []; // Bodies disturbing the water this frame (reused)
 
 // Main initialization function
 async function init() {
@@ -36,9 +87,16 @@ async function init() {
     console.error(`Error loading: ${url}`);
   };
   
-  // Initialize the physics world
-  physicsWorld = await initPhysics();
-  console.log('Physics world initialized');
+  // Play a replay (?replay=url, or ?replay for one dropped onto the page);
+  // it brings its own level, spawn point, controller mode and seed
+  const params = new URLSearchParams(window.location.search);
+  const replayUrl = params.get('replay');
+  const replay = replayUrl ? await loadReplay(replayUrl) : (params.has('replay') ? getStoredReplay() : null);
+  
+  // Load the level (?level=name loads public/levels/name.json)
+  const levelName = params.get('level');
+  levelUrl = replay ? replay.level : (levelName ? `/levels/${levelName}.json` : DEFAULT_LEVEL_URL);
+  const level = await loadLevel(levelUrl);
   
   // Initialize the Three.js scene
   threeObjects = initScene(canvas);
@@ -48,53 +106,299 @@ async function init() {
   initInput();
   console.log('Input handling initialized');
   
-  // Create the character controller
-  character = createCharacter(physicsWorld, threeObjects, loadingManager);
-  console.log('Character controller created');
+  // Add on-screen controls on phones and tablets
+  if (isTouchDevice()) {
+    initTouchControls();
+  }
+  
+  // Initialize the HUD
+  initHud();
+  
+  // Build the physics world, character and level:
+  // - ?controller=dynamic selects the dynamic-body character mode
+  // - ?spawn=name starts at a named spawn point instead of the level's first one
+  // - ?seed=number seeds generated islands and flower placement (default: the level's seed)
+  // - ?showColliders draws the colliders generated for models
+  const seedParam = Number.parseInt(params.get('seed'), 10);
+  const start = replay || {
+    controller: params.get('controller') === CHARACTER_MODES.DYNAMIC ? CHARACTER_MODES.DYNAMIC : CHARACTER_MODES.KINEMATIC,
+    spawn: params.get('spawn'),
+    seed: Number.isInteger(seedParam) ? seedParam : (level.seed !== undefined ? level.seed : DEFAULT_SEED)
+  };
+  setColliderViewVisible(params.has('showColliders'));
+  simulation = await createSimulation(level, threeObjects, {
+    characterMode: start.controller,
+    spawn: start.spawn,
+    seed: start.seed,
+    loadingManager
+  });
+  ({ physicsWorld, character, entities } = simulation);
+  console.log(`Simulation created (seed ${start.seed})`);
+  
+  // Surf along the island shores
+  setShorelineMap(threeObjects, createShorelineMap(simulation.world.terrainIslands || []));
+  
+  // Seabed, caustics and the underwater look
+  threeObjects.underwater = createUnderwater(threeObjects, physicsWorld);
+  
+  // Droplets thrown up by whatever crosses the water surface
+  splashes = createSplashes(threeObjects.particles);
+  
+  // A generated world is shared as a link with its seed
+  if (level.archipelago && levelName) {
+    console.log(`Share this archipelago: ${window.location.origin}${window.location.pathname}?level=${levelName}&seed=${start.seed}`);
+  }
+  
+  // Record every step from here on, or play the replay back (not on a world
+  // whose model props loaded differently: it could never match the recording)
+  if (replay && isReplayWorld(replay)) {
+    replayPlayer = createReplayPlayer(replay);
+    console.log(`Playing replay: ${replay.steps} steps`);
+  } else {
+    recording = createRecording({ level: levelUrl, spawn: start.spawn, controller: start.controller, seed: start.seed, props: simulation.props });
+  }
   
   // Initialize the camera controller
   cameraController = initCamera(threeObjects);
   console.log('Camera controller initialized');
   
-  // Create the environment
-  createEnvironment(physicsWorld, threeObjects);
-  console.log('Environment created');
+  // Physics debug overlay (toggled with P, or on from the start with ?debug)
+  physicsDebug = createPhysicsDebug(threeObjects, physicsWorld);
+  setPhysicsDebugEnabled(physicsDebug, params.has('debug'));
+  
+  // Snapshot and replay files dropped onto the page are loaded
+  window.addEventListener('dragover', (event) => event.preventDefault());
+  window.addEventListener('drop', handleFileDrop);
   
   // Start the animation loop
   animate();
 }
 
+// The running game, as seen by the snapshot module
+function getGame() {
+  return { physicsWorld, threeObjects, character, cameraController, entities, levelUrl, seed: simulation.seed };
+}
+
+// Save, load and export snapshots on the hotkey presses (between physics steps)
+function handleSnapshotKeys(inputState) {
+  const pressed = (action) => inputState[action] && !snapshotKeysHeld[action];
+  
+  try {
+    if (pressed('quickSave')) {
+      saveSnapshotToStorage(createSnapshot(getGame()));
+    }
+    if (pressed('exportSnapshot')) {
+      downloadSnapshot(createSnapshot(getGame()));
+    }
+    if (pressed('quickLoad')) {
+      const snapshot = loadSnapshotFromStorage();
+      if (snapshot) {
+        restoreGame(snapshot);
+      } else {
+        console.log('No saved snapshot');
+      }
+    }
+  } catch (error) {
+    console.error('Snapshot failed:', error);
+  }
+  
+  for (const action of Object.keys(snapshotKeysHeld)) {
+    snapshotKeysHeld[action] = inputState[action];
+  }
+}
+
+// Restore a snapshot. The world no longer follows from the recorded input,
+// so recording (or playing a replay) stops.
+function restoreGame(snapshot) {
+  restoreSnapshot(getGame(), snapshot);
+  accumulator = 0;
+  
+  // Bodies jumped to their saved places without crossing the water
+  resetSplashes(splashes);
+  clearParticles(threeObjects.particles);
+  
+  if (recording || replayPlayer) {
+    console.warn('Snapshot loaded: input recording and replay stopped');
+  }
+  recording = null;
+  replayPlayer = null;
+}
+
+// Export the recorded input as a replay file on the hotkey press
+function handleReplayKey(inputState) {
+  if (inputState.exportReplay && !replayKeyHeld) {
+    if (recording) {
+      const replay = finishRecording(recording, simulation);
+      downloadReplay(replay);
+      console.log(`Replay exported: ${replay.steps} steps, checksum ${replay.checksum}`);
+    } else {
+      console.log('Nothing recorded to export');
+    }
+  }
+  replayKeyHeld = inputState.exportReplay;
+}
+
+// Load a snapshot or replay file dropped onto the page
+async function handleFileDrop(event) {
+  event.preventDefault();
+  
+  const file = event.dataTransfer.files[0];
+  if (!file || !physicsWorld) return;
+  
+  try {
+    const data = JSON.parse(await file.text());
+    
+    if (data.type === 'replay') {
+      // Replays start from a freshly built world: hand it over to a reload
+      storeReplayForReload(checkReplay(data));
+      window.location.search = '?replay';
+    } else {
+      restoreGame(data);
+    }
+  } catch (error) {
+    console.error(`Could not load ${file.name}:`, error);
+  }
+}
+
+// Advance the simulation by one fixed physics step
+function runFixedStep(inputState) {
+  let characterInput;
+  
+  if (replayPlayer) {
+    // Recorded input replaces the live input until the replay ends
+    characterInput = nextReplayInput(replayPlayer);
+    if (!characterInput) {
+      finishReplay();
+      characterInput = IDLE_INPUT;
+    }
+  } else {
+    // The free-fly camera takes the input for itself
+    characterInput = isCameraDetached(cameraController) ? IDLE_INPUT : inputState;
+  }
+  
+  stepSimulation(simulation, characterInput, threeObjects.camera);
+  
+  if (recording && !recordStep(recording, characterInput)) {
+    console.warn('Recording is full, input is no longer recorded');
+    recording = null;
+  }
+}
+
+// Whether the world was built like the one a replay was recorded in
+function isReplayWorld(replay) {
+  try {
+    checkReplayWorld(replay, simulation);
+    return true;
+  } catch (error) {
+    console.error(`${error.message}: not playing the replay`);
+    return false;
+  }
+}
+
+// Compare the world at the end of a replay with the recorded one
+function finishReplay() {
+  const expected = replayPlayer.replay.checksum;
+  const actual = computeChecksum(simulation);
+  
+  if (expected === actual) {
+    console.log(`Replay finished: checksum ${actual} matches the recording`);
+  } else {
+    console.error(`Replay finished: checksum ${actual} does not match the recording (${expected})`);
+  }
+  replayPlayer = null;
+}
+
 // Animation loop
 function animate() {
   requestAnimationFrame(animate);
   
-  // Get elapsed time for animations
-  const time = clock.getElapsedTime();
+  // Get frame time, clamped so a long pause doesn't trigger a huge catch-up
+  const frameDelta = Math.min(clock.getDelta(), MAX_FRAME_DELTA);
   
-  // Get the current input state
+  // Poll gamepads and get the current input state
+  updateInput(frameDelta);
   const inputState = getInputState();
   
-  // Update physics simulation with character for buoyancy
+  // Mouse movement is consumed once by the next physics step, even on
+  // frames that run no step (refresh rates above the physics rate)
+  pendingMouseX += inputState.mouseX;
+  pendingMouseY += inputState.mouseY;
+  const stepInput = { ...inputState, mouseX: pendingMouseX, mouseY: pendingMouseY };
+  
+  // Run as many fixed physics steps as the elapsed time requires
+  let steps = 0;
   if (physicsWorld) {
-    updatePhysics(physicsWorld, character);
+    handleSnapshotKeys(inputState);
+    handleReplayKey(inputState);
+    
+    accumulator += frameDelta;
+    
+    while (accumulator >= PHYSICS_TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+      runFixedStep(stepInput);
+      accumulator -= PHYSICS_TIMESTEP;
+      steps++;
+      
+      // Mouse movement is consumed by the first step only
+      stepInput.mouseX = 0;
+      stepInput.mouseY = 0;
+      pendingMouseX = 0;
+      pendingMouseY = 0;
+    }
+    
+    // Out of catch-up budget: drop the backlog instead of spiralling
+    if (steps === MAX_STEPS_PER_FRAME) {
+      accumulator = Math.min(accumulator, PHYSICS_TIMESTEP);
+    }
   }
   
-  // Update character based on input and physics
-  if (character && inputState) {
-    updateCharacter(character, inputState, physicsWorld, threeObjects.camera);
+  // Blend between the last two physics states for smooth rendering
+  const alpha = accumulator / PHYSICS_TIMESTEP;
+  
+  if (character) {
+    updateMeshFromBody(character, alpha);
+    updateCharacterAnimation(character, frameDelta);
+  }
+  if (entities) {
+    syncEntities(entities, alpha);
   }
   
   // Update camera to follow character
   if (cameraController && character) {
-    updateCamera(cameraController, character, inputState);
+    updateCamera(cameraController, character, inputState, physicsWorld, frameDelta);
+  }
+  
+  // Update on-screen status
+  if (character) {
+    updateHud(character);
+  }
+  
+  // Physics debug overlay
+  if (physicsDebug) {
+    if (inputState.toggleDebug && !debugKeyHeld) {
+      setPhysicsDebugEnabled(physicsDebug, !physicsDebug.enabled);
+    }
+    debugKeyHeld = inputState.toggleDebug;
+    updatePhysicsDebug(physicsDebug, character);
   }
   
   // Reset mouse movement after processing
   resetMouseMovement();
   
-  // Update water animation
-  if (threeObjects && threeObjects.water && threeObjects.water.material.uniforms) {
-    threeObjects.water.material.uniforms.time.value = time;
+  // Update water animation on the same (interpolated) clock as the physics,
+  // so floating bodies ride the rendered waves
+  if (threeObjects && physicsWorld) {
+    const waterTime = physicsWorld.time - (1 - alpha) * PHYSICS_TIMESTEP;
+    updateWaterSurface(threeObjects, physicsWorld.water.getWaves(), waterTime);
+    
+    // Swimmers and bodies moving through the surface leave ripples
+    updateWaterRipples(threeObjects, collectRippleSources(physicsWorld, character, rippleSources), frameDelta);
+    
+    // Splashes and spray where they cross the surface
+    updateSplashes(splashes, physicsWorld, character, frameDelta);
+    updateParticles(threeObjects.particles, frameDelta);
+    
+    // Fog, caustics and the waterline when the camera dips under the surface
+    updateUnderwater(threeObjects.underwater, threeObjects, physicsWorld, waterTime);
   }
   
   // Render the scene
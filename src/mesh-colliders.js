@@ -0,0 +1,191 @@
+/**
+ * Rapier colliders generated from loaded model geometry.
+ *
+ * Static bodies get one triangle-mesh collider per mesh; dynamic bodies get
+ * one convex hull per mesh (split a model into several meshes to approximate
+ * concave shapes). Meshes named "*_col" are physics-only: when a model has
+ * any, only they generate colliders and they are hidden from rendering.
+ */
+
+import * as THREE from 'three';
+import { ConvexGeometry } from 'three/examples/jsm/geometries/ConvexGeometry.js';
+
+// Node names marking physics-only meshes ("rock_col", "hull_col2"; the
+// glTF loader strips the "." from Blender's ".001" suffixes)
+const COLLISION_NODE_PATTERN = /_col\d*$/i;
+
+// Collider view colors
+const STATIC_COLLIDER_COLOR = 0x00ff00;
+const DYNAMIC_COLLIDER_COLOR = 0xff8800;
+
+// Whether generated colliders are shown (wireframes attached to their models)
+let colliderViewVisible = false;
+const colliderViews = [];
+
+/**
+ * Create colliders for a rigid body from the meshes of a model.
+ * The body must already be at the model's world position and rotation;
+ * the model's scale is baked into the collider geometry.
+ * @param {Object} physics - The physics world and objects
+ * @param {Object} rigidBody - The rigid body to attach the colliders to
+ * @param {THREE.Object3D} model - The loaded model (already placed in the scene)
+ * @param {boolean} isStatic - Trimesh colliders if true, convex hulls if false
+ * @returns {Array} The created colliders
+ */
+export function createMeshColliders(physics, rigidBody, model, isStatic) {
+  model.updateMatrixWorld(true);
+  
+  // Body space = the model's world transform without its scale
+  const bodyPosition = new THREE.Vector3();
+  const bodyQuaternion = new THREE.Quaternion();
+  model.matrixWorld.decompose(bodyPosition, bodyQuaternion, new THREE.Vector3());
+  const bodyMatrix = new THREE.Matrix4().compose(bodyPosition, bodyQuaternion, new THREE.Vector3(1, 1, 1));
+  const worldToBody = bodyMatrix.clone().invert();
+  
+  const meshes = findCollisionMeshes(model);
+  const colliders = [];
+  const view = new THREE.Group();
+  view.name = 'collider-view';
+  
+  for (const mesh of meshes) {
+    const { vertices, indices } = getBodySpaceGeometry(mesh, worldToBody);
+    if (vertices.length === 0) continue;
+    
+    const colliderDesc = isStatic
+      ? physics.RAPIER.ColliderDesc.trimesh(vertices, indices)
+      : physics.RAPIER.ColliderDesc.convexHull(vertices);
+    
+    // Degenerate geometry (e.g. a flat plane) has no convex hull
+    if (!colliderDesc) {
+      console.warn(`Could not build a convex hull for mesh "${mesh.name}"`);
+      continue;
+    }
+    
+    colliders.push(physics.world.createCollider(colliderDesc, rigidBody));
+    view.add(createViewMesh(vertices, isStatic ? indices : null, isStatic));
+  }
+  
+  // The view lives in body space, under the (scaled) model
+  view.matrixAutoUpdate = false;
+  view.matrix.copy(model.matrixWorld).invert().multiply(bodyMatrix);
+  view.visible = colliderViewVisible;
+  model.add(view);
+  colliderViews.push(view);
+  
+  return colliders;
+}
+
+/**
+ * Show or hide the generated collider wireframes
+ * @param {boolean} visible - Whether the colliders should be shown
+ */
+export function setColliderViewVisible(visible) {
+  colliderViewVisible = visible;
+  for (const view of colliderViews) {
+    view.visible = visible;
+  }
+}
+
+/**
+ * Find the meshes that should generate colliders, hiding physics-only ones
+ * @param {THREE.Object3D} model - The loaded model
+ * @returns {Array<THREE.Mesh>} The collision meshes
+ */
+function findCollisionMeshes(model) {
+  const renderMeshes = [];
+  const collisionMeshes = [];
+  
+  model.traverse((child) => {
+    if (!child.isMesh || child.isSkinnedMesh) return;
+    
+    if (isCollisionNode(child, model)) {
+      child.visible = false;
+      child.castShadow = false;
+      collisionMeshes.push(child);
+    } else {
+      renderMeshes.push(child);
+    }
+  });
+  
+  // Dedicated collision meshes replace the render geometry
+  return collisionMeshes.length > 0 ? collisionMeshes : renderMeshes;
+}
+
+/**
+ * Whether a node or one of its ancestors (below the model root) is named "*_col"
+ * @param {THREE.Object3D} node - The node to check
+ * @param {THREE.Object3D} root - The model root
+ * @returns {boolean} Whether the node is physics-only
+ */
+function isCollisionNode(node, root) {
+  for (let current = node; current && current !== root; current = current.parent) {
+    if (COLLISION_NODE_PATTERN.test(current.name)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Read a mesh's triangles transformed into body space
+ * @param {THREE.Mesh} mesh - The mesh
+ * @param {THREE.Matrix4} worldToBody - Inverse of the body's world transform
+ * @returns {Object} Flat vertex positions (Float32Array) and triangle indices (Uint32Array)
+ */
+function getBodySpaceGeometry(mesh, worldToBody) {
+  const geometry = mesh.geometry;
+  const position = geometry.attributes.position;
+  if (!position) {
+    return { vertices: new Float32Array(0), indices: new Uint32Array(0) };
+  }
+  
+  const meshToBody = new THREE.Matrix4().multiplyMatrices(worldToBody, mesh.matrixWorld);
+  const vertex = new THREE.Vector3();
+  const vertices = new Float32Array(position.count * 3);
+  
+  for (let i = 0; i < position.count; i++) {
+    vertex.fromBufferAttribute(position, i).applyMatrix4(meshToBody);
+    vertices[i * 3] = vertex.x;
+    vertices[i * 3 + 1] = vertex.y;
+    vertices[i * 3 + 2] = vertex.z;
+  }
+  
+  // Non-indexed geometry lists its triangles in order
+  const indices = geometry.index
+    ? Uint32Array.from(geometry.index.array)
+    : Uint32Array.from({ length: position.count }, (_, i) => i);
+  
+  return { vertices, indices };
+}
+
+/**
+ * Create a wireframe mesh showing a collider
+ * @param {Float32Array} vertices - Body-space vertex positions
+ * @param {Uint32Array|null} indices - Triangle indices (null for convex hulls)
+ * @param {boolean} isStatic - Whether the collider belongs to a static body
+ * @returns {THREE.Object3D} The wireframe object
+ */
+function createViewMesh(vertices, indices, isStatic) {
+  const material = new THREE.MeshBasicMaterial({
+    color: isStatic ? STATIC_COLLIDER_COLOR : DYNAMIC_COLLIDER_COLOR,
+    wireframe: true,
+    transparent: true,
+    opacity: 0.6
+  });
+  
+  let geometry;
+  if (indices) {
+    geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  } else {
+    // Show the hull's own faces rather than the source triangles
+    const points = [];
+    for (let i = 0; i < vertices.length; i += 3) {
+      points.push(new THREE.Vector3(vertices[i], vertices[i + 1], vertices[i + 2]));
+    }
+    geometry = new ConvexGeometry(points);
+  }
+  
+  return new THREE.Mesh(geometry, material);
+}
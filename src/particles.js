@@ -0,0 +1,237 @@
+/**
+ * Particles: a pool of short-lived droplets drawn as one instanced mesh.
+ *
+ * The pool is allocated once and never grows; live particles are kept packed
+ * at the front of the arrays, so the instanced mesh draws the first `count`
+ * instances in a single call. Systems emit particles through emitters, which
+ * hold the look and motion of one kind of particle (speed, spread, size,
+ * lifetime, gravity, drag, color) and can be shared by anything that wants
+ * that kind (see splashes.js). Particles are visual only: they never touch
+ * the physics and don't use the seeded random numbers of the simulation.
+ */
+
+import * as THREE from 'three';
+
+// Particles in the pool; emitting into a full pool drops the new particles
+const DEFAULT_CAPACITY = 2048;
+
+// Shape drawn for every particle (a low-poly droplet, scaled by its size)
+const PARTICLE_DETAIL = 0;
+
+// Fraction of its life over which a particle shrinks away at the end
+const SHRINK_FRACTION = 0.25;
+
+// Emitter settings used when an emitter leaves them out
+const DEFAULT_EMITTER = {
+  speed: [1, 2], // Launch speed range (m/s)
+  spread: Math.PI / 6, // Half-angle of the launch cone around the direction (radians)
+  direction: new THREE.Vector3(0, 1, 0), // Launch direction
+  radius: 0, // Particles start anywhere on a disc this wide around the position (m)
+  size: [0.05, 0.1], // Radius range (m)
+  life: [0.5, 1], // Lifetime range (s)
+  gravity: 9.81, // Downward acceleration (m/s^2)
+  drag: 0, // Fraction of the velocity lost per second
+  color: 0xffffff,
+  random: Math.random // Source of randomness in [0, 1)
+};
+
+// Reusable temporaries
+const up = new THREE.Vector3(0, 1, 0);
+const launch = new THREE.Vector3();
+const aim = new THREE.Quaternion();
+const matrix = new THREE.Matrix4();
+const color = new THREE.Color();
+
+/**
+ * Create a particle pool and the instanced mesh that draws it
+ * @param {THREE.Scene} scene - The scene to add the mesh to
+ * @param {Object} options - { capacity, material }
+ * @returns {Object} The particle system
+ */
+export function createParticleSystem(scene, options = {}) {
+  const capacity = options.capacity || DEFAULT_CAPACITY;
+  
+  const geometry = new THREE.IcosahedronGeometry(1, PARTICLE_DETAIL);
+  const material = options.material || new THREE.MeshLambertMaterial({ color: 0xffffff });
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+  mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+  mesh.count = 0;
+  mesh.frustumCulled = false; // The particles move every frame; the mesh's bounds don't
+  scene.add(mesh);
+  
+  return {
+    mesh,
+    capacity,
+    count: 0,
+    positions: new Float32Array(capacity * 3),
+    velocities: new Float32Array(capacity * 3),
+    colors: new Float32Array(capacity * 3),
+    ages: new Float32Array(capacity),
+    lives: new Float32Array(capacity),
+    sizes: new Float32Array(capacity),
+    gravities: new Float32Array(capacity),
+    drags: new Float32Array(capacity),
+    floors: new Float32Array(capacity)
+  };
+}
+
+/**
+ * Create an emitter of one kind of particle
+ * @param {Object} system - The particle system (see createParticleSystem)
+ * @param {Object} settings - Overrides for DEFAULT_EMITTER
+ * @returns {Object} The emitter
+ */
+export function createEmitter(system, settings = {}) {
+  return {
+    ...DEFAULT_EMITTER,
+    ...settings,
+    system,
+    color: new THREE.Color(settings.color !== undefined ? settings.color : DEFAULT_EMITTER.color),
+    carry: 0 // Fraction of a particle owed by emitContinuous
+  };
+}
+
+/**
+ * Emit a number of particles at once
+ * @param {Object} emitter - The emitter (see createEmitter)
+ * @param {THREE.Vector3} position - Where they start
+ * @param {number} count - How many
+ * @param {Object} options - Per-burst changes:
+ *   - scale: multiplies the speed, size and start radius (default 1)
+ *   - radius: start disc radius instead of the emitter's (not scaled)
+ *   - direction: launch direction instead of the emitter's
+ *   - velocity: added to every particle's launch velocity (e.g. the emitting body's)
+ *   - floor: height below which the particles die (e.g. the water surface)
+ * @returns {number} How many were emitted (fewer if the pool is full)
+ */
+export function emitBurst(emitter, position, count, options = {}) {
+  const { system, random } = emitter;
+  const scale = options.scale !== undefined ? options.scale : 1;
+  const radius = options.radius !== undefined ? options.radius : emitter.radius * scale;
+  const floor = options.floor !== undefined ? options.floor : -Infinity;
+  aim.setFromUnitVectors(up, options.direction || emitter.direction);
+  
+  const emitted = Math.min(Math.floor(count), system.capacity - system.count);
+  for (let n = 0; n < emitted; n++) {
+    const i = system.count++;
+    
+    // Anywhere on the start disc, launched within the cone around the direction
+    const angle = random() * 2 * Math.PI;
+    const distance = Math.sqrt(random()) * radius;
+    const cosTheta = 1 - random() * (1 - Math.cos(emitter.spread));
+    const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+    const speed = THREE.MathUtils.lerp(emitter.speed[0], emitter.speed[1], random()) * scale;
+    launch.set(Math.cos(angle) * sinTheta, cosTheta, Math.sin(angle) * sinTheta).applyQuaternion(aim);
+    
+    system.positions[i * 3] = position.x + Math.cos(angle) * distance;
+    system.positions[i * 3 + 1] = position.y;
+    system.positions[i * 3 + 2] = position.z + Math.sin(angle) * distance;
+    system.velocities[i * 3] = launch.x * speed + (options.velocity ? options.velocity.x : 0);
+    system.velocities[i * 3 + 1] = launch.y * speed + (options.velocity ? options.velocity.y : 0);
+    system.velocities[i * 3 + 2] = launch.z * speed + (options.velocity ? options.velocity.z : 0);
+    emitter.color.toArray(system.colors, i * 3);
+    system.ages[i] = 0;
+    system.lives[i] = THREE.MathUtils.lerp(emitter.life[0], emitter.life[1], random());
+    system.sizes[i] = THREE.MathUtils.lerp(emitter.size[0], emitter.size[1], random()) * scale;
+    system.gravities[i] = emitter.gravity;
+    system.drags[i] = emitter.drag;
+    system.floors[i] = floor;
+  }
+  
+  return emitted;
+}
+
+/**
+ * Emit particles at a steady rate, for effects that last over several frames
+ * @param {Object} emitter - The emitter (see createEmitter)
+ * @param {THREE.Vector3} position - Where they start
+ * @param {number} rate - Particles per second
+ * @param {number} deltaTime - Time since the last frame in seconds
+ * @param {Object} options - Per-burst changes (see emitBurst)
+ * @returns {number} How many were emitted this frame
+ */
+export function emitContinuous(emitter, position, rate, deltaTime, options = {}) {
+  emitter.carry += rate * deltaTime;
+  const count = Math.floor(emitter.carry);
+  emitter.carry -= count;
+  
+  return count > 0 ? emitBurst(emitter, position, count, options) : 0;
+}
+
+/**
+ * Move the particles, retire the old and the fallen, and update the mesh
+ * @param {Object} system - The particle system (see createParticleSystem)
+ * @param {number} deltaTime - Time since the last frame in seconds
+ */
+export function updateParticles(system, deltaTime) {
+  const { positions, velocities, ages, lives } = system;
+  
+  let i = 0;
+  while (i < system.count) {
+    ages[i] += deltaTime;
+    
+    const damping = Math.exp(-system.drags[i] * deltaTime);
+    velocities[i * 3] *= damping;
+    velocities[i * 3 + 1] = velocities[i * 3 + 1] * damping - system.gravities[i] * deltaTime;
+    velocities[i * 3 + 2] *= damping;
+    positions[i * 3] += velocities[i * 3] * deltaTime;
+    positions[i * 3 + 1] += velocities[i * 3 + 1] * deltaTime;
+    positions[i * 3 + 2] += velocities[i * 3 + 2] * deltaTime;
+    
+    // Dead particles swap with the last live one, keeping the live ones packed
+    if (ages[i] >= lives[i] || (positions[i * 3 + 1] < system.floors[i] && velocities[i * 3 + 1] < 0)) {
+      moveParticle(system, --system.count, i);
+      continue;
+    }
+    
+    const shrink = Math.min(1, (1 - ages[i] / lives[i]) / SHRINK_FRACTION);
+    const size = system.sizes[i] * shrink;
+    matrix.makeScale(size, size, size).setPosition(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    system.mesh.setMatrixAt(i, matrix);
+    system.mesh.setColorAt(i, color.fromArray(system.colors, i * 3));
+    i++;
+  }
+  
+  system.mesh.count = system.count;
+  system.mesh.instanceMatrix.needsUpdate = true;
+  system.mesh.instanceColor.needsUpdate = true;
+}
+
+/**
+ * Remove every particle (e.g. when the world is restored from a snapshot)
+ * @param {Object} system - The particle system
+ */
+export function clearParticles(system) {
+  system.count = 0;
+  system.mesh.count = 0;
+}
+
+/**
+ * Remove the particle mesh from its scene and free its GPU resources
+ * @param {Object} system - The particle system
+ */
+export function disposeParticleSystem(system) {
+  system.mesh.removeFromParent();
+  system.mesh.geometry.dispose();
+  system.mesh.material.dispose();
+  system.mesh.dispose();
+}
+
+/**
+ * Copy a particle into another slot of the pool
+ * @param {Object} system - The particle system
+ * @param {number} from - Index of the particle
+ * @param {number} to - Index of the slot
+ */
+function moveParticle(system, from, to) {
+  if (from === to) return;
+  
+  for (const array of [system.positions, system.velocities, system.colors]) {
+    array.copyWithin(to * 3, from * 3, from * 3 + 3);
+  }
+  for (const array of [system.ages, system.lives, system.sizes, system.gravities, system.drags, system.floors]) {
+    array[to] = array[from];
+  }
+}
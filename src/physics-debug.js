@@ -0,0 +1,185 @@
+/**
+ * Physics debug overlay: draws what Rapier and the water simulation actually
+ * see, on top of the rendered scene.
+ *
+ * - Collider outlines from world.debugRender()
+ * - The character's ground-check ray (green on hit, red on miss)
+ * - Buoyancy sample points (blue when submerged, grey when dry) and the
+ *   buoyancy + drag force at each submerged sample (cyan)
+ * - A marker at every non-fixed body: yellow when awake, dark blue when asleep
+ */
+
+import * as THREE from 'three';
+
+// Overlay constants
+const FORCE_SCALE = 0.1; // Meters of line per newton of sample force
+const BODY_MARKER_SIZE = 0.3; // Half-length of the body marker axes
+const SAMPLE_POINT_SIZE = 4; // Pixels
+
+// Overlay colors
+const GROUND_HIT_COLOR = new THREE.Color(0x00ff00);
+const GROUND_MISS_COLOR = new THREE.Color(0xff0000);
+const SAMPLE_WET_COLOR = new THREE.Color(0x2080ff);
+const SAMPLE_DRY_COLOR = new THREE.Color(0x808080);
+const FORCE_COLOR = new THREE.Color(0x00ffff);
+const BODY_AWAKE_COLOR = new THREE.Color(0xffff00);
+const BODY_SLEEPING_COLOR = new THREE.Color(0x2040a0);
+
+/**
+ * Create the (hidden) physics debug overlay
+ * @param {Object} threeObjects - The Three.js objects
+ * @param {Object} physicsWorld - The physics world
+ * @returns {Object} The debug overlay
+ */
+export function createPhysicsDebug(threeObjects, physicsWorld) {
+  const group = new THREE.Group();
+  group.name = 'physics-debug';
+  group.visible = false;
+  
+  // Drawn on top of everything so underwater samples stay visible
+  const lineMaterial = new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false, transparent: true });
+  
+  const colliderLines = new THREE.LineSegments(new THREE.BufferGeometry(), lineMaterial);
+  const overlayLines = new THREE.LineSegments(new THREE.BufferGeometry(), lineMaterial);
+  const samplePoints = new THREE.Points(
+    new THREE.BufferGeometry(),
+    new THREE.PointsMaterial({ size: SAMPLE_POINT_SIZE, sizeAttenuation: false, vertexColors: true, depthTest: false, transparent: true })
+  );
+  
+  for (const object of [colliderLines, overlayLines, samplePoints]) {
+    object.frustumCulled = false;
+    object.renderOrder = 999;
+    group.add(object);
+  }
+  
+  threeObjects.scene.add(group);
+  
+  return {
+    enabled: false,
+    physicsWorld,
+    group,
+    colliderLines,
+    overlayLines,
+    samplePoints
+  };
+}
+
+/**
+ * Show or hide the overlay
+ * @param {Object} debug - The debug overlay
+ * @param {boolean} enabled - Whether the overlay is shown
+ */
+export function setPhysicsDebugEnabled(debug, enabled) {
+  debug.enabled = enabled;
+  debug.group.visible = enabled;
+  
+  // Buoyancy samples are only recorded while someone is looking
+  debug.physicsWorld.water.setDebugRecording(enabled);
+  
+  console.log(`Physics debug overlay ${enabled ? 'on' : 'off'}`);
+}
+
+/**
+ * Rebuild the overlay from the current physics state
+ * @param {Object} debug - The debug overlay
+ * @param {Object} character - The character controller
+ */
+export function updatePhysicsDebug(debug, character) {
+  if (!debug.enabled) return;
+  
+  const world = debug.physicsWorld.world;
+  
+  // Collider outlines (Rapier provides RGBA colors per vertex)
+  const buffers = world.debugRender();
+  setGeometry(debug.colliderLines.geometry, buffers.vertices, buffers.colors, 4);
+  
+  const lines = { positions: [], colors: [] };
+  const points = { positions: [], colors: [] };
+  
+  // Ground-check ray
+  const groundCheck = character && character.groundCheck;
+  if (groundCheck) {
+    const hit = groundCheck.hitDistance !== null;
+    const length = hit ? groundCheck.hitDistance : groundCheck.distance;
+    const origin = groundCheck.origin;
+    addLine(lines, origin, { x: origin.x, y: origin.y - length, z: origin.z }, hit ? GROUND_HIT_COLOR : GROUND_MISS_COLOR);
+  }
+  
+  // Buoyancy samples and forces
+  for (const sample of debug.physicsWorld.water.getDebugSamples()) {
+    addPoint(points, sample.position, sample.force ? SAMPLE_WET_COLOR : SAMPLE_DRY_COLOR);
+    
+    if (sample.force) {
+      const end = sample.position.clone().addScaledVector(sample.force, FORCE_SCALE);
+      addLine(lines, sample.position, end, FORCE_COLOR);
+    }
+  }
+  
+  // Body sleep state
+  world.bodies.forEach((body) => {
+    if (body.isFixed()) return;
+    
+    const center = body.translation();
+    const color = body.isSleeping() ? BODY_SLEEPING_COLOR : BODY_AWAKE_COLOR;
+    
+    addLine(lines, { x: center.x - BODY_MARKER_SIZE, y: center.y, z: center.z }, { x: center.x + BODY_MARKER_SIZE, y: center.y, z: center.z }, color);
+    addLine(lines, { x: center.x, y: center.y - BODY_MARKER_SIZE, z: center.z }, { x: center.x, y: center.y + BODY_MARKER_SIZE, z: center.z }, color);
+    addLine(lines, { x: center.x, y: center.y, z: center.z - BODY_MARKER_SIZE }, { x: center.x, y: center.y, z: center.z + BODY_MARKER_SIZE }, color);
+  });
+  
+  setGeometry(debug.overlayLines.geometry, new Float32Array(lines.positions), new Float32Array(lines.colors), 3);
+  setGeometry(debug.samplePoints.geometry, new Float32Array(points.positions), new Float32Array(points.colors), 3);
+}
+
+/**
+ * Replace the vertex data of a debug geometry. Buffers are reused while
+ * they are big enough, so the overlay doesn't allocate GPU memory every frame.
+ * @param {THREE.BufferGeometry} geometry - The geometry to update
+ * @param {Float32Array} positions - Vertex positions (xyz)
+ * @param {Float32Array} colors - Vertex colors
+ * @param {number} colorSize - Components per color (3 for RGB, 4 for RGBA)
+ */
+function setGeometry(geometry, positions, colors, colorSize) {
+  const count = positions.length / 3;
+  const positionAttribute = geometry.getAttribute('position');
+  
+  if (!positionAttribute || positionAttribute.count < count) {
+    // Grow with headroom, releasing the old GPU buffers
+    const capacity = Math.max(count * 2, 64);
+    geometry.dispose();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * colorSize), colorSize));
+  }
+  
+  const position = geometry.getAttribute('position');
+  const color = geometry.getAttribute('color');
+  position.array.set(positions);
+  color.array.set(colors);
+  position.needsUpdate = true;
+  color.needsUpdate = true;
+  
+  geometry.setDrawRange(0, count);
+}
+
+/**
+ * Append a colored line segment
+ * @param {Object} buffer - Position and color arrays
+ * @param {Object} start - Start point ({ x, y, z })
+ * @param {Object} end - End point ({ x, y, z })
+ * @param {THREE.Color} color - Line color
+ */
+function addLine(buffer, start, end, color) {
+  buffer.positions.push(start.x, start.y, start.z, end.x, end.y, end.z);
+  buffer.colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+}
+
+/**
+ * Append a colored point
+ * @param {Object} buffer - Position and color arrays
+ * @param {Object} position - The point ({ x, y, z })
+ * @param {THREE.Color} color - Point color
+ */
+function addPoint(buffer, position, color) {
+  buffer.positions.push(position.x, position.y, position.z);
+  buffer.colors.push(color.r, color.g, color.b);
+}
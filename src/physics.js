@@ -1,14 +1,18 @@
 // Import Rapier physics engine
 import RAPIER from '@dimforge/rapier3d-compat';
+import * as THREE from 'three';
+import { createWaterPhysics } from './water-physics.js';
+import { createWaveSample } from './waves.js';
 
 // Variables to store physics world and objects
 let world = null;
 let groundCollider = null;
 
-// Water physics constants
-const WATER_LEVEL = 0; // Water level at y=0
-const BUOYANCY_FORCE = 20; // Buoyancy force to counteract gravity
-const WATER_DRAG = 2; // Drag coefficient for water resistance
+// Base water level; waves from the water physics are added on top
+export const WATER_LEVEL = 0;
+
+// Fixed simulation step (seconds); every world.step() advances by exactly this much
+export const PHYSICS_TIMESTEP = 1 / 60;
 
 /**
  * Initialize the Rapier physics world
@@ -23,6 +27,7 @@ export async function initPhysics() {
   
   // Create a new physics world with gravity
   world = new RAPIER.World({ x: 0.0, y: -9.81, z: 0.0 });
+  world.timestep = PHYSICS_TIMESTEP;
   
   // Create a ground plane (deep underwater)
   const groundColliderDesc = RAPIER.ColliderDesc.cuboid(50.0, 0.1, 50.0);
@@ -31,9 +36,14 @@ export async function initPhysics() {
   
   console.log('Ground collider created');
   
+  // Create the water simulation (buoyancy, drag and waves for all dynamic bodies)
+  const water = createWaterPhysics(world);
+  
   return {
     world,
     groundCollider,
+    water,
+    time: 0, // Simulation time in seconds, advanced by each fixed step
     RAPIER
   };
 }
@@ -41,45 +51,76 @@ export async function initPhysics() {
 /**
  * Update the physics simulation
  * @param {Object} physics - The physics world and objects
- * @param {Object} character - The character object (optional)
  */
-export function updatePhysics(physics, character = null) {
-  // Step the physics simulation (default time step is 1/60)
-  physics.world.step();
+export function updatePhysics(physics) {
+  // Apply buoyancy, drag and wave forces to every dynamic body
+  physics.water.update(PHYSICS_TIMESTEP, WATER_LEVEL, physics.time);
   
-  // Apply buoyancy to the character if provided
-  if (character) {
-    applyBuoyancy(physics, character.rigidBody);
-  }
+  // Step the physics simulation by one fixed PHYSICS_TIMESTEP
+  physics.world.step();
+  physics.time += PHYSICS_TIMESTEP;
 }
 
 /**
- * Apply buoyancy force to objects below water level
+ * Serialize the whole physics world: bodies, colliders, contacts and sleep
+ * state, so stepping a restored copy gives the same results
  * @param {Object} physics - The physics world and objects
- * @param {Object} rigidBody - The rigid body to apply buoyancy to
+ * @returns {Uint8Array} The serialized world
  */
-function applyBuoyancy(physics, rigidBody) {
-  // Get the current position of the rigid body
-  const position = rigidBody.translation();
-  
-  // Check if the object is below water level
-  if (position.y < WATER_LEVEL) {
-    // Calculate how deep the object is submerged
-    const submergedDepth = WATER_LEVEL - position.y;
-    
-    // Apply upward buoyancy force proportional to submersion depth
-    const upwardForce = { x: 0, y: BUOYANCY_FORCE * submergedDepth, z: 0 };
-    rigidBody.applyImpulse(upwardForce, true);
-    
-    // Apply water resistance (drag)
-    const velocity = rigidBody.linvel();
-    const dragForce = {
-      x: -velocity.x * WATER_DRAG,
-      y: -velocity.y * WATER_DRAG,
-      z: -velocity.z * WATER_DRAG
-    };
-    rigidBody.applyImpulse(dragForce, true);
+export function takeWorldSnapshot(physics) {
+  return physics.world.takeSnapshot();
+}
+
+/**
+ * Replace the physics world with one restored from a snapshot.
+ * Body and collider handles are kept, but the rigid body and collider
+ * objects of the old world are invalid afterwards and must be looked up again.
+ * @param {Object} physics - The physics world and objects
+ * @param {Uint8Array} data - A snapshot from takeWorldSnapshot
+ */
+export function restoreWorldSnapshot(physics, data) {
+  const restored = RAPIER.World.restoreSnapshot(data);
+  if (!restored) {
+    throw new Error('Could not restore the physics world snapshot');
   }
+  
+  const groundHandle = physics.groundCollider.handle;
+  physics.world.free();
+  
+  world = restored;
+  groundCollider = world.getCollider(groundHandle);
+  
+  physics.world = world;
+  physics.groundCollider = groundCollider;
+  physics.water.setWorld(world);
+}
+
+/**
+ * Get the height of the animated water surface
+ * @param {Object} physics - The physics world and objects
+ * @param {number} x - World X coordinate
+ * @param {number} z - World Z coordinate
+ * @param {number} time - Simulation time (defaults to the current physics time)
+ * @returns {number} The world Y of the water surface
+ */
+export function getWaterSurfaceHeight(physics, x, z, time = physics.time) {
+  return WATER_LEVEL + physics.water.getWaterHeight(x, z, time);
+}
+
+/**
+ * Sample the animated water surface over a point: the same Gerstner waves
+ * the water shader draws (see waves.js)
+ * @param {Object} physics - The physics world and objects
+ * @param {number} x - World X coordinate
+ * @param {number} z - World Z coordinate
+ * @param {number} time - Simulation time (defaults to the current physics time)
+ * @param {Object} target - Receives the sample (see createWaveSample)
+ * @returns {Object} { height, normal, displacement }, height being the world Y of the surface
+ */
+export function getWaterSurface(physics, x, z, time = physics.time, target = createWaveSample()) {
+  physics.water.sampleSurface(x, z, time, target);
+  target.height += WATER_LEVEL;
+  return target;
 }
 
 /**
@@ -100,6 +141,20 @@ export function createRigidBody(physics, position, isStatic = false) {
   return rigidBody;
 }
 
+/**
+ * Create a kinematic (position-based) rigid body, moved by script rather
+ * than by forces (moving platforms)
+ * @param {Object} physics - The physics world and objects
+ * @param {Object} position - The initial position of the rigid body
+ * @returns {Object} The created rigid body
+ */
+export function createKinematicBody(physics, position) {
+  const bodyDesc = physics.RAPIER.RigidBodyDesc.kinematicPositionBased();
+  bodyDesc.setTranslation(position.x, position.y, position.z);
+  
+  return physics.world.createRigidBody(bodyDesc);
+}
+
 /**
  * Create a collider attached to a rigid body
  * @param {Object} physics - The physics world and objects
@@ -140,4 +195,52 @@ export function createCollider(physics, rigidBody, shape, size) {
   
   const collider = physics.world.createCollider(colliderDesc, rigidBody);
   return collider;
-}
\ No newline at end of file
+}
+
+/**
+ * Create a container for the previous and current pose of a rigid body,
+ * used to interpolate rendered meshes between two fixed physics steps
+ * @param {Object} rigidBody - The rigid body to track
+ * @returns {Object} The interpolation state
+ */
+export function createInterpolationState(rigidBody) {
+  const position = rigidBody.translation();
+  const rotation = rigidBody.rotation();
+  
+  const state = {
+    previousPosition: new THREE.Vector3(position.x, position.y, position.z),
+    currentPosition: new THREE.Vector3(position.x, position.y, position.z),
+    previousQuaternion: new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w),
+    currentQuaternion: new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w)
+  };
+  
+  return state;
+}
+
+/**
+ * Record the pose of a rigid body after a physics step.
+ * The previously recorded pose becomes the interpolation start point.
+ * @param {Object} rigidBody - The rigid body to read
+ * @param {Object} state - The interpolation state to update
+ */
+export function captureBodyState(rigidBody, state) {
+  const position = rigidBody.translation();
+  const rotation = rigidBody.rotation();
+  
+  state.previousPosition.copy(state.currentPosition);
+  state.previousQuaternion.copy(state.currentQuaternion);
+  
+  state.currentPosition.set(position.x, position.y, position.z);
+  state.currentQuaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+}
+
+/**
+ * Place an object between the previous and current physics poses
+ * @param {Object} object3D - The Three.js object to update
+ * @param {Object} state - The interpolation state
+ * @param {number} alpha - Blend factor in [0, 1] (0 = previous step, 1 = current step)
+ */
+export function applyInterpolatedState(object3D, state, alpha) {
+  object3D.position.lerpVectors(state.previousPosition, state.currentPosition, alpha);
+  object3D.quaternion.slerpQuaternions(state.previousQuaternion, state.currentQuaternion, alpha);
+}
@@ -0,0 +1,270 @@
+/**
+ * Moving platforms: kinematic bodies driven by script.
+ *
+ * - path: follows waypoints at a constant speed, optionally waiting at each
+ *   one (ferries), looping or going back and forth
+ * - bob: floats on the waves, following the surface height and slope
+ * - rotate: spins at a constant rate around an axis (rolling logs)
+ *
+ * Each step the platform's next pose is set before the character moves, and
+ * the resulting linear and angular velocity is kept so anything standing on
+ * it can be carried along (see getSurfaceVelocity).
+ */
+
+import * as THREE from 'three';
+import { createKinematicBody, createCollider, PHYSICS_TIMESTEP, getWaterSurface } from './physics.js';
+import { createVisualObject } from './scene.js';
+import { registerEntity } from './entities.js';
+import { createWaveSample } from './waves.js';
+
+// Platform types
+export const PLATFORM_TYPES = {
+  PATH: 'path',
+  BOB: 'bob',
+  ROTATE: 'rotate'
+};
+
+// Platform constants
+const DEFAULT_PATH_SPEED = 2.0; // m/s
+const DEFAULT_FLOAT_HEIGHT = 0.2; // Body center height above the water surface
+const DEFAULT_ANGULAR_SPEED = 0.5; // rad/s
+const DEFAULT_PLATFORM_COLOR = 0x8B4513; // Brown wooden color
+
+// Reusable temporaries
+const deltaRotation = new THREE.Quaternion();
+const offset = new THREE.Vector3();
+const surface = createWaveSample();
+const up = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Create a moving platform and register it as an entity
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object} entities - The entity registry
+ * @param {Object} description - Platform description from the level
+ * @returns {Object} The platform entity (with a `platform` field)
+ */
+export function createPlatform(physicsWorld, entities, description) {
+  const start = description.type === PLATFORM_TYPES.PATH ? description.waypoints[0] : description.position;
+  const position = { x: start[0], y: start[1], z: start[2] };
+  const color = description.color ? new THREE.Color(description.color) : DEFAULT_PLATFORM_COLOR;
+  
+  // Optional starting orientation (degrees), e.g. to lay a log on its side
+  const rotation = description.rotation || [0, 0, 0];
+  const baseQuaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+    THREE.MathUtils.degToRad(rotation[0]),
+    THREE.MathUtils.degToRad(rotation[1]),
+    THREE.MathUtils.degToRad(rotation[2])
+  ));
+  
+  const rigidBody = createKinematicBody(physicsWorld, position);
+  rigidBody.setRotation(baseQuaternion, true);
+  createCollider(physicsWorld, rigidBody, description.shape, description.size);
+  
+  const mesh = createVisualObject(entities.threeObjects, description.shape, description.size, position, color);
+  
+  const platform = {
+    type: description.type,
+    // Motion over the coming step, read by whatever stands on the platform
+    linearVelocity: new THREE.Vector3(),
+    angularVelocity: new THREE.Vector3(),
+    // Pose the platform is moving to
+    position: new THREE.Vector3(position.x, position.y, position.z),
+    quaternion: baseQuaternion.clone(),
+    baseQuaternion
+  };
+  
+  switch (description.type) {
+    case PLATFORM_TYPES.PATH:
+      platform.waypoints = description.waypoints.map((point) => new THREE.Vector3(point[0], point[1], point[2]));
+      platform.speed = description.speed || DEFAULT_PATH_SPEED;
+      platform.wait = description.wait || 0;
+      platform.loop = description.loop !== false;
+      platform.targetIndex = 1 % platform.waypoints.length;
+      platform.step = 1; // Direction through the waypoints when going back and forth
+      platform.waitTimer = platform.wait;
+      break;
+    case PLATFORM_TYPES.BOB:
+      platform.anchor = platform.position.clone();
+      platform.floatHeight = description.floatHeight !== undefined ? description.floatHeight : DEFAULT_FLOAT_HEIGHT;
+      break;
+    case PLATFORM_TYPES.ROTATE: {
+      const axis = description.axis || [1, 0, 0];
+      platform.axis = new THREE.Vector3(axis[0], axis[1], axis[2]).normalize();
+      platform.angularSpeed = description.angularSpeed !== undefined ? description.angularSpeed : DEFAULT_ANGULAR_SPEED;
+      break;
+    }
+    default:
+      throw new Error(`Unsupported platform type: ${description.type}`);
+  }
+  
+  // Found from colliders (ground checks) through the body
+  rigidBody.userData = { platform };
+  
+  const entity = registerEntity(entities, { object3D: mesh, rigidBody, name: 'platform' });
+  entity.platform = platform;
+  return entity;
+}
+
+/**
+ * Set the next pose of every platform. Call once per physics step, before
+ * the character moves and the world is stepped.
+ * @param {Object} entities - The entity registry
+ * @param {Object} physicsWorld - The physics world
+ */
+export function updatePlatforms(entities, physicsWorld) {
+  for (const entity of entities.entities.values()) {
+    const platform = entity.platform;
+    if (!platform) continue;
+    
+    const body = entity.rigidBody;
+    const translation = body.translation();
+    const rotation = body.rotation();
+    const currentPosition = new THREE.Vector3(translation.x, translation.y, translation.z);
+    const currentQuaternion = new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w);
+    
+    platform.position.copy(currentPosition);
+    platform.quaternion.copy(currentQuaternion);
+    
+    switch (platform.type) {
+      case PLATFORM_TYPES.PATH:
+        movePathPlatform(platform);
+        break;
+      case PLATFORM_TYPES.BOB:
+        moveBobbingPlatform(platform, physicsWorld);
+        break;
+      case PLATFORM_TYPES.ROTATE:
+        deltaRotation.setFromAxisAngle(platform.axis, platform.angularSpeed * PHYSICS_TIMESTEP);
+        platform.quaternion.premultiply(deltaRotation);
+        break;
+    }
+    
+    // Velocities that take the platform to its next pose in one step
+    platform.linearVelocity.subVectors(platform.position, currentPosition).divideScalar(PHYSICS_TIMESTEP);
+    getAngularVelocity(currentQuaternion, platform.quaternion, PHYSICS_TIMESTEP, platform.angularVelocity);
+    
+    body.setNextKinematicTranslation(platform.position);
+    body.setNextKinematicRotation(platform.quaternion);
+  }
+}
+
+/**
+ * Velocity of a body's surface at a world point (zero for fixed bodies).
+ * Platforms report the motion of the coming step; dynamic bodies their
+ * current velocity.
+ * @param {Object} body - The rigid body (or null)
+ * @param {Object} point - World point on the surface ({ x, y, z })
+ * @param {THREE.Vector3} target - Receives the velocity
+ * @returns {THREE.Vector3} The velocity
+ */
+export function getSurfaceVelocity(body, point, target) {
+  target.set(0, 0, 0);
+  if (!body || body.isFixed()) return target;
+  
+  const platform = body.userData && body.userData.platform;
+  let center;
+  
+  if (platform) {
+    target.copy(platform.linearVelocity);
+    offset.copy(platform.angularVelocity);
+    center = body.translation();
+  } else {
+    const linvel = body.linvel();
+    const angvel = body.angvel();
+    target.set(linvel.x, linvel.y, linvel.z);
+    offset.set(angvel.x, angvel.y, angvel.z);
+    center = body.worldCom();
+  }
+  
+  // v + w x r
+  const leverArm = new THREE.Vector3(point.x - center.x, point.y - center.y, point.z - center.z);
+  return target.add(offset.cross(leverArm));
+}
+
+/**
+ * Turn rate of a body around the vertical axis (zero for fixed bodies)
+ * @param {Object} body - The rigid body (or null)
+ * @returns {number} Yaw rate in rad/s
+ */
+export function getSurfaceYawRate(body) {
+  if (!body || body.isFixed()) return 0;
+  
+  const platform = body.userData && body.userData.platform;
+  return platform ? platform.angularVelocity.y : body.angvel().y;
+}
+
+/**
+ * Advance a path platform toward its target waypoint
+ * @param {Object} platform - The platform
+ */
+function movePathPlatform(platform) {
+  if (platform.waypoints.length < 2) return;
+  
+  // Waiting at a stop (ferries)
+  if (platform.waitTimer > 0) {
+    platform.waitTimer -= PHYSICS_TIMESTEP;
+    return;
+  }
+  
+  const target = platform.waypoints[platform.targetIndex];
+  const distance = platform.position.distanceTo(target);
+  const stepLength = platform.speed * PHYSICS_TIMESTEP;
+  
+  if (distance > stepLength) {
+    platform.position.add(offset.subVectors(target, platform.position).multiplyScalar(stepLength / distance));
+    return;
+  }
+  
+  // Arrived: stop, then head for the next waypoint
+  platform.position.copy(target);
+  platform.waitTimer = platform.wait;
+  
+  const count = platform.waypoints.length;
+  if (platform.loop) {
+    platform.targetIndex = (platform.targetIndex + 1) % count;
+  } else {
+    if (platform.targetIndex + platform.step < 0 || platform.targetIndex + platform.step >= count) {
+      platform.step = -platform.step;
+    }
+    platform.targetIndex += platform.step;
+  }
+}
+
+/**
+ * Float a platform on the waves, tilted to the local surface slope
+ * @param {Object} platform - The platform
+ * @param {Object} physicsWorld - The physics world
+ */
+function moveBobbingPlatform(platform, physicsWorld) {
+  // Follow the surface as it will be after this step
+  const time = physicsWorld.time + PHYSICS_TIMESTEP;
+  const { x, z } = platform.anchor;
+  getWaterSurface(physicsWorld, x, z, time, surface);
+  
+  platform.position.set(x, surface.height + platform.floatHeight, z);
+  platform.quaternion.setFromUnitVectors(up, surface.normal).multiply(platform.baseQuaternion);
+}
+
+/**
+ * Angular velocity that rotates one orientation into another over a time step
+ * @param {THREE.Quaternion} from - Current orientation
+ * @param {THREE.Quaternion} to - Next orientation
+ * @param {number} deltaTime - The time step
+ * @param {THREE.Vector3} target - Receives the angular velocity (rad/s, world axes)
+ * @returns {THREE.Vector3} The angular velocity
+ */
+function getAngularVelocity(from, to, deltaTime, target) {
+  deltaRotation.copy(from).invert().premultiply(to);
+  
+  // Shortest way round
+  if (deltaRotation.w < 0) {
+    deltaRotation.set(-deltaRotation.x, -deltaRotation.y, -deltaRotation.z, -deltaRotation.w);
+  }
+  
+  const sinHalfAngle = Math.sqrt(deltaRotation.x ** 2 + deltaRotation.y ** 2 + deltaRotation.z ** 2);
+  if (sinHalfAngle < 1e-9) {
+    return target.set(0, 0, 0);
+  }
+  
+  const angle = 2 * Math.atan2(sinHalfAngle, deltaRotation.w);
+  return target.set(deltaRotation.x, deltaRotation.y, deltaRotation.z).multiplyScalar(angle / (sinHalfAngle * deltaTime));
+}
@@ -0,0 +1,88 @@
+/**
+ * Seeded random numbers and noise, so anything random in the world (flower
+ * placement, generated islands) comes out the same for the same seed.
+ * Replays record the seed they were made with.
+ */
+
+// Seed used when neither the URL (?seed=) nor the level sets one
+export const DEFAULT_SEED = 1;
+
+// Size of the value noise lattice, a power of two (noise repeats every this many units)
+const NOISE_LATTICE_SIZE = 256;
+
+/**
+ * Create a random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Returns numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed = DEFAULT_SEED) {
+  let state = seed >>> 0;
+  
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create smooth 2D value noise from a random number generator
+ * @param {Function} random - Seeded random number generator (see createRandom)
+ * @returns {Function} noise(x, z), returning values in [0, 1] that vary over about one unit
+ */
+export function createNoise2D(random) {
+  // Random values on a repeating lattice, looked up through a shuffled table
+  const values = new Float32Array(NOISE_LATTICE_SIZE);
+  const permutation = new Uint8Array(NOISE_LATTICE_SIZE * 2);
+  for (let i = 0; i < NOISE_LATTICE_SIZE; i++) {
+    values[i] = random();
+    permutation[i] = i;
+  }
+  for (let i = NOISE_LATTICE_SIZE - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+  }
+  permutation.copyWithin(NOISE_LATTICE_SIZE, 0, NOISE_LATTICE_SIZE);
+  
+  const mask = NOISE_LATTICE_SIZE - 1;
+  const lattice = (ix, iz) => values[permutation[permutation[ix & mask] + (iz & mask)]];
+  const smooth = (t) => t * t * (3 - 2 * t);
+  
+  return function noise(x, z) {
+    const ix = Math.floor(x);
+    const iz = Math.floor(z);
+    const tx = smooth(x - ix);
+    const tz = smooth(z - iz);
+    
+    const top = lattice(ix, iz) + (lattice(ix + 1, iz) - lattice(ix, iz)) * tx;
+    const bottom = lattice(ix, iz + 1) + (lattice(ix + 1, iz + 1) - lattice(ix, iz + 1)) * tx;
+    return top + (bottom - top) * tz;
+  };
+}
+
+/**
+ * Layered noise: octaves of doubling frequency and halving amplitude
+ * @param {Function} noise - Noise from createNoise2D
+ * @param {number} x - X coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} octaves - Number of layers
+ * @returns {number} Value in [0, 1]
+ */
+export function fractalNoise2D(noise, x, z, octaves = 4) {
+  let sum = 0;
+  let amplitude = 1;
+  let total = 0;
+  let frequency = 1;
+  
+  for (let i = 0; i < octaves; i++) {
+    // Offset each octave so their lattice points don't line up
+    sum += noise(x * frequency + i * 17.3, z * frequency - i * 9.1) * amplitude;
+    total += amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+  
+  return sum / total;
+}
@@ -0,0 +1,293 @@
+/**
+ * Deterministic input recording and replay, for reproducing physics bugs.
+ *
+ * The game records the input the character receives on every fixed step
+ * (run-length encoded), together with what is needed to rebuild the same
+ * starting world: level, spawn point, controller mode and random seed.
+ * Replaying rebuilds that world and feeds the input back step by step. The
+ * simulation is fixed-step and seeded, so a replay ends in a bit-identical
+ * world; the checksum stored with the recording proves it, in the browser
+ * or in the headless harness (scripts/replay.js).
+ *
+ * Model props are loaded over the network and may fail to load, and the
+ * headless harness doesn't load them at all. A recording stores which props
+ * were in its world, and a replay is refused on a world with other props
+ * rather than compared against it.
+ */
+
+import { CHARACTER_STATES } from './character.js';
+import { stepSimulation } from './simulation.js';
+
+// Replay format version understood by this module
+export const REPLAY_VERSION = 2;
+
+// Name of downloaded replay files
+const REPLAY_FILE_NAME = '3d-controller-replay.json';
+
+// Session storage key for a replay handed over to the next page load
+const REPLAY_SESSION_KEY = '3d-controller.replay';
+
+// Recording stops after this many steps (30 minutes at 60 steps per second)
+const MAX_RECORDED_STEPS = 60 * 60 * 30;
+
+// Input fields recorded per step, in order (booleans are stored as 0 / 1)
+const INPUT_FIELDS = ['forward', 'backward', 'left', 'right', 'jump', 'dive', 'mouseX', 'mouseY'];
+const BOOLEAN_FIELDS = ['jump', 'dive'];
+
+/**
+ * Start an empty recording
+ * @param {Object} start - { level, spawn, controller, seed, props } describing the starting world
+ *   (props: indices of the level's model props that loaded, see createSimulation)
+ * @returns {Object} The recording (a replay without a checksum yet)
+ */
+export function createRecording({ level, spawn = null, controller, seed, props = [] }) {
+  return {
+    type: 'replay',
+    version: REPLAY_VERSION,
+    level,
+    spawn,
+    controller,
+    seed,
+    props: [...props],
+    steps: 0,
+    inputs: [], // Runs of identical steps: [count, ...values in INPUT_FIELDS order]
+    checksum: null
+  };
+}
+
+/**
+ * Record the input of one fixed step
+ * @param {Object} recording - The recording
+ * @param {Object} input - The input the character received this step
+ * @returns {boolean} False once the recording is full
+ */
+export function recordStep(recording, input) {
+  if (recording.steps >= MAX_RECORDED_STEPS) return false;
+  
+  const values = INPUT_FIELDS.map((field) => Number(input[field]));
+  const last = recording.inputs[recording.inputs.length - 1];
+  
+  if (last && values.every((value, index) => value === last[index + 1])) {
+    last[0]++;
+  } else {
+    recording.inputs.push([1, ...values]);
+  }
+  
+  recording.steps++;
+  return true;
+}
+
+/**
+ * Finish a recording at the current step: a copy stamped with the checksum
+ * of the world it ended in
+ * @param {Object} recording - The recording
+ * @param {Object} simulation - The simulation that was recorded
+ * @returns {Object} The replay
+ */
+export function finishRecording(recording, simulation) {
+  return {
+    ...recording,
+    inputs: recording.inputs.map((run) => [...run]),
+    checksum: computeChecksum(simulation)
+  };
+}
+
+/**
+ * Start playing a replay back
+ * @param {Object} replay - The replay
+ * @returns {Object} The replay player
+ */
+export function createReplayPlayer(replay) {
+  return {
+    replay,
+    run: 0, // Index of the current input run
+    used: 0, // Steps already taken from the current run
+    step: 0
+  };
+}
+
+/**
+ * Input for the next step of a replay
+ * @param {Object} player - The replay player
+ * @returns {Object|null} The input, or null once the replay has ended
+ */
+export function nextReplayInput(player) {
+  const run = player.replay.inputs[player.run];
+  if (!run) return null;
+  
+  const input = {};
+  INPUT_FIELDS.forEach((field, index) => {
+    input[field] = BOOLEAN_FIELDS.includes(field) ? run[index + 1] === 1 : run[index + 1];
+  });
+  
+  player.step++;
+  player.used++;
+  if (player.used >= run[0]) {
+    player.run++;
+    player.used = 0;
+  }
+  
+  return input;
+}
+
+/**
+ * Play a whole replay on a simulation built from its starting world
+ * (headless: no rendering, no frame timing)
+ * @param {Object} simulation - The simulation (see createSimulation)
+ * @param {Object} replay - The replay
+ * @param {THREE.Camera} camera - Camera passed to the character controller
+ * @returns {string} Checksum of the final world
+ * @throws {Error} When the simulation has other model props than the recording (see checkReplayWorld)
+ */
+export function runReplay(simulation, replay, camera) {
+  checkReplayWorld(replay, simulation);
+  const player = createReplayPlayer(replay);
+  
+  for (let input = nextReplayInput(player); input; input = nextReplayInput(player)) {
+    stepSimulation(simulation, input, camera);
+  }
+  
+  return computeChecksum(simulation);
+}
+
+/**
+ * Checksum of the simulated world: every body's pose and velocity, the
+ * character controller state and the simulation clock
+ * @param {Object} simulation - The simulation
+ * @returns {string} 8 hex digits
+ */
+export function computeChecksum(simulation) {
+  const { physicsWorld, character } = simulation;
+  
+  // Sorted by handle, so the order doesn't depend on how the world was built or restored
+  const bodies = [];
+  physicsWorld.world.bodies.forEach((body) => bodies.push(body));
+  bodies.sort((a, b) => a.handle - b.handle);
+  
+  const values = [physicsWorld.time];
+  for (const body of bodies) {
+    const translation = body.translation();
+    const rotation = body.rotation();
+    const linvel = body.linvel();
+    const angvel = body.angvel();
+    values.push(
+      body.handle,
+      translation.x, translation.y, translation.z,
+      rotation.x, rotation.y, rotation.z, rotation.w,
+      linvel.x, linvel.y, linvel.z,
+      angvel.x, angvel.y, angvel.z
+    );
+  }
+  
+  values.push(
+    Object.values(CHARACTER_STATES).indexOf(character.state),
+    character.verticalVelocity,
+    character.rotation.y,
+    character.breath,
+    ...character.velocity.toArray(),
+    ...character.carryVelocity.toArray()
+  );
+  
+  return hashNumbers(values);
+}
+
+/**
+ * Check that an object is a replay this module can play
+ * @param {Object} replay - The parsed replay
+ * @returns {Object} The replay
+ */
+export function checkReplay(replay) {
+  if (!replay || replay.type !== 'replay') {
+    throw new Error('Not a replay file');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version}`);
+  }
+  if (!Array.isArray(replay.props)) {
+    throw new Error('Replay does not say which model props were loaded');
+  }
+  return replay;
+}
+
+/**
+ * Check that a simulation was built like the recorded world: with the same
+ * model props loaded. Otherwise the worlds differ from the first step and
+ * the checksum can't match.
+ * @param {Object} replay - The replay
+ * @param {Object} simulation - The simulation built from its starting world
+ * @throws {Error} When the props differ
+ */
+export function checkReplayWorld(replay, simulation) {
+  const recorded = replay.props.join(', ');
+  const loaded = simulation.props.join(', ');
+  if (recorded !== loaded) {
+    throw new Error(`Replay was recorded with model props [${recorded}] of ${replay.level} loaded, this world has [${loaded}]`);
+  }
+}
+
+/**
+ * Fetch a replay file
+ * @param {string} url - URL of the replay JSON
+ * @returns {Promise<Object>} The replay
+ */
+export async function loadReplay(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load replay "${url}": ${response.status} ${response.statusText}`);
+  }
+  return checkReplay(await response.json());
+}
+
+/**
+ * Download a replay as a JSON file
+ * @param {Object} replay - The replay
+ */
+export function downloadReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = REPLAY_FILE_NAME;
+  link.click();
+  
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Keep a replay for the next page load (replays start from a freshly built world)
+ * @param {Object} replay - The replay
+ */
+export function storeReplayForReload(replay) {
+  window.sessionStorage.setItem(REPLAY_SESSION_KEY, JSON.stringify(replay));
+}
+
+/**
+ * Get the replay kept by storeReplayForReload (kept for the whole session,
+ * so reloading the page plays it again)
+ * @returns {Object} The replay
+ */
+export function getStoredReplay() {
+  const stored = window.sessionStorage.getItem(REPLAY_SESSION_KEY);
+  if (!stored) {
+    throw new Error('No replay was handed over to this page');
+  }
+  return checkReplay(JSON.parse(stored));
+}
+
+/**
+ * FNV-1a hash of the bytes of a list of numbers (as 64-bit floats)
+ * @param {Array<number>} values - The numbers
+ * @returns {string} 8 hex digits
+ */
+function hashNumbers(values) {
+  const bytes = new Uint8Array(new Float64Array(values).buffer);
+  
+  let hash = 0x811c9dc5;
+  for (const byte of bytes) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+  
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
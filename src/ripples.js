@@ -0,0 +1,317 @@
+/**
+ * Interactive ripples: a heightfield of small waves on top of the Gerstner
+ * swell, simulated on the GPU around the camera.
+ *
+ * The field is a square of texels following the camera, stepped with a damped
+ * wave equation by rendering between two render targets (ping-pong): each
+ * texel holds its current and previous height. Swimmers and bodies breaking
+ * the surface push the water down where they are, so a swimmer leaves a
+ * V-shaped wake and a dropped ball sends out rings. The water shader samples
+ * the field for its normals and foam (see updateWaterRipples in scene.js).
+ *
+ * Ripples are visual only: the physics never reads them back, so they don't
+ * affect determinism.
+ */
+
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+import { getWaterSurfaceHeight } from './physics.js';
+
+// Field size: texels per side and the square of water they cover (m)
+const RIPPLE_RESOLUTION = 256;
+const RIPPLE_AREA = 64;
+const RIPPLE_TEXEL_SIZE = RIPPLE_AREA / RIPPLE_RESOLUTION;
+
+// Wave propagation speed (m/s). Slower than a swimmer (2.5 m/s), so swimmers
+// outrun their own ripples and leave a V-shaped wake (half-angle asin(1 / 2.5) = 24 deg)
+const RIPPLE_WAVE_SPEED = 1.0;
+
+// Fraction of the ripple height lost per second
+const RIPPLE_DAMPING = 0.5;
+
+// Fixed simulation step, and the most steps run per frame
+const RIPPLE_TIMESTEP = 1 / 60;
+const MAX_RIPPLE_STEPS = 4;
+
+// Most disturbances injected per step (size of the shader's uniform array)
+export const MAX_RIPPLE_SOURCES = 16;
+
+// Disturbances: a body moving through the surface pushes it down by RIPPLE_PUSH
+// meters per second per m/s of speed, over a footprint of its size
+const RIPPLE_PUSH = 0.04;
+const MIN_SOURCE_SPEED = 0.1; // Slower bodies (resting floaters) leave the water alone (m/s)
+const MAX_SOURCE_SPEED = 6.0; // Faster bodies push no harder (m/s)
+const MIN_SOURCE_RADIUS = 0.2; // Footprint limits (m)
+const MAX_SOURCE_RADIUS = 1.5;
+
+// Full-screen quad vertex shader for the simulation pass
+const RIPPLE_VERTEX_SHADER = `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+// One step of the damped wave equation. The field is world-anchored: when it
+// follows the camera, each texel reads the state from where its water was.
+const RIPPLE_FRAGMENT_SHADER = `
+#define MAX_RIPPLE_SOURCES ${MAX_RIPPLE_SOURCES}
+
+uniform sampler2D state; // Height, previous height
+uniform vec2 texel; // Size of a texel in uv
+uniform vec2 shift; // Texels the field moved since the last step
+uniform float courant; // (wave speed * timestep / texel size)^2
+uniform float damping; // Height kept per step
+uniform vec4 sources[MAX_RIPPLE_SOURCES]; // Center u, center v, radius (uv), push (m)
+uniform int sourceCount;
+
+varying vec2 vUv;
+
+// State at a uv, calm water outside the field
+vec2 getState(vec2 uv) {
+  if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) {
+    return vec2(0.0);
+  }
+  return texture2D(state, uv).rg;
+}
+
+void main() {
+  vec2 uv = vUv + shift * texel;
+  vec2 current = getState(uv);
+  
+  float laplacian = getState(uv + vec2(texel.x, 0.0)).r
+    + getState(uv - vec2(texel.x, 0.0)).r
+    + getState(uv + vec2(0.0, texel.y)).r
+    + getState(uv - vec2(0.0, texel.y)).r
+    - 4.0 * current.r;
+  float height = (2.0 * current.r - current.g + courant * laplacian) * damping;
+  
+  // Bodies push the water down under their footprint
+  for (int i = 0; i < MAX_RIPPLE_SOURCES; i++) {
+    if (i >= sourceCount) break;
+    
+    float distanceToSource = distance(vUv, sources[i].xy);
+    height -= sources[i].w * (1.0 - smoothstep(0.0, sources[i].z, distanceToSource));
+  }
+  
+  gl_FragColor = vec4(height, current.r, 0.0, 1.0);
+}
+`;
+
+// Reusable temporaries
+const clearColor = new THREE.Color();
+
+/**
+ * Create the ripple field and its simulation pass
+ * @param {THREE.WebGLRenderer} renderer - The renderer (the field starts calm)
+ * @returns {Object} The ripple field
+ */
+export function createRippleField(renderer) {
+  const targetOptions = {
+    type: THREE.HalfFloatType,
+    format: THREE.RGBAFormat,
+    minFilter: THREE.LinearFilter,
+    magFilter: THREE.LinearFilter,
+    depthBuffer: false,
+    stencilBuffer: false
+  };
+  const targets = [
+    new THREE.WebGLRenderTarget(RIPPLE_RESOLUTION, RIPPLE_RESOLUTION, targetOptions),
+    new THREE.WebGLRenderTarget(RIPPLE_RESOLUTION, RIPPLE_RESOLUTION, targetOptions)
+  ];
+  
+  const material = new THREE.ShaderMaterial({
+    vertexShader: RIPPLE_VERTEX_SHADER,
+    fragmentShader: RIPPLE_FRAGMENT_SHADER,
+    uniforms: {
+      state: { value: null },
+      texel: { value: new THREE.Vector2(1 / RIPPLE_RESOLUTION, 1 / RIPPLE_RESOLUTION) },
+      shift: { value: new THREE.Vector2() },
+      courant: { value: (RIPPLE_WAVE_SPEED * RIPPLE_TIMESTEP / RIPPLE_TEXEL_SIZE) ** 2 },
+      damping: { value: Math.exp(-RIPPLE_DAMPING * RIPPLE_TIMESTEP) },
+      sources: { value: Array.from({ length: MAX_RIPPLE_SOURCES }, () => new THREE.Vector4()) },
+      sourceCount: { value: 0 }
+    },
+    depthTest: false,
+    depthWrite: false
+  });
+  
+  // The simulation pass draws one quad over the whole render target
+  const scene = new THREE.Scene();
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+  quad.frustumCulled = false;
+  scene.add(quad);
+  
+  const field = {
+    targets,
+    current: 0, // Index of the target holding the latest state
+    material,
+    scene,
+    camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+    origin: null, // World x, z of the field's corner (uv 0, 0), snapped to whole texels
+    bounds: new THREE.Vector4(0, 0, RIPPLE_AREA, RIPPLE_AREA), // Min x, min z, size x, size z
+    texelSize: 1 / RIPPLE_RESOLUTION, // Size of a texel in uv
+    accumulator: 0
+  };
+  
+  // Start calm
+  renderer.getClearColor(clearColor);
+  const clearAlpha = renderer.getClearAlpha();
+  const currentRenderTarget = renderer.getRenderTarget();
+  renderer.setClearColor(0x000000, 0);
+  for (const target of targets) {
+    renderer.setRenderTarget(target);
+    renderer.clear();
+  }
+  renderer.setRenderTarget(currentRenderTarget);
+  renderer.setClearColor(clearColor, clearAlpha);
+  
+  return field;
+}
+
+/**
+ * Advance the ripples by a frame: move the field with the camera, then run
+ * the fixed simulation steps the elapsed time calls for
+ * @param {Object} field - The ripple field
+ * @param {THREE.WebGLRenderer} renderer - The renderer
+ * @param {THREE.Vector3} center - Where the field is centered (the camera)
+ * @param {Array<Object>} sources - Disturbances this frame (see collectRippleSources)
+ * @param {number} deltaTime - Time since the last frame in seconds
+ * @returns {THREE.Texture} The latest state (height in red)
+ */
+export function updateRippleField(field, renderer, center, sources, deltaTime) {
+  const uniforms = field.material.uniforms;
+  
+  // Fixed steps, dropping any backlog beyond the per-frame budget
+  field.accumulator = Math.min(field.accumulator + deltaTime, MAX_RIPPLE_STEPS * RIPPLE_TIMESTEP);
+  if (field.accumulator < RIPPLE_TIMESTEP) {
+    return field.targets[field.current].texture;
+  }
+  
+  // Follow the center in whole texels, so the water stays put under the field
+  const originX = Math.round(center.x / RIPPLE_TEXEL_SIZE) * RIPPLE_TEXEL_SIZE - RIPPLE_AREA / 2;
+  const originZ = Math.round(center.z / RIPPLE_TEXEL_SIZE) * RIPPLE_TEXEL_SIZE - RIPPLE_AREA / 2;
+  if (field.origin) {
+    uniforms.shift.value.set(
+      Math.round((originX - field.origin.x) / RIPPLE_TEXEL_SIZE),
+      Math.round((originZ - field.origin.y) / RIPPLE_TEXEL_SIZE)
+    );
+  } else {
+    field.origin = new THREE.Vector2();
+  }
+  field.origin.set(originX, originZ);
+  field.bounds.set(originX, originZ, RIPPLE_AREA, RIPPLE_AREA);
+  
+  // Disturbances in field uv
+  const count = Math.min(sources.length, MAX_RIPPLE_SOURCES);
+  for (let i = 0; i < count; i++) {
+    const source = sources[i];
+    uniforms.sources.value[i].set(
+      (source.x - originX) / RIPPLE_AREA,
+      (source.z - originZ) / RIPPLE_AREA,
+      source.radius / RIPPLE_AREA,
+      source.push * RIPPLE_TIMESTEP
+    );
+  }
+  uniforms.sourceCount.value = count;
+  
+  const currentRenderTarget = renderer.getRenderTarget();
+  while (field.accumulator >= RIPPLE_TIMESTEP) {
+    const next = 1 - field.current;
+    uniforms.state.value = field.targets[field.current].texture;
+    
+    renderer.setRenderTarget(field.targets[next]);
+    renderer.render(field.scene, field.camera);
+    field.current = next;
+    
+    // The field moves on the first step only
+    uniforms.shift.value.set(0, 0);
+    field.accumulator -= RIPPLE_TIMESTEP;
+  }
+  renderer.setRenderTarget(currentRenderTarget);
+  
+  return field.targets[field.current].texture;
+}
+
+/**
+ * Free the render targets and the simulation pass of a ripple field
+ * @param {Object} field - The ripple field
+ */
+export function disposeRippleField(field) {
+  for (const target of field.targets) {
+    target.dispose();
+  }
+  field.material.dispose();
+  field.scene.children[0].geometry.dispose();
+}
+
+/**
+ * Find what is disturbing the water: the character and every dynamic body
+ * whose colliders cross the wave surface while moving
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object} character - The character controller (optional)
+ * @param {Array<Object>} target - Receives the sources ({ x, z, radius, push })
+ * @returns {Array<Object>} The sources, fastest first, at most MAX_RIPPLE_SOURCES
+ */
+export function collectRippleSources(physicsWorld, character, target = []) {
+  target.length = 0;
+  const characterBody = character ? character.rigidBody : null;
+  
+  physicsWorld.world.bodies.forEach((rigidBody) => {
+    if (!rigidBody.isDynamic() && rigidBody !== characterBody) return;
+    
+    // A kinematic character's body has no velocity of its own
+    const velocity = rigidBody === characterBody ? character.velocity : rigidBody.linvel();
+    const speed = Math.min(Math.hypot(velocity.x, velocity.y, velocity.z), MAX_SOURCE_SPEED);
+    if (speed < MIN_SOURCE_SPEED) return;
+    
+    for (let c = 0; c < rigidBody.numColliders(); c++) {
+      const collider = rigidBody.collider(c);
+      if (collider.isSensor()) continue;
+      
+      // Only colliders reaching through the surface disturb it
+      const center = collider.translation();
+      const reach = getColliderReach(collider);
+      const surfaceHeight = getWaterSurfaceHeight(physicsWorld, center.x, center.z);
+      if (Math.abs(center.y - surfaceHeight) > reach) continue;
+      
+      target.push({
+        x: center.x,
+        z: center.z,
+        radius: THREE.MathUtils.clamp(reach, MIN_SOURCE_RADIUS, MAX_SOURCE_RADIUS),
+        push: speed * RIPPLE_PUSH
+      });
+    }
+  });
+  
+  target.sort((a, b) => b.push - a.push);
+  if (target.length > MAX_RIPPLE_SOURCES) {
+    target.length = MAX_RIPPLE_SOURCES;
+  }
+  return target;
+}
+
+/**
+ * Radius of the sphere around a collider's center that holds the whole shape
+ * @param {RAPIER.Collider} collider - The collider
+ * @returns {number} The radius
+ */
+function getColliderReach(collider) {
+  switch (collider.shapeType()) {
+    case RAPIER.ShapeType.Ball:
+      return collider.radius();
+    case RAPIER.ShapeType.Capsule:
+      return collider.halfHeight() + collider.radius();
+    case RAPIER.ShapeType.Cylinder:
+      return Math.hypot(collider.halfHeight(), collider.radius());
+    case RAPIER.ShapeType.Cuboid: {
+      const halfExtents = collider.halfExtents();
+      return Math.hypot(halfExtents.x, halfExtents.y, halfExtents.z);
+    }
+    default:
+      // Sphere of the same volume
+      return Math.cbrt(3 * collider.volume() / (4 * Math.PI));
+  }
+}
@@ -1,10 +1,14 @@
 // Import Three.js
 import * as THREE from 'three';
 import { Sky } from 'three/examples/jsm/objects/Sky.js';
+import { createWaveUniforms, setWaveUniforms } from './waves.js';
+import { createRippleField, updateRippleField } from './ripples.js';
+import { UNDERWATER_COLOR } from './underwater.js';
+import { createParticleSystem } from './particles.js';
 
 // Variables to store Three.js objects
 let scene, renderer, camera;
-let water, sky;
+let water, sky, ripples, particles;
 let renderTarget, depthMaterial;
 
 // Water shader parameters
@@ -14,6 +18,22 @@ const waterParams = {
   threshold: 0.1
 };
 
+// Water surface mesh: a grid that follows the camera so the vertex shader
+// can displace it with the same waves the physics samples. Cells are
+// WATER_CELL_SIZE out to WATER_DETAIL_EXTENT from the camera, then each is
+// WATER_CELL_GROWTH times the one before, out past the far plane
+const WATER_CELL_SIZE = 2;
+const WATER_DETAIL_EXTENT = 200;
+const WATER_CELL_GROWTH = 1.15;
+
+// How far past the far plane the water reaches: the plane's corners are further
+// out than its middle (enough for windows up to about 2.6 times wider than tall)
+const WATER_FAR_MARGIN = 2.5;
+
+// The coarse cells are too big to show the waves, so they flatten out over
+// this fraction of the detailed extent before the cells start growing
+const WAVE_FADE_FRACTION = 0.25;
+
 /**
  * Initialize the Three.js scene
  * @param {HTMLCanvasElement} canvas - The canvas element to render to
@@ -75,6 +95,12 @@ export function initScene(canvas) {
   water = createWaterWithFoam();
   scene.add(water);
   
+  // Ripples and wakes drawn on the water (see updateWaterRipples)
+  ripples = createRippleField(renderer);
+  
+  // Pooled particles for splashes, spray and other effects (see particles.js)
+  particles = createParticleSystem(scene);
+  
   // Handle window resize
   window.addEventListener('resize', () => {
     camera.aspect = window.innerWidth / window.innerHeight;
@@ -104,6 +130,9 @@ export function initScene(canvas) {
     renderer,
     camera,
     water,
+    sky,
+    ripples,
+    particles,
     depthMaterial,
     renderTarget
   };
@@ -172,8 +201,8 @@ function createWaterWithFoam() {
   const dudvMap = new THREE.TextureLoader().load('/textures/water/foam/dudvMap.png');
   dudvMap.wrapS = dudvMap.wrapT = THREE.RepeatWrapping;
   
-  // Create water geometry
-  const waterGeometry = new THREE.PlaneGeometry(10000, 10000);
+  // Create water geometry (subdivided so waves can displace the vertices)
+  const waterGeometry = createWaterSurfaceGeometry(camera.far * WATER_FAR_MARGIN);
   
   // Check if depth texture extension is supported
   const supportsDepthTextureExtension = !!renderer.extensions.get("WEBGL_depth_texture");
@@ -188,6 +217,11 @@ function createWaterWithFoam() {
       THREE.UniformsLib["fog"],
       {
         time: { value: 0 },
+        // Gerstner waves (see updateWaterSurface), flat beyond the detailed cells
+        ...createWaveUniforms(),
+        waveFade: {
+          value: new THREE.Vector2(WATER_DETAIL_EXTENT * (1 - WAVE_FADE_FRACTION), WATER_DETAIL_EXTENT)
+        },
         threshold: { value: waterParams.threshold },
         tDudv: { value: dudvMap },
         tDepth: {
@@ -204,11 +238,24 @@ function createWaterWithFoam() {
           )
         },
         foamColor: { value: new THREE.Color(waterParams.foamColor) },
-        waterColor: { value: new THREE.Color(waterParams.waterColor) }
+        waterColor: { value: new THREE.Color(waterParams.waterColor) },
+        // Terrain heights for surf along the shore (see setShorelineMap)
+        shorelineMap: { value: null },
+        shorelineBounds: { value: new THREE.Vector4(0, 0, 1, 1) },
+        shorelineRange: { value: 1 },
+        shorelineEnabled: { value: 0 },
+        // Ripple heightfield around the camera (see updateWaterRipples)
+        rippleMap: { value: null },
+        rippleBounds: { value: new THREE.Vector4(0, 0, 1, 1) },
+        rippleTexel: { value: 1 },
+        rippleEnabled: { value: 0 },
+        // Seen from below, outside the window to the sky (see underwater.js)
+        underwaterColor: { value: new THREE.Color(UNDERWATER_COLOR) }
       }
     ]),
     vertexShader: vertexShader,
     fragmentShader: fragmentShader,
+    side: THREE.DoubleSide, // The underside shows from under water
     fog: true
   });
   
@@ -220,6 +267,112 @@ function createWaterWithFoam() {
   return waterMesh;
 }
 
+/**
+ * Create the water surface grid: fine cells around the middle, growing
+ * towards the edges. Laid out like a PlaneGeometry (in the XY plane, facing +Z).
+ * @param {number} extent - Distance from the middle to the edges
+ * @returns {THREE.BufferGeometry} The water surface geometry
+ */
+function createWaterSurfaceGeometry(extent) {
+  // Grid lines on one side of the middle, then mirrored
+  const lines = [];
+  for (let line = 0; line <= WATER_DETAIL_EXTENT; line += WATER_CELL_SIZE) {
+    lines.push(line);
+  }
+  let cellSize = WATER_CELL_SIZE;
+  while (lines[lines.length - 1] < extent) {
+    cellSize *= WATER_CELL_GROWTH;
+    lines.push(lines[lines.length - 1] + cellSize);
+  }
+  const coordinates = [...lines.slice(1).reverse().map((line) => -line), ...lines];
+  const count = coordinates.length;
+  
+  // Rows from +Y down, like PlaneGeometry, so the faces wind the same way
+  const positions = new Float32Array(count * count * 3);
+  for (let row = 0; row < count; row++) {
+    for (let column = 0; column < count; column++) {
+      const i = (row * count + column) * 3;
+      positions[i] = coordinates[column];
+      positions[i + 1] = -coordinates[row];
+    }
+  }
+  
+  const indices = [];
+  for (let row = 0; row < count - 1; row++) {
+    for (let column = 0; column < count - 1; column++) {
+      const a = row * count + column;
+      const b = a + count;
+      indices.push(a, b, a + 1, b, b + 1, a + 1);
+    }
+  }
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeBoundingSphere();
+  
+  return geometry;
+}
+
+/**
+ * Update the water surface to match the physics wave model
+ * @param {Object} threeObjects - The Three.js objects
+ * @param {Array<Object>} waves - The wave set of the water physics (see waves.js)
+ * @param {number} time - The water simulation time in seconds
+ */
+export function updateWaterSurface(threeObjects, waves, time) {
+  const water = threeObjects.water;
+  if (!water || !water.material.uniforms) return;
+  
+  const uniforms = water.material.uniforms;
+  uniforms.time.value = time;
+  setWaveUniforms(uniforms, waves);
+  
+  // Keep the tessellated patch under the camera, snapped to whole cells
+  // so the vertices don't swim across the (world-space) waves
+  const cameraPosition = threeObjects.camera.position;
+  water.position.x = Math.round(cameraPosition.x / WATER_CELL_SIZE) * WATER_CELL_SIZE;
+  water.position.z = Math.round(cameraPosition.z / WATER_CELL_SIZE) * WATER_CELL_SIZE;
+}
+
+/**
+ * Give the water shader the terrain around the islands, so it draws surf
+ * where the water gets shallow
+ * @param {Object} threeObjects - The Three.js objects
+ * @param {Object|null} shoreline - The shoreline map (see createShorelineMap in terrain.js), or null for none
+ */
+export function setShorelineMap(threeObjects, shoreline) {
+  const water = threeObjects.water;
+  if (!water || !water.material.uniforms) return;
+  
+  const uniforms = water.material.uniforms;
+  uniforms.shorelineEnabled.value = shoreline ? 1 : 0;
+  if (shoreline) {
+    uniforms.shorelineMap.value = shoreline.texture;
+    uniforms.shorelineBounds.value.copy(shoreline.bounds);
+    uniforms.shorelineRange.value = shoreline.range;
+  }
+}
+
+/**
+ * Step the ripples around the camera and hand them to the water shader
+ * @param {Object} threeObjects - The Three.js objects
+ * @param {Array<Object>} sources - What is disturbing the water (see collectRippleSources in ripples.js)
+ * @param {number} deltaTime - Time since the last frame in seconds
+ */
+export function updateWaterRipples(threeObjects, sources, deltaTime) {
+  const { water, ripples } = threeObjects;
+  if (!water || !ripples || !water.material.uniforms) return;
+  
+  const texture = updateRippleField(ripples, threeObjects.renderer, threeObjects.camera.position, sources, deltaTime);
+  
+  const uniforms = water.material.uniforms;
+  uniforms.rippleMap.value = texture;
+  uniforms.rippleBounds.value.copy(ripples.bounds);
+  uniforms.rippleTexel.value = ripples.texelSize;
+  uniforms.rippleEnabled.value = ripples.origin ? 1 : 0;
+}
+
 /**
  * Load shader from file
  * @param {string} path - Path to the shader file
@@ -258,6 +411,14 @@ export function renderScene(threeObjects) {
   
   // Beauty pass
   threeObjects.renderer.render(threeObjects.scene, threeObjects.camera);
+  
+  // Waterline across the view when the camera straddles the surface (see underwater.js)
+  const underwater = threeObjects.underwater;
+  if (underwater && underwater.overlay.visible) {
+    threeObjects.renderer.autoClear = false;
+    threeObjects.renderer.render(underwater.overlayScene, threeObjects.camera);
+    threeObjects.renderer.autoClear = true;
+  }
 }
 
 /**
@@ -0,0 +1,77 @@
+/**
+ * The game simulation without rendering: builds the physics world, the
+ * character and a level, and advances them one fixed step at a time.
+ *
+ * The browser loop and the headless replay harness both go through here, so
+ * a replay builds and steps the world exactly like the recorded game did.
+ */
+
+import { initPhysics, updatePhysics } from './physics.js';
+import { createCharacter, updateCharacter, captureCharacterState, placeCharacter, CHARACTER_MODES } from './character.js';
+import { createEntityRegistry, captureEntityStates } from './entities.js';
+import { createEnvironment } from './environment.js';
+import { updatePlatforms } from './platforms.js';
+import { getSpawnPoint } from './level.js';
+import { createRandom, DEFAULT_SEED } from './random.js';
+import { createLevelIslands, generateArchipelago, loadIslandHeightmaps } from './archipelago.js';
+
+/**
+ * Build the world of a level, ready for its first step. Model props are
+ * loaded before this resolves, so every run starts from the same world.
+ * @param {Object} level - The validated level
+ * @param {Object} threeObjects - The Three.js objects (headless runs only need a scene)
+ * @param {Object} options - { characterMode, spawn, seed, loadingManager, loadModels }
+ * @returns {Promise<Object>} The simulation ({ physicsWorld, character, entities, seed, world, props });
+ *   world is the level with its islands built into terrain, props the indices (in level.props)
+ *   of the model props that loaded
+ */
+export async function createSimulation(level, threeObjects, options = {}) {
+  const {
+    characterMode = CHARACTER_MODES.KINEMATIC,
+    spawn = null,
+    seed = DEFAULT_SEED,
+    loadingManager,
+    loadModels = true
+  } = options;
+  
+  const physicsWorld = await initPhysics();
+  const random = createRandom(seed);
+  const heightmaps = await loadIslandHeightmaps(level);
+  
+  // Islands are laid out first: spawn points are on them
+  const islands = createLevelIslands(level, random, heightmaps);
+  const world = level.archipelago ? generateArchipelago(islands, random) : islands;
+  
+  // Start at the requested spawn point, or the level's first one
+  const character = createCharacter(physicsWorld, threeObjects, loadingManager, characterMode, loadModels);
+  const spawnPoint = getSpawnPoint(world, spawn);
+  placeCharacter(character, spawnPoint.position, spawnPoint.yaw);
+  
+  const entities = createEntityRegistry(physicsWorld, threeObjects);
+  const props = await createEnvironment(physicsWorld, entities, world, random, loadModels);
+  
+  return { physicsWorld, character, entities, seed, world, props };
+}
+
+/**
+ * Advance the simulation by one fixed physics step
+ * @param {Object} simulation - The simulation
+ * @param {Object} characterInput - Input driving the character this step
+ * @param {THREE.Camera} camera - The camera (follows the character's yaw)
+ */
+export function stepSimulation(simulation, characterInput, camera) {
+  const { physicsWorld, character, entities } = simulation;
+  
+  // Move platforms first, so the character rides this step's motion
+  updatePlatforms(entities, physicsWorld);
+  
+  // Update character based on input before stepping the world
+  updateCharacter(character, characterInput, physicsWorld, camera);
+  
+  // Update physics simulation (water forces and world step)
+  updatePhysics(physicsWorld);
+  
+  // Record the resulting poses for render interpolation
+  captureCharacterState(character);
+  captureEntityStates(entities);
+}
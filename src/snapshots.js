@@ -0,0 +1,405 @@
+/**
+ * Game state snapshots: save the running game and restore it exactly.
+ *
+ * A snapshot is a JSON object holding Rapier's serialized world (every body,
+ * collider, contact and sleep state, base64-encoded) plus the state that
+ * lives outside Rapier: the character controller, platform scripts, camera,
+ * water settings and the simulation clock. Snapshots are kept in
+ * localStorage (quick save) or downloaded as a file, and can only be restored
+ * into the level they were taken in.
+ */
+
+import * as THREE from 'three';
+import { takeWorldSnapshot, restoreWorldSnapshot } from './physics.js';
+import { attachCharacterToWorld } from './character.js';
+import { attachEntitiesToWorld } from './entities.js';
+
+// Snapshot format version understood by this module
+export const SNAPSHOT_VERSION = 2;
+
+// Storage key for the quick save slot
+const SNAPSHOT_STORAGE_KEY = '3d-controller.snapshot';
+
+// Name of downloaded snapshot files
+const SNAPSHOT_FILE_NAME = '3d-controller-snapshot.json';
+
+// Bytes converted per String.fromCharCode call when encoding base64
+const BASE64_CHUNK_SIZE = 0x8000;
+
+/**
+ * Capture the current game state. Call between physics steps.
+ * @param {Object} game - { physicsWorld, threeObjects, character, cameraController, entities, levelUrl, seed }
+ * @returns {Object} The snapshot (JSON-compatible)
+ */
+export function createSnapshot(game) {
+  const { physicsWorld, threeObjects, character, cameraController, entities, levelUrl } = game;
+  
+  return {
+    version: SNAPSHOT_VERSION,
+    level: levelUrl,
+    seed: game.seed, // Generated islands differ between seeds
+    createdAt: new Date().toISOString(),
+    time: physicsWorld.time,
+    world: encodeBase64(takeWorldSnapshot(physicsWorld)),
+    // Which body each entity owns, to check the snapshot fits this session
+    bodies: getBodyHandles(character, entities),
+    character: getCharacterState(character),
+    platforms: getPlatformStates(entities),
+    camera: getCameraState(cameraController),
+    water: getWaterState(physicsWorld.water.settings, threeObjects.water)
+  };
+}
+
+/**
+ * Restore a snapshot taken with createSnapshot. Nothing is changed if the
+ * snapshot doesn't fit the running level.
+ * @param {Object} game - { physicsWorld, threeObjects, character, cameraController, entities, levelUrl, seed }
+ * @param {Object} snapshot - The snapshot
+ */
+export function restoreSnapshot(game, snapshot) {
+  const { physicsWorld, threeObjects, character, cameraController, entities, levelUrl } = game;
+  
+  checkSnapshot(snapshot, game);
+  
+  // Swap in the restored world, then point everything at its bodies
+  restoreWorldSnapshot(physicsWorld, decodeBase64(snapshot.world));
+  attachCharacterToWorld(character, physicsWorld);
+  attachEntitiesToWorld(entities);
+  physicsWorld.time = snapshot.time;
+  
+  setCharacterState(character, snapshot.character, physicsWorld);
+  setPlatformStates(entities, snapshot.platforms);
+  setCameraState(cameraController, snapshot.camera);
+  setWaterState(physicsWorld.water.settings, threeObjects.water, snapshot.water);
+  
+  console.log(`Snapshot from ${snapshot.createdAt} restored (${levelUrl})`);
+}
+
+/**
+ * Save a snapshot to the quick save slot in localStorage
+ * @param {Object} snapshot - The snapshot
+ */
+export function saveSnapshotToStorage(snapshot) {
+  try {
+    window.localStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(snapshot));
+    console.log('Snapshot saved');
+  } catch (error) {
+    // Most likely the storage quota (large mesh colliders make big snapshots)
+    throw new Error(`Could not save the snapshot: ${error.message}`);
+  }
+}
+
+/**
+ * Load the snapshot in the quick save slot
+ * @returns {Object|null} The snapshot, or null if none was saved
+ */
+export function loadSnapshotFromStorage() {
+  const saved = window.localStorage.getItem(SNAPSHOT_STORAGE_KEY);
+  return saved ? parseSnapshot(saved) : null;
+}
+
+/**
+ * Download a snapshot as a JSON file
+ * @param {Object} snapshot - The snapshot
+ */
+export function downloadSnapshot(snapshot) {
+  const blob = new Blob([JSON.stringify(snapshot)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = SNAPSHOT_FILE_NAME;
+  link.click();
+  
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse snapshot JSON
+ * @param {string} text - The JSON text
+ * @returns {Object} The snapshot
+ */
+function parseSnapshot(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Snapshot is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Check that a snapshot can be restored into the running game
+ * @param {Object} snapshot - The snapshot
+ * @param {Object} game - The running game
+ */
+function checkSnapshot(snapshot, game) {
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${snapshot && snapshot.version}`);
+  }
+  if (snapshot.level !== game.levelUrl) {
+    throw new Error(`Snapshot is for level "${snapshot.level}", not "${game.levelUrl}"`);
+  }
+  if (snapshot.seed !== game.seed) {
+    throw new Error(`Snapshot is for seed ${snapshot.seed}, not ${game.seed}`);
+  }
+  
+  // Bodies are found again by handle, so they must have been created in the same order
+  const expected = JSON.stringify(getBodyHandles(game.character, game.entities));
+  if (JSON.stringify(snapshot.bodies) !== expected) {
+    throw new Error('Snapshot does not match the bodies of this level (was it taken while the level was still loading?)');
+  }
+}
+
+/**
+ * List the body handle of the character and of every entity that has a body
+ * @param {Object} character - The character controller
+ * @param {Object} entities - The entity registry
+ * @returns {Object} { character, entities: [[entity ID, handle], ...] }
+ */
+function getBodyHandles(character, entities) {
+  const handles = [];
+  for (const entity of entities.entities.values()) {
+    if (entity.rigidBody) {
+      handles.push([entity.id, entity.rigidBody.handle]);
+    }
+  }
+  
+  return { character: character.rigidBody.handle, entities: handles };
+}
+
+/**
+ * Controller state of the character (its body is part of the world snapshot)
+ * @param {Object} character - The character controller
+ * @returns {Object} The character state
+ */
+function getCharacterState(character) {
+  const climb = character.climb;
+  
+  return {
+    mode: character.mode,
+    state: character.state,
+    verticalVelocity: character.verticalVelocity,
+    yaw: character.rotation.y,
+    pitch: character.rotation.x,
+    isGrounded: character.isGrounded,
+    isFloating: character.isFloating,
+    isSubmerged: character.isSubmerged,
+    waterDepth: character.waterDepth,
+    breath: character.breath,
+    climb: climb ? { ...climb, direction: climb.direction.toArray() } : null,
+    groundBody: character.groundBody ? character.groundBody.handle : null,
+    carryVelocity: character.carryVelocity.toArray(),
+    velocity: character.velocity.toArray(),
+    direction: character.direction.toArray(),
+    // Facing of the visible model, which turns toward the movement direction
+    modelYaw: character.model ? character.model.rotation.y : null
+  };
+}
+
+/**
+ * Apply a saved character state
+ * @param {Object} character - The character controller
+ * @param {Object} state - The saved state
+ * @param {Object} physicsWorld - The physics world (already restored)
+ */
+function setCharacterState(character, state, physicsWorld) {
+  // The body type came back with the world, so only the mode flag changes
+  character.mode = state.mode;
+  character.state = state.state;
+  character.verticalVelocity = state.verticalVelocity;
+  character.rotation.y = state.yaw;
+  character.rotation.x = state.pitch;
+  character.isGrounded = state.isGrounded;
+  character.isFloating = state.isFloating;
+  character.isSubmerged = state.isSubmerged;
+  character.waterDepth = state.waterDepth;
+  character.breath = state.breath;
+  character.climb = state.climb
+    ? { ...state.climb, direction: new THREE.Vector3().fromArray(state.climb.direction) }
+    : null;
+  character.groundBody = state.groundBody !== null ? physicsWorld.world.getRigidBody(state.groundBody) : null;
+  character.carryVelocity.fromArray(state.carryVelocity);
+  character.velocity.fromArray(state.velocity);
+  character.direction.fromArray(state.direction);
+  
+  if (character.model && state.modelYaw !== null) {
+    character.model.rotation.y = state.modelYaw;
+  }
+  
+  const position = character.rigidBody.translation();
+  character.mesh.position.set(position.x, position.y, position.z);
+}
+
+/**
+ * Script state of every moving platform
+ * @param {Object} entities - The entity registry
+ * @returns {Array} [entity ID, platform state] pairs
+ */
+function getPlatformStates(entities) {
+  const states = [];
+  
+  for (const entity of entities.entities.values()) {
+    const platform = entity.platform;
+    if (!platform) continue;
+    
+    states.push([entity.id, {
+      position: platform.position.toArray(),
+      quaternion: platform.quaternion.toArray(),
+      linearVelocity: platform.linearVelocity.toArray(),
+      angularVelocity: platform.angularVelocity.toArray(),
+      targetIndex: platform.targetIndex,
+      step: platform.step,
+      waitTimer: platform.waitTimer
+    }]);
+  }
+  
+  return states;
+}
+
+/**
+ * Apply saved platform states
+ * @param {Object} entities - The entity registry
+ * @param {Array} states - [entity ID, platform state] pairs
+ */
+function setPlatformStates(entities, states) {
+  for (const [id, state] of states) {
+    const platform = entities.entities.get(id).platform;
+    
+    platform.position.fromArray(state.position);
+    platform.quaternion.fromArray(state.quaternion);
+    platform.linearVelocity.fromArray(state.linearVelocity);
+    platform.angularVelocity.fromArray(state.angularVelocity);
+    
+    // Path platforms only
+    if (state.targetIndex !== undefined) {
+      platform.targetIndex = state.targetIndex;
+      platform.step = state.step;
+      platform.waitTimer = state.waitTimer;
+    }
+  }
+}
+
+/**
+ * Mode and pose of the camera
+ * @param {Object} cameraController - The camera controller
+ * @returns {Object} The camera state
+ */
+function getCameraState(cameraController) {
+  const camera = cameraController.camera;
+  
+  return {
+    mode: cameraController.mode,
+    pitch: cameraController.pitch,
+    desiredDistance: cameraController.desiredDistance,
+    distance: cameraController.distance,
+    position: cameraController.position.toArray(),
+    target: cameraController.target.toArray(),
+    cameraPosition: camera.position.toArray(),
+    cameraQuaternion: camera.quaternion.toArray(),
+    freeFly: {
+      position: cameraController.freeFly.position.toArray(),
+      yaw: cameraController.freeFly.yaw,
+      pitch: cameraController.freeFly.pitch
+    },
+    cinematicTime: cameraController.cinematic.time
+  };
+}
+
+/**
+ * Apply a saved camera state (without blending from the current view)
+ * @param {Object} cameraController - The camera controller
+ * @param {Object} state - The saved state
+ */
+function setCameraState(cameraController, state) {
+  const camera = cameraController.camera;
+  
+  cameraController.mode = state.mode;
+  cameraController.pitch = state.pitch;
+  cameraController.desiredDistance = state.desiredDistance;
+  cameraController.distance = state.distance;
+  cameraController.position.fromArray(state.position);
+  cameraController.target.fromArray(state.target);
+  cameraController.freeFly.position.fromArray(state.freeFly.position);
+  cameraController.freeFly.yaw = state.freeFly.yaw;
+  cameraController.freeFly.pitch = state.freeFly.pitch;
+  cameraController.cinematic.time = state.cinematicTime;
+  cameraController.blend = null;
+  
+  camera.position.fromArray(state.cameraPosition);
+  camera.quaternion.fromArray(state.cameraQuaternion);
+}
+
+/**
+ * Wave and buoyancy settings, and the water shader colors
+ * @param {Object} settings - The water physics settings
+ * @param {THREE.Mesh} water - The rendered water surface (optional)
+ * @returns {Object} The water state
+ */
+function getWaterState(settings, water) {
+  const state = { settings: {}, appearance: null };
+  
+  for (const [key, value] of Object.entries(settings)) {
+    state.settings[key] = value && value.isVector2 ? value.toArray() : value;
+  }
+  
+  if (water && water.material.uniforms) {
+    const uniforms = water.material.uniforms;
+    state.appearance = {
+      waterColor: uniforms.waterColor.value.getHex(),
+      foamColor: uniforms.foamColor.value.getHex(),
+      threshold: uniforms.threshold.value
+    };
+  }
+  
+  return state;
+}
+
+/**
+ * Apply saved water settings
+ * @param {Object} settings - The water physics settings
+ * @param {THREE.Mesh} water - The rendered water surface (optional)
+ * @param {Object} state - The saved state
+ */
+function setWaterState(settings, water, state) {
+  for (const [key, value] of Object.entries(state.settings)) {
+    if (settings[key] && settings[key].isVector2) {
+      settings[key].fromArray(value);
+    } else {
+      settings[key] = value;
+    }
+  }
+  
+  if (water && water.material.uniforms && state.appearance) {
+    const uniforms = water.material.uniforms;
+    uniforms.waterColor.value.setHex(state.appearance.waterColor);
+    uniforms.foamColor.value.setHex(state.appearance.foamColor);
+    uniforms.threshold.value = state.appearance.threshold;
+  }
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} The base64 text
+ */
+function encodeBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 text to bytes
+ * @param {string} text - The base64 text
+ * @returns {Uint8Array} The bytes
+ */
+function decodeBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
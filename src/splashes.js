@@ -0,0 +1,224 @@
+/**
+ * Splashes and spray: water thrown up where bodies cross the surface.
+ *
+ * Every dynamic body and the character are followed from frame to frame.
+ * A body falling into the water throws up a crown of droplets, bigger the
+ * faster and heavier it hits; the character swimming fast throws spray off
+ * its front, and climbing or jumping out of the water it drips for a moment.
+ * The droplets are particles (see particles.js) and are visual only.
+ */
+
+import * as THREE from 'three';
+import { getWaterSurfaceHeight } from './physics.js';
+import { createEmitter, emitBurst, emitContinuous } from './particles.js';
+import { CHARACTER_STATES } from './character.js';
+
+// Entry splashes: slower bodies slip in quietly (downward m/s). A body of
+// the reference mass hitting at the reference speed makes a splash of scale 1
+const MIN_SPLASH_SPEED = 1.5;
+const SPLASH_REFERENCE_SPEED = 5;
+const SPLASH_REFERENCE_MASS = 1;
+const MIN_SPLASH_SCALE = 0.4;
+const MAX_SPLASH_SCALE = 2.5;
+
+// Droplets in a splash of scale 1 (grows with the square of the scale)
+const SPLASH_PARTICLES = 40;
+
+// Spray: swimming faster than SPRAY_MIN_SPEED (horizontal m/s) throws spray,
+// up to SPRAY_RATE droplets per second at SPRAY_FULL_SPEED, unless diving
+// deeper than SPRAY_MAX_DEPTH (body center below the surface, m)
+const SPRAY_MIN_SPEED = 2.0;
+const SPRAY_FULL_SPEED = 2.5;
+const SPRAY_RATE = 60;
+const SPRAY_MAX_DEPTH = 1.5;
+
+// Drips after leaving the water: how long (s), and droplets per second at first
+const DRIP_DURATION = 1.5;
+const DRIP_RATE = 30;
+
+// Droplets are white like the foam
+const DROPLET_COLOR = 0xffffff;
+
+// Kinds of droplets (see createEmitter in particles.js)
+const SPLASH_EMITTER = {
+  speed: [2.5, 4.5],
+  spread: THREE.MathUtils.degToRad(35),
+  size: [0.04, 0.1],
+  life: [0.6, 1.2],
+  drag: 0.5,
+  color: DROPLET_COLOR
+};
+
+const SPRAY_EMITTER = {
+  speed: [1.0, 2.5],
+  spread: THREE.MathUtils.degToRad(40),
+  size: [0.03, 0.06],
+  life: [0.3, 0.6],
+  drag: 1.0,
+  color: DROPLET_COLOR
+};
+
+const DRIP_EMITTER = {
+  speed: [0, 0.3],
+  spread: Math.PI,
+  radius: 0.4,
+  size: [0.02, 0.04],
+  life: [0.5, 1.0],
+  color: DROPLET_COLOR
+};
+
+// Reusable temporaries
+const emitPosition = new THREE.Vector3();
+const sprayDirection = new THREE.Vector3();
+const sprayVelocity = new THREE.Vector3();
+
+/**
+ * Set up splashes over a particle system
+ * @param {Object} particles - The particle system (see createParticleSystem)
+ * @returns {Object} The splash state (see updateSplashes)
+ */
+export function createSplashes(particles) {
+  return {
+    emitters: {
+      splash: createEmitter(particles, SPLASH_EMITTER),
+      spray: createEmitter(particles, SPRAY_EMITTER),
+      drip: createEmitter(particles, DRIP_EMITTER)
+    },
+    bodies: new Map(), // By body handle: { inWater, fallSpeed, frame }
+    frame: 0,
+    dripTime: 0
+  };
+}
+
+/**
+ * Throw up splashes, spray and drips for what crossed the water since the
+ * last frame
+ * @param {Object} splashes - The splash state (see createSplashes)
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object|null} character - The character, if any
+ * @param {number} deltaTime - Time since the last frame in seconds
+ */
+export function updateSplashes(splashes, physicsWorld, character, deltaTime) {
+  const characterBody = character ? character.rigidBody : null;
+  const frame = ++splashes.frame;
+  
+  physicsWorld.world.bodies.forEach((rigidBody) => {
+    if (!rigidBody.isDynamic() && rigidBody !== characterBody) return;
+    
+    // A kinematic character's body has no velocity of its own
+    const velocity = rigidBody === characterBody ? character.velocity : rigidBody.linvel();
+    const position = rigidBody.translation();
+    const surfaceHeight = getWaterSurfaceHeight(physicsWorld, position.x, position.z);
+    const inWater = position.y < surfaceHeight;
+    
+    // Bodies seen for the first time are where they belong
+    const tracked = splashes.bodies.get(rigidBody.handle);
+    if (tracked && inWater && !tracked.inWater) {
+      // Buoyancy may already have slowed it; take the speed it came in with
+      emitSplash(splashes, rigidBody, surfaceHeight, Math.max(tracked.fallSpeed, -velocity.y));
+    }
+    if (tracked && !inWater && tracked.inWater && rigidBody === characterBody) {
+      splashes.dripTime = DRIP_DURATION;
+    }
+    
+    splashes.bodies.set(rigidBody.handle, { inWater, fallSpeed: -velocity.y, frame });
+  });
+  
+  // Forget bodies that are gone
+  for (const [handle, tracked] of splashes.bodies) {
+    if (tracked.frame !== frame) {
+      splashes.bodies.delete(handle);
+    }
+  }
+  
+  if (character) {
+    updateCharacterSpray(splashes, physicsWorld, character, deltaTime);
+  }
+}
+
+/**
+ * Forget where the bodies were, e.g. after a snapshot moved them, so the
+ * jump doesn't count as crossing the surface
+ * @param {Object} splashes - The splash state
+ */
+export function resetSplashes(splashes) {
+  splashes.bodies.clear();
+  splashes.dripTime = 0;
+}
+
+/**
+ * Splash where a body hit the water, sized by how hard it hit
+ * @param {Object} splashes - The splash state
+ * @param {RAPIER.RigidBody} rigidBody - The body
+ * @param {number} surfaceHeight - Height of the water surface where it went in
+ * @param {number} speed - Downward speed it hit the water with (m/s)
+ */
+function emitSplash(splashes, rigidBody, surfaceHeight, speed) {
+  if (speed < MIN_SPLASH_SPEED) return;
+  
+  // Mass and size from the colliders (the character's kinematic body has no mass of its own)
+  let mass = 0;
+  let volume = 0;
+  for (let c = 0; c < rigidBody.numColliders(); c++) {
+    const collider = rigidBody.collider(c);
+    if (collider.isSensor()) continue;
+    mass += collider.mass();
+    volume += collider.volume();
+  }
+  
+  const scale = THREE.MathUtils.clamp(
+    speed / SPLASH_REFERENCE_SPEED * Math.cbrt(mass / SPLASH_REFERENCE_MASS),
+    MIN_SPLASH_SCALE,
+    MAX_SPLASH_SCALE
+  );
+  const position = rigidBody.translation();
+  emitPosition.set(position.x, surfaceHeight, position.z);
+  
+  // A ring of droplets around where it went in, falling back into the water
+  emitBurst(splashes.emitters.splash, emitPosition, Math.round(SPLASH_PARTICLES * scale * scale), {
+    scale,
+    radius: Math.cbrt(3 * volume / (4 * Math.PI)),
+    floor: surfaceHeight
+  });
+}
+
+/**
+ * Spray off the front of a fast swimmer, and drips off the character after
+ * it leaves the water
+ * @param {Object} splashes - The splash state
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object} character - The character
+ * @param {number} deltaTime - Time since the last frame in seconds
+ */
+function updateCharacterSpray(splashes, physicsWorld, character, deltaTime) {
+  const position = character.rigidBody.translation();
+  const surfaceHeight = getWaterSurfaceHeight(physicsWorld, position.x, position.z);
+  const velocity = character.velocity;
+  const speed = Math.hypot(velocity.x, velocity.z);
+  
+  if (character.state === CHARACTER_STATES.SWIM && speed > SPRAY_MIN_SPEED && surfaceHeight - position.y < SPRAY_MAX_DEPTH) {
+    // Thrown up and forward where the swimmer pushes through the surface
+    sprayDirection.set(velocity.x / speed, 2, velocity.z / speed).normalize();
+    sprayVelocity.set(velocity.x, 0, velocity.z).multiplyScalar(0.5);
+    emitPosition.set(position.x + velocity.x / speed * 0.5, surfaceHeight, position.z + velocity.z / speed * 0.5);
+    
+    const rate = SPRAY_RATE * Math.min(1, (speed - SPRAY_MIN_SPEED) / (SPRAY_FULL_SPEED - SPRAY_MIN_SPEED));
+    emitContinuous(splashes.emitters.spray, emitPosition, rate, deltaTime, {
+      direction: sprayDirection,
+      velocity: sprayVelocity,
+      floor: surfaceHeight
+    });
+  }
+  
+  if (splashes.dripTime > 0) {
+    // Dripping off anywhere along the body, tapering off, gone at its feet
+    const drip = splashes.emitters.drip;
+    const feetHeight = position.y - character.collider.halfHeight() - character.collider.radius();
+    emitPosition.set(position.x, position.y + (drip.random() - 0.5), position.z);
+    emitContinuous(drip, emitPosition, DRIP_RATE * splashes.dripTime / DRIP_DURATION, deltaTime, {
+      velocity,
+      floor: Math.max(surfaceHeight, feetHeight)
+    });
+    splashes.dripTime = Math.max(0, splashes.dripTime - deltaTime);
+  }
+}
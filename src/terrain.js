@@ -0,0 +1,331 @@
+/**
+ * Heightfield terrain islands: hills that slope down into sandy beaches and
+ * on below the water, so the character can walk out of the sea onto them.
+ *
+ * An island's heightfield is a square grid of heights around its center,
+ * stored row by row (z, then x). The same grid builds the vertex-colored mesh
+ * and the Rapier heightfield collider, so what the character walks on is
+ * exactly what is drawn.
+ *
+ * Hills are shaped by seeded noise or by a grayscale heightmap image. The
+ * highest terrain around the islands is also baked into a shoreline map, so
+ * the water shader can draw surf where the water gets shallow.
+ */
+
+import * as THREE from 'three';
+import { createRigidBody } from './physics.js';
+import { registerEntity } from './entities.js';
+import { fractalNoise2D } from './random.js';
+import { addCaustics } from './underwater.js';
+
+// Grid and shape
+const CELL_SIZE = 0.5; // Grid spacing (m)
+const SEABED_DEPTH = 3; // Depth the island slopes down to around it
+const SHELF_DEPTH = 0.8; // Depth at the outer edge of the beach
+const UNDERWATER_SLOPE = 0.4; // Drop per meter beyond the beach (gentle enough to walk up, see character.js)
+const COAST_NOISE_SCALE = 0.08; // Frequency of coastline wobble (per meter)
+const HILL_NOISE_SCALE = 0.12; // Frequency of hills (per meter)
+
+// Defaults for island descriptions
+const DEFAULT_BEACH_WIDTH = 4; // Width of the sloping beach (m)
+const DEFAULT_BEACH_HEIGHT = 0.6; // Height of the beach's inner edge above the base
+const DEFAULT_COAST_ROUGHNESS = 0.25; // Coastline wobble, as a fraction of the radius
+
+// Terrain colors by height and slope
+const WET_SAND_COLOR = new THREE.Color(0xB89F6E);
+const SAND_COLOR = new THREE.Color(0xE8D5A3);
+const GRASS_COLOR = new THREE.Color(0x6FAF3F);
+const ROCK_COLOR = new THREE.Color(0x7D7468);
+const SAND_BLEND = 0.3; // Height over which sand fades into grass (m)
+const ROCK_SLOPE = THREE.MathUtils.degToRad(35); // Steeper terrain is bare rock
+const ROCK_BLEND = THREE.MathUtils.degToRad(10); // Slope range over which grass fades into rock
+
+// Shoreline map for the water shader: terrain heights within this range of
+// the water level, one byte per texel
+const SHORELINE_RANGE = 2; // Heights from -2 m to +2 m
+const SHORELINE_MAX_TEXELS = 1024; // Texture size limit per side (cells grow beyond it)
+
+/**
+ * Compute the heightfield of an island
+ * @param {Object} island - { position, radius, height, beachWidth, beachHeight, coastRoughness, heightmap };
+ *   position is the center at base (water) level, radius the beach's outer edge,
+ *   height the typical hill height above the base, heightmap an optional image
+ *   (see loadHeightmap) stretched over the island that shapes the hills instead of noise
+ * @param {Function} noise - Noise from createNoise2D (random.js)
+ * @returns {Object} The heightfield ({ center, size, segments, heights, beachHeight })
+ */
+export function createIslandHeightfield(island, noise) {
+  const center = new THREE.Vector3().fromArray(island.position);
+  const radius = island.radius;
+  const beachWidth = Math.min(island.beachWidth || DEFAULT_BEACH_WIDTH, radius * 0.5);
+  const beachHeight = Math.min(island.beachHeight !== undefined ? island.beachHeight : DEFAULT_BEACH_HEIGHT, island.height);
+  const roughness = island.coastRoughness !== undefined ? island.coastRoughness : DEFAULT_COAST_ROUGHNESS;
+  
+  // Wide enough for the widest coastline plus the underwater slope down to the seabed
+  const halfSize = radius * (1 + roughness) + (SEABED_DEPTH - SHELF_DEPTH) / UNDERWATER_SLOPE + CELL_SIZE;
+  const segments = Math.ceil(halfSize * 2 / CELL_SIZE);
+  const size = segments * CELL_SIZE;
+  const heights = new Float32Array((segments + 1) * (segments + 1));
+  
+  for (let iz = 0; iz <= segments; iz++) {
+    for (let ix = 0; ix <= segments; ix++) {
+      const x = ix * CELL_SIZE - size / 2;
+      const z = iz * CELL_SIZE - size / 2;
+      const worldX = center.x + x;
+      const worldZ = center.z + z;
+      
+      // Distance inland from the beach's outer edge (negative out at sea)
+      const coastNoise = fractalNoise2D(noise, worldX * COAST_NOISE_SCALE, worldZ * COAST_NOISE_SCALE, 3);
+      const coast = radius * (1 + roughness * (coastNoise - 0.5) * 2);
+      const inland = coast - Math.hypot(x, z);
+      
+      let height;
+      if (inland < 0) {
+        // Underwater slope down to the seabed
+        height = Math.max(-SEABED_DEPTH, -SHELF_DEPTH + inland * UNDERWATER_SLOPE);
+      } else if (inland < beachWidth) {
+        // Beach: a steady, walkable rise out of the water
+        height = -SHELF_DEPTH + (beachHeight + SHELF_DEPTH) * (inland / beachWidth);
+      } else {
+        // Hills rising smoothly from the top of the beach
+        // (a white heightmap pixel is the full height, noise varies around it)
+        const shape = island.heightmap
+          ? sampleHeightmap(island.heightmap, x / radius, z / radius)
+          : 0.5 + fractalNoise2D(noise, worldX * HILL_NOISE_SCALE, worldZ * HILL_NOISE_SCALE, 4);
+        const rise = THREE.MathUtils.smoothstep(inland - beachWidth, 0, Math.max(coast - beachWidth, 1));
+        height = beachHeight + (island.height - beachHeight) * rise * shape;
+      }
+      
+      heights[iz * (segments + 1) + ix] = height;
+    }
+  }
+  
+  return { center, size, segments, heights, beachHeight };
+}
+
+/**
+ * Load a grayscale heightmap image (browser only: it is read through a canvas)
+ * @param {string} url - URL of the image
+ * @returns {Promise<Object>} The heightmap ({ width, height, values }), values in [0, 1] row by row
+ */
+export async function loadHeightmap(url) {
+  if (typeof document === 'undefined') {
+    throw new Error(`Heightmap "${url}" can only be loaded in a browser`);
+  }
+  
+  const image = await new THREE.ImageLoader().loadAsync(url);
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0);
+  const pixels = context.getImageData(0, 0, image.width, image.height).data;
+  
+  // Red channel only (the image is expected to be gray)
+  const values = new Float32Array(image.width * image.height);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = pixels[i * 4] / 255;
+  }
+  
+  console.log(`Heightmap loaded: ${url} (${image.width}x${image.height})`);
+  return { width: image.width, height: image.height, values };
+}
+
+/**
+ * Heightmap value at a point of the island (bilinear between pixels)
+ * @param {Object} heightmap - The heightmap (see loadHeightmap)
+ * @param {number} u - Position across the image, -1 (left edge) to 1 (right edge)
+ * @param {number} v - Position down the image, -1 (top edge) to 1 (bottom edge)
+ * @returns {number} Value in [0, 1] (edge pixels repeat beyond the image)
+ */
+function sampleHeightmap(heightmap, u, v) {
+  const { width, height, values } = heightmap;
+  const x = THREE.MathUtils.clamp((u + 1) / 2 * (width - 1), 0, width - 1);
+  const y = THREE.MathUtils.clamp((v + 1) / 2 * (height - 1), 0, height - 1);
+  
+  const ix = Math.min(Math.floor(x), width - 2);
+  const iy = Math.min(Math.floor(y), height - 2);
+  const tx = x - ix;
+  const ty = y - iy;
+  
+  const top = THREE.MathUtils.lerp(values[iy * width + ix], values[iy * width + ix + 1], tx);
+  const bottom = THREE.MathUtils.lerp(values[(iy + 1) * width + ix], values[(iy + 1) * width + ix + 1], tx);
+  return THREE.MathUtils.lerp(top, bottom, ty);
+}
+
+/**
+ * Terrain height under a point (bilinear between grid points)
+ * @param {Object} heightfield - The heightfield
+ * @param {number} x - World X coordinate
+ * @param {number} z - World Z coordinate
+ * @returns {number|null} World Y of the terrain, or null outside the heightfield
+ */
+export function sampleHeightfield(heightfield, x, z) {
+  const { center, size, segments, heights } = heightfield;
+  const gridX = (x - center.x + size / 2) / CELL_SIZE;
+  const gridZ = (z - center.z + size / 2) / CELL_SIZE;
+  if (gridX < 0 || gridZ < 0 || gridX > segments || gridZ > segments) return null;
+  
+  const ix = Math.min(Math.floor(gridX), segments - 1);
+  const iz = Math.min(Math.floor(gridZ), segments - 1);
+  const tx = gridX - ix;
+  const tz = gridZ - iz;
+  const row = segments + 1;
+  
+  const top = THREE.MathUtils.lerp(heights[iz * row + ix], heights[iz * row + ix + 1], tx);
+  const bottom = THREE.MathUtils.lerp(heights[(iz + 1) * row + ix], heights[(iz + 1) * row + ix + 1], tx);
+  return center.y + THREE.MathUtils.lerp(top, bottom, tz);
+}
+
+/**
+ * Terrain slope under a point
+ * @param {Object} heightfield - The heightfield
+ * @param {number} x - World X coordinate
+ * @param {number} z - World Z coordinate
+ * @returns {number|null} Slope angle in radians, or null outside the heightfield
+ */
+export function getHeightfieldSlope(heightfield, x, z) {
+  const left = sampleHeightfield(heightfield, x - CELL_SIZE, z);
+  const right = sampleHeightfield(heightfield, x + CELL_SIZE, z);
+  const back = sampleHeightfield(heightfield, x, z - CELL_SIZE);
+  const front = sampleHeightfield(heightfield, x, z + CELL_SIZE);
+  if (left === null || right === null || back === null || front === null) return null;
+  
+  const gradient = Math.hypot(right - left, front - back) / (2 * CELL_SIZE);
+  return Math.atan(gradient);
+}
+
+/**
+ * Create a terrain island: a vertex-colored mesh (wet sand, sand, grass,
+ * rock) and a matching heightfield collider
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object} entities - The entity registry
+ * @param {Object} heightfield - The heightfield (see createIslandHeightfield)
+ * @returns {Object} The island entity
+ */
+export function createTerrainIsland(physicsWorld, entities, heightfield) {
+  const { center, size, segments, heights } = heightfield;
+  const row = segments + 1;
+  
+  // A plane laid flat has its vertices in the same row-by-row order as the grid
+  const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+  geometry.rotateX(-Math.PI / 2);
+  const positions = geometry.attributes.position;
+  for (let i = 0; i < positions.count; i++) {
+    positions.setY(i, heights[i]);
+  }
+  geometry.computeVertexNormals();
+  geometry.setAttribute('color', createTerrainColors(geometry, heightfield));
+  
+  // Caustics dance on the slopes under the water
+  const material = addCaustics(new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    roughness: 0.9,
+    metalness: 0.0
+  }));
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.position.copy(center);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  
+  // Rapier takes the heights column by column (x, then z)
+  const columnHeights = new Float32Array(heights.length);
+  for (let iz = 0; iz < row; iz++) {
+    for (let ix = 0; ix < row; ix++) {
+      columnHeights[ix * row + iz] = heights[iz * row + ix];
+    }
+  }
+  
+  const rigidBody = createRigidBody(physicsWorld, center, true);
+  const colliderDesc = physicsWorld.RAPIER.ColliderDesc.heightfield(
+    segments,
+    segments,
+    columnHeights,
+    { x: size, y: 1, z: size }
+  );
+  physicsWorld.world.createCollider(colliderDesc, rigidBody);
+  
+  return registerEntity(entities, { object3D: mesh, rigidBody, name: 'island' });
+}
+
+/**
+ * Vertex colors of a terrain mesh: wet sand under water, sand on the beach,
+ * grass above it and rock on steep slopes
+ * @param {THREE.BufferGeometry} geometry - The terrain geometry (with normals)
+ * @param {Object} heightfield - The heightfield
+ * @returns {THREE.BufferAttribute} The color attribute
+ */
+function createTerrainColors(geometry, heightfield) {
+  const positions = geometry.attributes.position;
+  const normals = geometry.attributes.normal;
+  const colors = new Float32Array(positions.count * 3);
+  const color = new THREE.Color();
+  
+  for (let i = 0; i < positions.count; i++) {
+    const height = positions.getY(i);
+    const slope = Math.acos(THREE.MathUtils.clamp(normals.getY(i), -1, 1));
+    
+    color.lerpColors(WET_SAND_COLOR, SAND_COLOR, THREE.MathUtils.smoothstep(height, -SAND_BLEND, SAND_BLEND));
+    color.lerp(GRASS_COLOR, THREE.MathUtils.smoothstep(height, heightfield.beachHeight, heightfield.beachHeight + SAND_BLEND));
+    color.lerp(ROCK_COLOR, THREE.MathUtils.smoothstep(slope, ROCK_SLOPE - ROCK_BLEND, ROCK_SLOPE));
+    
+    color.toArray(colors, i * 3);
+  }
+  
+  return new THREE.BufferAttribute(colors, 3);
+}
+
+/**
+ * Bake the highest terrain of a set of islands into a texture for the water
+ * shader, which draws surf where the terrain comes close to the surface
+ * @param {Array<Object>} heightfields - The terrain islands' heightfields
+ * @returns {Object|null} The shoreline ({ texture, bounds, range }), or null without islands;
+ *   bounds is (min x, min z, size x, size z) of the area the texture covers
+ */
+export function createShorelineMap(heightfields) {
+  if (heightfields.length === 0) return null;
+  
+  // The area covered by every island
+  const min = new THREE.Vector2(Infinity, Infinity);
+  const max = new THREE.Vector2(-Infinity, -Infinity);
+  for (const { center, size } of heightfields) {
+    min.min(new THREE.Vector2(center.x - size / 2, center.z - size / 2));
+    max.max(new THREE.Vector2(center.x + size / 2, center.z + size / 2));
+  }
+  const extent = max.clone().sub(min);
+  const cellSize = Math.max(CELL_SIZE, Math.max(extent.x, extent.y) / SHORELINE_MAX_TEXELS);
+  const width = Math.ceil(extent.x / cellSize);
+  const height = Math.ceil(extent.y / cellSize);
+  
+  // Sampled at texel centers; open sea is as deep as the map goes
+  const data = new Uint8Array(width * height);
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const x = min.x + (i + 0.5) * cellSize;
+      const z = min.y + (j + 0.5) * cellSize;
+      
+      let terrain = -SHORELINE_RANGE;
+      for (const heightfield of heightfields) {
+        const sample = sampleHeightfield(heightfield, x, z);
+        if (sample !== null && sample > terrain) {
+          terrain = sample;
+        }
+      }
+      
+      const value = THREE.MathUtils.clamp((terrain + SHORELINE_RANGE) / (2 * SHORELINE_RANGE), 0, 1);
+      data[j * width + i] = Math.round(value * 255);
+    }
+  }
+  
+  const texture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.UnsignedByteType);
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  
+  return {
+    texture,
+    bounds: new THREE.Vector4(min.x, min.y, width * cellSize, height * cellSize),
+    range: SHORELINE_RANGE
+  };
+}
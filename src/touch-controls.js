@@ -0,0 +1,213 @@
+/**
+ * On-screen touch controls for phones and tablets: a virtual joystick for
+ * movement, jump/dive buttons, and a drag-to-look region.
+ *
+ * The controls feed the same actions as the keyboard and gamepad through
+ * input.js, so the character controller doesn't know the difference.
+ */
+
+import { setVirtualAction, addLookMovement } from './input.js';
+
+// Touch control constants
+const JOYSTICK_RADIUS = 60;        // Knob travel in CSS pixels
+const JOYSTICK_DEADZONE = 0.1;     // Fraction of the travel that is ignored
+const TOUCH_LOOK_SENSITIVITY = 1.5; // Mouse pixels per dragged CSS pixel
+
+// Active touches (pointer IDs)
+let joystickPointerId = null;
+let lookPointerId = null;
+let joystickOrigin = { x: 0, y: 0 };
+let lastLookPosition = { x: 0, y: 0 };
+
+// DOM elements
+let joystickBase = null;
+let joystickKnob = null;
+
+/**
+ * Detect whether the device is primarily touch-driven
+ * @returns {boolean} Whether touch controls should be used
+ */
+export function isTouchDevice() {
+  const hasTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+  const coarsePointer = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+  return hasTouch && coarsePointer;
+}
+
+/**
+ * Create the on-screen controls and start listening to touches
+ */
+export function initTouchControls() {
+  console.log('Initializing touch controls');
+  
+  // The whole screen is the look region; controls on top of it take their own touches
+  const lookRegion = createElement('touch-look-region');
+  lookRegion.addEventListener('pointerdown', handleLookStart);
+  lookRegion.addEventListener('pointermove', handleLookMove);
+  lookRegion.addEventListener('pointerup', handleLookEnd);
+  lookRegion.addEventListener('pointercancel', handleLookEnd);
+  
+  // Virtual joystick
+  joystickBase = createElement('touch-joystick');
+  joystickKnob = createElement('touch-joystick-knob', joystickBase);
+  joystickBase.addEventListener('pointerdown', handleJoystickStart);
+  joystickBase.addEventListener('pointermove', handleJoystickMove);
+  joystickBase.addEventListener('pointerup', handleJoystickEnd);
+  joystickBase.addEventListener('pointercancel', handleJoystickEnd);
+  
+  // Action buttons
+  createButton('touch-button touch-button-jump', 'Jump', 'jump');
+  createButton('touch-button touch-button-dive', 'Dive', 'dive');
+  
+  // Keyboard instructions don't apply
+  const instructions = document.getElementById('instructions');
+  if (instructions) {
+    instructions.style.display = 'none';
+  }
+  
+  console.log('Touch controls initialized');
+}
+
+/**
+ * Create a control element
+ * @param {string} className - CSS class(es) of the element
+ * @param {HTMLElement} parent - Parent element (defaults to the body)
+ * @returns {HTMLElement} The created element
+ */
+function createElement(className, parent = document.body) {
+  const element = document.createElement('div');
+  element.className = className;
+  parent.appendChild(element);
+  return element;
+}
+
+/**
+ * Create a button that holds an action while pressed
+ * @param {string} className - CSS class(es) of the button
+ * @param {string} label - Button label
+ * @param {string} action - The input action to drive
+ */
+function createButton(className, label, action) {
+  const button = createElement(className);
+  button.textContent = label;
+  
+  const press = (event) => {
+    event.preventDefault();
+    button.setPointerCapture(event.pointerId);
+    button.classList.add('pressed');
+    setVirtualAction(action, 1);
+  };
+  const release = () => {
+    button.classList.remove('pressed');
+    setVirtualAction(action, 0);
+  };
+  
+  button.addEventListener('pointerdown', press);
+  button.addEventListener('pointerup', release);
+  button.addEventListener('pointercancel', release);
+}
+
+/**
+ * Start dragging the joystick
+ * @param {PointerEvent} event - The pointer event
+ */
+function handleJoystickStart(event) {
+  if (joystickPointerId !== null) return;
+  event.preventDefault();
+  
+  joystickPointerId = event.pointerId;
+  joystickBase.setPointerCapture(event.pointerId);
+  
+  // The joystick is centered on its base
+  const rect = joystickBase.getBoundingClientRect();
+  joystickOrigin = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  
+  handleJoystickMove(event);
+}
+
+/**
+ * Move the joystick knob and update the movement actions
+ * @param {PointerEvent} event - The pointer event
+ */
+function handleJoystickMove(event) {
+  if (event.pointerId !== joystickPointerId) return;
+  
+  let x = (event.clientX - joystickOrigin.x) / JOYSTICK_RADIUS;
+  let y = (event.clientY - joystickOrigin.y) / JOYSTICK_RADIUS;
+  
+  // Keep the knob inside the base
+  const length = Math.hypot(x, y);
+  if (length > 1) {
+    x /= length;
+    y /= length;
+  }
+  
+  joystickKnob.style.transform = `translate(${x * JOYSTICK_RADIUS}px, ${y * JOYSTICK_RADIUS}px)`;
+  
+  // Ignore tiny movements around the center
+  if (Math.min(length, 1) < JOYSTICK_DEADZONE) {
+    x = 0;
+    y = 0;
+  }
+  
+  setMovement(x, y);
+}
+
+/**
+ * Release the joystick
+ * @param {PointerEvent} event - The pointer event
+ */
+function handleJoystickEnd(event) {
+  if (event.pointerId !== joystickPointerId) return;
+  
+  joystickPointerId = null;
+  joystickKnob.style.transform = '';
+  setMovement(0, 0);
+}
+
+/**
+ * Feed the joystick position into the analog movement actions
+ * @param {number} x - Horizontal position (-1..1, right is positive)
+ * @param {number} y - Vertical position (-1..1, down is positive)
+ */
+function setMovement(x, y) {
+  setVirtualAction('moveForward', Math.max(0, -y));
+  setVirtualAction('moveBackward', Math.max(0, y));
+  setVirtualAction('moveLeft', Math.max(0, -x));
+  setVirtualAction('moveRight', Math.max(0, x));
+}
+
+/**
+ * Start a drag-to-look touch
+ * @param {PointerEvent} event - The pointer event
+ */
+function handleLookStart(event) {
+  if (lookPointerId !== null) return;
+  event.preventDefault();
+  
+  lookPointerId = event.pointerId;
+  lastLookPosition = { x: event.clientX, y: event.clientY };
+}
+
+/**
+ * Turn the camera by the dragged distance
+ * @param {PointerEvent} event - The pointer event
+ */
+function handleLookMove(event) {
+  if (event.pointerId !== lookPointerId) return;
+  
+  addLookMovement(
+    (event.clientX - lastLookPosition.x) * TOUCH_LOOK_SENSITIVITY,
+    (event.clientY - lastLookPosition.y) * TOUCH_LOOK_SENSITIVITY
+  );
+  lastLookPosition = { x: event.clientX, y: event.clientY };
+}
+
+/**
+ * End a drag-to-look touch
+ * @param {PointerEvent} event - The pointer event
+ */
+function handleLookEnd(event) {
+  if (event.pointerId === lookPointerId) {
+    lookPointerId = null;
+  }
+}
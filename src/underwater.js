@@ -0,0 +1,345 @@
+/**
+ * Underwater rendering: what the camera sees when it dips below the waves.
+ *
+ * Every frame the camera's near plane is compared with the sampled water
+ * surface. Above it nothing changes. Below it the sky gives way to
+ * blue-green fog that swallows the light with distance. Straddling it, an
+ * overlay on the near plane splits the view along the waterline and tints
+ * the part under water. Caustics, the rippling light the waves focus onto
+ * the ground, are projected onto the island terrain and the seabed, and the
+ * water shader draws the underside of the surface (see waterFragmentShader.glsl).
+ */
+
+import * as THREE from 'three';
+import { getWaterSurfaceHeight, WATER_LEVEL } from './physics.js';
+import { createWaveUniforms, setWaveUniforms } from './waves.js';
+
+// Where the camera is relative to the water surface
+export const CAMERA_WATER_STATES = {
+  ABOVE: 'above',
+  WATERLINE: 'waterline', // The surface cuts across the near plane
+  BELOW: 'below'
+};
+
+// Color of the water seen from inside: what is left of the light after the
+// water has absorbed the reds
+export const UNDERWATER_COLOR = 0x0a4f5c;
+
+// Density of the underwater fog (exponential squared, per meter)
+const UNDERWATER_FOG_DENSITY = 0.06;
+
+// Waterline overlay: opacity of the tint below the line, color and width of
+// the dark meniscus along it (width as a fraction of the near plane's height)
+const WATERLINE_TINT = 0.55;
+const WATERLINE_COLOR = 0x06232a;
+const WATERLINE_WIDTH = 0.015;
+
+// Overlay distance from the camera, relative to the near plane (just past it)
+const OVERLAY_DISTANCE = 1.05;
+
+// Direction toward the sun (the directional light in scene.js)
+const SUN_DIRECTION = new THREE.Vector3(-1, 1, -1).normalize();
+
+// Caustics: pattern size (cycles per meter), animation speed, brightness,
+// the depth over which they fade out and how much the surface bends the
+// sunlight toward the vertical (1 / refractive index of water)
+const CAUSTICS_SCALE = 0.6;
+const CAUSTICS_SPEED = 0.8;
+const CAUSTICS_INTENSITY = 0.6;
+const CAUSTICS_FADE_DEPTH = 8;
+const CAUSTICS_REFRACTION = 0.75;
+
+// Sand on the seabed (the deep ground collider in physics.js)
+const SEABED_COLOR = 0xc2b280;
+
+// Near plane corners in normalized device coordinates
+const NEAR_PLANE_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+// Caustics uniforms, shared by every material they are added to
+const causticsUniforms = {
+  causticsTime: { value: 0 },
+  causticsWaterLevel: { value: WATER_LEVEL },
+  causticsSun: { value: SUN_DIRECTION }
+};
+
+// GLSL added to the vertex shader of a material with caustics
+const CAUSTICS_PARS_VERTEX = `
+varying vec3 vCausticsPosition;
+varying vec3 vCausticsNormal;
+`;
+
+const CAUSTICS_VERTEX = `
+vCausticsPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;
+vCausticsNormal = normalize(mat3(modelMatrix) * objectNormal);
+`;
+
+// GLSL added to the fragment shader of a material with caustics
+const CAUSTICS_PARS_FRAGMENT = `
+uniform float causticsTime;
+uniform float causticsWaterLevel;
+uniform vec3 causticsSun;
+varying vec3 vCausticsPosition;
+varying vec3 vCausticsNormal;
+
+// Wobbling bright lines: where either of two drifting, warped sine grids crosses zero
+float causticsPattern(vec2 p, float t) {
+  p += vec2(sin(p.y * 0.9 + t * 0.8), sin(p.x * 1.1 - t * 0.6)) * 0.5;
+  float a = abs(sin(p.x + t * 0.4) + sin(p.y - t * 0.3));
+  float b = abs(sin((p.x + p.y) * 0.7 - t * 0.5) + sin((p.x - p.y) * 0.8 + t * 0.35));
+  return pow(1.0 - min(a, b) * 0.5, 8.0);
+}
+
+// Light the waves focus here: none above the water or facing away from the
+// sun, fading in under the waterline and out with depth
+float getCaustics() {
+  float depth = causticsWaterLevel - vCausticsPosition.y;
+  if (depth <= 0.0) return 0.0;
+  
+  // Follow the refracted sunlight back up to where it came through the surface
+  vec2 p = vCausticsPosition.xz + causticsSun.xz / causticsSun.y * depth * ${CAUSTICS_REFRACTION.toFixed(2)};
+  float facing = saturate(dot(normalize(vCausticsNormal), causticsSun));
+  float fade = smoothstep(0.0, 0.3, depth) * exp(-depth / ${CAUSTICS_FADE_DEPTH.toFixed(1)});
+  return causticsPattern(p * ${(CAUSTICS_SCALE * 2 * Math.PI).toFixed(4)}, causticsTime * ${CAUSTICS_SPEED.toFixed(2)}) * ${CAUSTICS_INTENSITY.toFixed(2)} * facing * fade;
+}
+`;
+
+const CAUSTICS_FRAGMENT = `
+outgoingLight += diffuseColor.rgb * getCaustics();
+`;
+
+// Shaders of the waterline overlay: the waterline is where the Gerstner
+// surface crosses the near plane
+const OVERLAY_VERTEX_SHADER = `
+varying vec3 vWorldPosition;
+
+void main() {
+  vWorldPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+  gl_Position = projectionMatrix * viewMatrix * vec4(vWorldPosition, 1.0);
+}
+`;
+
+const OVERLAY_FRAGMENT_SHADER = `
+#include <gerstner_waves>
+
+uniform float time;
+uniform float waterLevel;
+uniform vec3 underwaterColor;
+uniform vec3 waterlineColor;
+uniform float waterlineWidth;
+uniform float tint;
+varying vec3 vWorldPosition;
+
+void main() {
+  // Height of the surface over this point (the water resting elsewhere, as in sampleWaves)
+  vec3 tangent;
+  vec3 binormal;
+  vec2 rest = vWorldPosition.xz;
+  for (int i = 0; i < 3; i++) {
+    rest = vWorldPosition.xz - gerstnerWaves(rest, time, tangent, binormal).xz;
+  }
+  float depth = waterLevel + gerstnerWaves(rest, time, tangent, binormal).y - vWorldPosition.y;
+  
+  float line = 1.0 - smoothstep(0.0, waterlineWidth, abs(depth));
+  float below = step(0.0, depth);
+  gl_FragColor = vec4(mix(underwaterColor, waterlineColor, line), max(below * tint, line * 0.85));
+}
+`;
+
+// Reusable temporaries
+const corner = new THREE.Vector3();
+
+/**
+ * Add projected caustics to a standard material: they shine on whatever it
+ * covers below the water level (see updateUnderwater for the animation)
+ * @param {THREE.MeshStandardMaterial} material - The material
+ * @returns {THREE.MeshStandardMaterial} The material
+ */
+export function addCaustics(material) {
+  // The same function for every material, so they share one shader program
+  material.onBeforeCompile = patchCausticsShader;
+  return material;
+}
+
+/**
+ * Set up underwater rendering: the seabed over the deep ground collider, the
+ * fog used below the surface and the waterline overlay
+ * @param {Object} threeObjects - The Three.js objects
+ * @param {Object} physicsWorld - The physics world
+ * @returns {Object} The underwater state (see updateUnderwater)
+ */
+export function createUnderwater(threeObjects, physicsWorld) {
+  const { scene } = threeObjects;
+  
+  const seabed = createSeabed(physicsWorld);
+  scene.add(seabed);
+  
+  // Drawn after the scene (see renderScene), on top of everything
+  const overlay = createWaterlineOverlay();
+  const overlayScene = new THREE.Scene();
+  overlayScene.add(overlay);
+  
+  console.log('Underwater rendering initialized');
+  
+  return {
+    state: CAMERA_WATER_STATES.ABOVE,
+    seabed,
+    overlay,
+    overlayScene,
+    fog: new THREE.FogExp2(UNDERWATER_COLOR, UNDERWATER_FOG_DENSITY),
+    background: new THREE.Color(UNDERWATER_COLOR),
+    // What the scene had above the water, restored on surfacing
+    aboveFog: scene.fog,
+    aboveBackground: scene.background
+  };
+}
+
+/**
+ * Find where the camera is relative to the water surface: above, below or
+ * straddling it (some of the near plane above the surface, some below)
+ * @param {THREE.PerspectiveCamera} camera - The camera
+ * @param {Object} physicsWorld - The physics world
+ * @param {number} time - Water time in seconds
+ * @returns {string} One of CAMERA_WATER_STATES
+ */
+export function getCameraWaterState(camera, physicsWorld, time = physicsWorld.time) {
+  camera.updateMatrixWorld();
+  
+  let cornersBelow = 0;
+  for (const [x, y] of NEAR_PLANE_CORNERS) {
+    corner.set(x, y, -1).unproject(camera);
+    if (corner.y < getWaterSurfaceHeight(physicsWorld, corner.x, corner.z, time)) {
+      cornersBelow++;
+    }
+  }
+  
+  if (cornersBelow === 0) return CAMERA_WATER_STATES.ABOVE;
+  if (cornersBelow === NEAR_PLANE_CORNERS.length) return CAMERA_WATER_STATES.BELOW;
+  return CAMERA_WATER_STATES.WATERLINE;
+}
+
+/**
+ * Switch between the above- and below-water looks as the camera crosses the
+ * surface, and animate the caustics
+ * @param {Object} underwater - The underwater state (see createUnderwater)
+ * @param {Object} threeObjects - The Three.js objects
+ * @param {Object} physicsWorld - The physics world
+ * @param {number} time - Water time in seconds (the clock of the rendered waves)
+ * @returns {string} Where the camera is (one of CAMERA_WATER_STATES)
+ */
+export function updateUnderwater(underwater, threeObjects, physicsWorld, time) {
+  const { scene, camera, sky } = threeObjects;
+  const state = getCameraWaterState(camera, physicsWorld, time);
+  
+  causticsUniforms.causticsTime.value = time;
+  
+  if (state !== underwater.state) {
+    // Below the surface the sky is out of sight and the fog closes in
+    const submerged = state === CAMERA_WATER_STATES.BELOW;
+    scene.fog = submerged ? underwater.fog : underwater.aboveFog;
+    scene.background = submerged ? underwater.background : underwater.aboveBackground;
+    if (sky) {
+      sky.mesh.visible = !submerged;
+    }
+    underwater.state = state;
+  }
+  
+  const overlay = underwater.overlay;
+  overlay.visible = state === CAMERA_WATER_STATES.WATERLINE;
+  if (overlay.visible) {
+    placeWaterlineOverlay(overlay, camera);
+    overlay.material.uniforms.time.value = time;
+    setWaveUniforms(overlay.material.uniforms, physicsWorld.water.getWaves());
+  }
+  
+  return state;
+}
+
+/**
+ * Add the caustics to a standard material's shaders (onBeforeCompile)
+ * @param {Object} shader - The shader three.js is about to compile
+ */
+function patchCausticsShader(shader) {
+  Object.assign(shader.uniforms, causticsUniforms);
+  
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', `#include <common>\n${CAUSTICS_PARS_VERTEX}`)
+    .replace('#include <worldpos_vertex>', `#include <worldpos_vertex>\n${CAUSTICS_VERTEX}`);
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', `#include <common>\n${CAUSTICS_PARS_FRAGMENT}`)
+    .replace('#include <opaque_fragment>', `${CAUSTICS_FRAGMENT}\n#include <opaque_fragment>`);
+}
+
+/**
+ * Create the sandy seabed on top of the deep ground collider
+ * @param {Object} physicsWorld - The physics world
+ * @returns {THREE.Mesh} The seabed mesh
+ */
+function createSeabed(physicsWorld) {
+  const ground = physicsWorld.groundCollider;
+  const halfExtents = ground.halfExtents();
+  const translation = ground.translation();
+  
+  const geometry = new THREE.PlaneGeometry(halfExtents.x * 2, halfExtents.z * 2);
+  geometry.rotateX(-Math.PI / 2);
+  
+  const material = addCaustics(new THREE.MeshStandardMaterial({
+    color: SEABED_COLOR,
+    roughness: 1.0,
+    metalness: 0.0
+  }));
+  
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.position.set(translation.x, translation.y + halfExtents.y, translation.z);
+  mesh.receiveShadow = true;
+  
+  return mesh;
+}
+
+/**
+ * Create the waterline overlay: a quad covering the near plane that tints
+ * what is under the water and draws the line where the surface crosses it
+ * @returns {THREE.Mesh} The overlay mesh
+ */
+function createWaterlineOverlay() {
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      time: { value: 0 },
+      ...createWaveUniforms(),
+      waterLevel: { value: WATER_LEVEL },
+      underwaterColor: { value: new THREE.Color(UNDERWATER_COLOR) },
+      waterlineColor: { value: new THREE.Color(WATERLINE_COLOR) },
+      waterlineWidth: { value: 0 },
+      tint: { value: WATERLINE_TINT }
+    },
+    vertexShader: OVERLAY_VERTEX_SHADER,
+    fragmentShader: OVERLAY_FRAGMENT_SHADER,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+    toneMapped: false
+  });
+  
+  const overlay = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+  overlay.frustumCulled = false;
+  overlay.visible = false;
+  
+  return overlay;
+}
+
+/**
+ * Put the waterline overlay just past the camera's near plane, covering it
+ * @param {THREE.Mesh} overlay - The overlay mesh
+ * @param {THREE.PerspectiveCamera} camera - The camera
+ */
+function placeWaterlineOverlay(overlay, camera) {
+  const distance = camera.near * OVERLAY_DISTANCE;
+  const height = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * 1.1;
+  
+  overlay.position.copy(camera.position);
+  overlay.quaternion.copy(camera.quaternion);
+  overlay.translateZ(-distance);
+  overlay.scale.set(height * camera.aspect, height, 1);
+  overlay.updateMatrixWorld();
+  
+  overlay.material.uniforms.waterlineWidth.value = height * WATERLINE_WIDTH;
+}
@@ -119,12 +119,10 @@ export function createWaterControls(water, physics) {
   // Performance folder
   const performanceFolder = gui.addFolder('Performance');
   performanceFolder.add(waterParams, 'textureWidth', [128, 256, 512, 1024, 2048]).onChange((value) => {
-    // This would require recreating the water object
-    console.log('Texture width changed to', value, '- requires reload to take effect');
+    setTextureResolution(water, 'width', value);
   });
   performanceFolder.add(waterParams, 'textureHeight', [128, 256, 512, 1024, 2048]).onChange((value) => {
-    // This would require recreating the water object
-    console.log('Texture height changed to', value, '- requires reload to take effect');
+    setTextureResolution(water, 'height', value);
   });
   
   // Initialize water material with our parameters
@@ -144,6 +142,21 @@ export function createWaterControls(water, physics) {
   return gui;
 }
 
+/**
+ * Apply a new reflection/refraction resolution from the GUI
+ * @param {Object} water - The water object
+ * @param {string} dimension - 'width' or 'height'
+ * @param {number} value - The new size in pixels
+ */
+function setTextureResolution(water, dimension, value) {
+  // The enhanced water resizes its passes; the standard Water would need recreating
+  if (water.setResolution) {
+    water.setResolution(waterParams.textureWidth, waterParams.textureHeight);
+  } else {
+    console.log(`Texture ${dimension} changed to`, value, '- requires reload to take effect');
+  }
+}
+
 /**
  * Updates water animation based on current parameters
  * @param {Water} water - The Three.js Water object
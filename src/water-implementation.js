@@ -27,7 +27,9 @@ export function addWaterSimulation(scene, world, options = {}) {
         waterSize: 100,             // Size of water plane
         waterPosition: { x: 0, y: 0, z: 0 }, // Position of water plane
         waterLevel: 0,              // Water level for physics (y-coordinate)
-        addGui: true                // Whether to add GUI controls
+        addGui: true,               // Whether to add GUI controls
+        renderer: null,             // Renderer and camera for the enhanced water's
+        camera: null                // reflection and refraction passes
     };
     
     // Merge with provided options
@@ -50,7 +52,9 @@ export function addWaterSimulation(scene, world, options = {}) {
             distortionScale: waterParams.distortionScale,
             alpha: waterParams.alpha,
             waveHeight: waterParams.waveHeight,
-            waveFrequency: waterParams.waveFrequency
+            waveFrequency: waterParams.waveFrequency,
+            reflectivity: waterParams.reflectivity,
+            refractionRatio: waterParams.refractionRatio
         });
     } else {
         // Use standard Three.js Water
@@ -128,9 +132,10 @@ export function addWaterSimulation(scene, world, options = {}) {
         
         // Update method to call in animation loop
         update: function(deltaTime, time) {
-            // Update water material (animation)
+            // Update water material (animation); the enhanced water draws the physics waves
             if (config.useEnhancedShaders) {
-                water.update(null, scene, null, deltaTime);
+                water.setWaves(waterPhysics.getWaves());
+                water.update(config.renderer, scene, config.camera, deltaTime, time);
             } else {
                 updateWater(water, deltaTime);
             }
@@ -146,6 +151,10 @@ export function addWaterSimulation(scene, world, options = {}) {
             if (water.material) water.material.dispose();
             if (water.material.uniforms.normalSampler.value) 
                 water.material.uniforms.normalSampler.value.dispose();
+            if (config.useEnhancedShaders) {
+                water.userData.reflectionRenderTarget.dispose();
+                water.userData.refractionRenderTarget.dispose();
+            }
             scene.remove(water);
         }
     };
@@ -161,7 +170,8 @@ export function addWaterSimulation(scene, world, options = {}) {
  *    const waterSim = addWaterSimulation(scene, world, {
  *        waterLevel: 0,
  *        waterSize: 100,
- *        useEnhancedShaders: true // For advanced effects
+ *        useEnhancedShaders: true, // For advanced effects
+ *        renderer, camera          // Needed by the enhanced water's reflection and refraction
  *    });
  * 
  * 3. In your animation loop, update the water simulation:
@@ -7,6 +7,7 @@
 
 import * as THREE from 'three';
 import RAPIER from '@dimforge/rapier3d-compat';
+import { createWaveSet, createWaveSample, sampleWaves, getWaveHeight } from './waves.js';
 
 // Water physics parameters
 const waterPhysicsParams = {
@@ -23,6 +24,8 @@ const waterPhysicsParams = {
   waveFrequency: 0.5,     // Frequency of waves
   waveSpeed: 1.0,         // Speed of wave propagation
   waveDirection: new THREE.Vector2(1, 1).normalize(), // Direction of wave travel
+  waves: null,            // Explicit Gerstner wave set (see waves.js); null derives one from the settings above
+  wavePush: 0.5,          // How strongly the orbiting water carries bodies at the surface
   
   // Advanced
   surfaceTension: 0.07,   // Surface tension coefficient
@@ -31,7 +34,7 @@ const waterPhysicsParams = {
   
   // Performance
   subSteps: 3,            // Physics sub-steps for stability
-  maxBuoyancyPoints: 8    // Maximum buoyancy sample points per object
+  maxBuoyancyPoints: 27   // Maximum buoyancy sample points per collider
 };
 
 /**
@@ -44,186 +47,185 @@ export function createWaterPhysics(world, params = {}) {
   // Merge provided params with defaults
   const settings = { ...waterPhysicsParams, ...params };
   
+  // Wave set derived from the simple settings, rebuilt when they change (e.g. from the GUI)
+  let derivedWaves = null;
+  let derivedKey = null;
+  
+  // The Gerstner waves of the water, shared with the water shaders
+  function getWaves() {
+    if (settings.waves) return settings.waves;
+    
+    const key = [
+      settings.waveHeight,
+      settings.waveFrequency,
+      settings.waveSpeed,
+      settings.waveDirection.x,
+      settings.waveDirection.y
+    ].join();
+    if (key !== derivedKey) {
+      derivedWaves = createWaveSet(settings);
+      derivedKey = key;
+    }
+    return derivedWaves;
+  }
+  
   // Water surface height function (based on waves)
   function getWaterHeight(x, z, time) {
-    const waveX = settings.waveDirection.x;
-    const waveZ = settings.waveDirection.y;
-    
-    // Compute multiple overlapping waves for more realistic effect
-    let height = 0;
-    
-    // Primary wave
-    height += Math.sin(
-      (x * waveX + z * waveZ) * settings.waveFrequency + 
-      time * settings.waveSpeed
-    ) * settings.waveHeight;
-    
-    // Secondary wave (perpendicular, smaller)
-    height += Math.sin(
-      (x * -waveZ + z * waveX) * settings.waveFrequency * 1.5 + 
-      time * settings.waveSpeed * 0.8
-    ) * settings.waveHeight * 0.3;
-    
-    // Tertiary wave (diagonal, faster)
-    height += Math.sin(
-      (x * (waveX + waveZ) + z * (waveX - waveZ)) * settings.waveFrequency * 2.3 + 
-      time * settings.waveSpeed * 1.2
-    ) * settings.waveHeight * 0.15;
-    
-    return height;
+    return getWaveHeight(getWaves(), x, z, time);
   }
   
-  // Calculate buoyancy force for a point
-  function calculateBuoyancyForce(position, waterLevel, time) {
-    // Get actual water height at this position including waves
-    const actualWaterHeight = waterLevel + 
-      getWaterHeight(position.x, position.z, time);
-    
-    // If point is above water, no buoyancy
-    if (position.y > actualWaterHeight) {
-      return { force: new THREE.Vector3(0, 0, 0), submergedDepth: 0 };
+  // Height, normal and sideways displacement of the surface over a point (see sampleWaves)
+  function sampleSurface(x, z, time, target) {
+    return sampleWaves(getWaves(), x, z, time, target);
+  }
+  
+  // Cached buoyancy samples per collider handle (shapes don't change at runtime)
+  const sampleCache = new Map();
+  
+  // Per-sample positions and forces of the last update, recorded for the debug overlay
+  let debugSamples = null;
+  
+  // Reusable temporaries
+  const bodyVelocity = new THREE.Vector3();
+  const bodyAngularVelocity = new THREE.Vector3();
+  const bodyCenter = new THREE.Vector3();
+  const colliderPosition = new THREE.Vector3();
+  const colliderRotation = new THREE.Quaternion();
+  const samplePoint = new THREE.Vector3();
+  const pointVelocity = new THREE.Vector3();
+  const leverArm = new THREE.Vector3();
+  const dragForce = new THREE.Vector3();
+  const surfaceNow = createWaveSample();
+  const surfaceNext = createWaveSample();
+  
+  // Get (and cache) the buoyancy samples of a collider
+  function getBuoyancySamples(collider) {
+    let samples = sampleCache.get(collider.handle);
+    if (!samples) {
+      samples = generateBuoyancySamples(collider, settings.maxBuoyancyPoints);
+      sampleCache.set(collider.handle, samples);
     }
-    
-    // Calculate submersion depth
-    const submergedDepth = actualWaterHeight - position.y;
-    
-    // Calculate buoyancy force (F = density * g * volume)
-    // We approximate volume as proportional to submerged depth
-    const buoyancyForce = settings.density * 9.81 * submergedDepth * settings.buoyancyMultiplier;
-    
-    // Create force vector (only upward for basic buoyancy)
-    const force = new THREE.Vector3(0, buoyancyForce, 0);
-    
-    return { force, submergedDepth };
+    return samples;
+  }
+  
+  // Fraction of a sample cell that lies below the water surface.
+  // The cell is treated as a vertical slab of height cellSize centered on the point.
+  function getSubmergedFraction(point, cellSize, waterLevel, time) {
+    const actualWaterHeight = waterLevel + getWaterHeight(point.x, point.z, time);
+    const bottom = point.y - cellSize / 2;
+    return THREE.MathUtils.clamp((actualWaterHeight - bottom) / cellSize, 0, 1);
+  }
+  
+  // Calculate buoyancy force for a submerged volume (F = density * g * volume)
+  function calculateBuoyancyForce(submergedVolume) {
+    return settings.density * 9.81 * submergedVolume * settings.buoyancyMultiplier;
   }
   
-  // Calculate drag force for an object
-  function calculateDragForce(velocity, submergedDepth) {
-    if (submergedDepth <= 0) return new THREE.Vector3(0, 0, 0);
+  // Calculate drag force for a point moving through the water
+  function calculateDragForce(velocity, submergedVolume, target) {
+    target.set(0, 0, 0);
+    if (submergedVolume <= 0) return target;
     
     // Get velocity magnitude
     const speed = velocity.length();
     
     // No drag if not moving
-    if (speed < 0.001) return new THREE.Vector3(0, 0, 0);
+    if (speed < 0.001) return target;
     
     // Calculate drag magnitude (linear + quadratic components)
     const dragMagnitude = (
       settings.linearDrag * speed + 
       settings.quadraticDrag * speed * speed
-    ) * submergedDepth;
-    
-    // Create normalized and scaled drag force (opposite to velocity)
-    const dragForce = velocity.clone().normalize().multiplyScalar(-dragMagnitude);
+    ) * settings.density * submergedVolume;
     
-    return dragForce;
+    // Opposite to velocity
+    return target.copy(velocity).multiplyScalar(-dragMagnitude / speed);
   }
   
   // Apply water physics to a rigid body
   function applyWaterPhysics(rigidBody, waterLevel, time, deltaTime) {
     // Get body properties
     const position = rigidBody.translation();
-    const velocity = rigidBody.linvel();
-    const rotation = rigidBody.rotation();
     
     // Skip if far above water
     if (position.y > waterLevel + 5) return;
     
-    // Get collider for dimensions
-    const collider = world.getCollider(rigidBody.collider(0));
-    if (!collider) return;
-    
-    // Generate buoyancy points based on collider type
-    const buoyancyPoints = [];
-    
-    // For simplicity, we'll use a basic approach with a few sample points
-    // In a more advanced implementation, you'd sample the actual collider shape
-    
-    // Get approximate dimensions (assuming box-like shape)
-    const halfExtents = new THREE.Vector3(0.5, 0.5, 0.5);
-    
-    // For cuboid colliders, get actual half-extents
-    if (collider.type() === RAPIER.ShapeType.Cuboid) {
-      const cuboidHalfExtents = collider.halfExtents();
-      halfExtents.set(cuboidHalfExtents.x, cuboidHalfExtents.y, cuboidHalfExtents.z);
-    }
+    const linvel = rigidBody.linvel();
+    const angvel = rigidBody.angvel();
+    const center = rigidBody.worldCom();
+    bodyVelocity.set(linvel.x, linvel.y, linvel.z);
+    bodyAngularVelocity.set(angvel.x, angvel.y, angvel.z);
+    bodyCenter.set(center.x, center.y, center.z);
     
-    // Generate sample points distributed throughout the object's volume
-    const numPoints = Math.min(settings.maxBuoyancyPoints, 
-      Math.ceil(halfExtents.x * halfExtents.y * halfExtents.z * 8));
+    let totalVolume = 0;
+    let totalSubmergedVolume = 0;
     
-    for (let i = 0; i < numPoints; i++) {
-      // Create points distributed throughout the volume
-      // This is a simplified approach - more sophisticated sampling would be better
-      const px = (Math.random() * 2 - 1) * halfExtents.x;
-      const py = (Math.random() * 2 - 1) * halfExtents.y;
-      const pz = (Math.random() * 2 - 1) * halfExtents.z;
+    for (let c = 0; c < rigidBody.numColliders(); c++) {
+      const collider = rigidBody.collider(c);
+      if (collider.isSensor()) continue;
       
-      // Transform point to world space
-      const worldPoint = new THREE.Vector3(
-        position.x + px,
-        position.y + py,
-        position.z + pz
-      );
+      const samples = getBuoyancySamples(collider);
       
-      buoyancyPoints.push(worldPoint);
-    }
-    
-    // Apply forces for each buoyancy point
-    let totalBuoyancyForce = new THREE.Vector3(0, 0, 0);
-    let totalDragForce = new THREE.Vector3(0, 0, 0);
-    let averageSubmergedDepth = 0;
-    
-    for (const point of buoyancyPoints) {
-      // Calculate buoyancy at this point
-      const { force, submergedDepth } = calculateBuoyancyForce(point, waterLevel, time);
+      // Full world pose of the collider (includes the body rotation)
+      const translation = collider.translation();
+      const rotation = collider.rotation();
+      colliderPosition.set(translation.x, translation.y, translation.z);
+      colliderRotation.set(rotation.x, rotation.y, rotation.z, rotation.w);
       
-      // Accumulate forces
-      totalBuoyancyForce.add(force);
-      averageSubmergedDepth += submergedDepth;
-    }
-    
-    // Average the submerged depth
-    averageSubmergedDepth /= buoyancyPoints.length;
-    
-    // Calculate drag based on average submersion
-    totalDragForce = calculateDragForce(
-      new THREE.Vector3(velocity.x, velocity.y, velocity.z),
-      averageSubmergedDepth
-    );
-    
-    // Apply the accumulated forces
-    if (totalBuoyancyForce.lengthSq() > 0) {
-      rigidBody.applyImpulse(
-        { x: 0, y: totalBuoyancyForce.y * deltaTime, z: 0 },
-        true
-      );
-    }
-    
-    if (totalDragForce.lengthSq() > 0) {
-      rigidBody.applyImpulse(
-        { 
-          x: totalDragForce.x * deltaTime,
-          y: totalDragForce.y * deltaTime,
-          z: totalDragForce.z * deltaTime
-        },
-        true
-      );
+      for (const sample of samples.points) {
+        totalVolume += sample.volume;
+        
+        // Transform sample to world space
+        samplePoint.copy(sample.position).applyQuaternion(colliderRotation).add(colliderPosition);
+        
+        const fraction = getSubmergedFraction(samplePoint, samples.cellSize, waterLevel, time);
+        if (fraction <= 0) {
+          if (debugSamples) {
+            debugSamples.push({ position: samplePoint.clone(), force: null });
+          }
+          continue;
+        }
+        
+        const submergedVolume = sample.volume * fraction;
+        totalSubmergedVolume += submergedVolume;
+        
+        // Velocity of the body at this point (v + w x r)
+        leverArm.subVectors(samplePoint, bodyCenter);
+        pointVelocity.crossVectors(bodyAngularVelocity, leverArm).add(bodyVelocity);
+        calculateDragForce(pointVelocity, submergedVolume, dragForce);
+        
+        // Buoyancy and drag act at the sample, producing torque on tilted bodies
+        dragForce.y += calculateBuoyancyForce(submergedVolume);
+        rigidBody.applyImpulseAtPoint(
+          {
+            x: dragForce.x * deltaTime,
+            y: dragForce.y * deltaTime,
+            z: dragForce.z * deltaTime
+          },
+          { x: samplePoint.x, y: samplePoint.y, z: samplePoint.z },
+          true
+        );
+        
+        if (debugSamples) {
+          debugSamples.push({ position: samplePoint.clone(), force: dragForce.clone() });
+        }
+      }
     }
     
-    // Apply wave forces for objects at the surface
-    if (averageSubmergedDepth > 0 && averageSubmergedDepth < halfExtents.y * 2) {
-      // Calculate wave direction force
-      const waveForce = new THREE.Vector3(
-        settings.waveDirection.x,
-        0,
-        settings.waveDirection.y
-      ).multiplyScalar(
-        settings.waveHeight * 0.5 * Math.sin(time * settings.waveSpeed)
-      );
+    // Objects at the surface are carried along by the orbiting water
+    const submergedRatio = totalVolume > 0 ? totalSubmergedVolume / totalVolume : 0;
+    if (submergedRatio > 0 && submergedRatio < 1) {
+      // Horizontal water velocity from how far the surface moves sideways over the step
+      sampleSurface(position.x, position.z, time, surfaceNow);
+      sampleSurface(position.x, position.z, time + deltaTime, surfaceNext);
+      const push = settings.wavePush * settings.density * totalSubmergedVolume;
       
       rigidBody.applyImpulse(
-        { x: waveForce.x * deltaTime, y: 0, z: waveForce.z * deltaTime },
+        {
+          x: (surfaceNext.displacement.x - surfaceNow.displacement.x) * push,
+          y: 0,
+          z: (surfaceNext.displacement.y - surfaceNow.displacement.y) * push
+        },
         true
       );
     }
@@ -232,21 +234,166 @@ export function createWaterPhysics(world, params = {}) {
   // Return the water physics simulator object
   return {
     settings,
+    getWaves,
     getWaterHeight,
+    sampleSurface,
     applyWaterPhysics,
     
+    // Simulate the bodies of another world (after restoring a snapshot).
+    // Cached samples stay valid: restored colliders keep their handles.
+    setWorld: function(newWorld) {
+      world = newWorld;
+    },
+    
+    // Drop cached samples of a collider (call when a collider is removed or resized)
+    forgetCollider: function(collider) {
+      sampleCache.delete(collider.handle);
+    },
+    
+    // Start or stop recording buoyancy samples for the debug overlay
+    setDebugRecording: function(enabled) {
+      debugSamples = enabled ? [] : null;
+    },
+    
+    // Buoyancy samples of the last update ({ position, force }, force null when dry)
+    getDebugSamples: function() {
+      return debugSamples || [];
+    },
+    
     // Update method to be called in the animation loop
     update: function(deltaTime, waterLevel, time) {
+      if (debugSamples) {
+        debugSamples.length = 0;
+      }
+      
       // Apply water physics to all dynamic bodies
-      for (let i = 0; i < world.bodies.len(); i++) {
-        const rigidBody = world.bodies.at(i);
-        
-        // Only apply to dynamic bodies
-        if (rigidBody.bodyType() === RAPIER.RigidBodyType.Dynamic) {
+      world.bodies.forEach((rigidBody) => {
+        if (rigidBody.isDynamic()) {
           applyWaterPhysics(rigidBody, waterLevel, time, deltaTime);
         }
+      });
+    }
+  };
+}
+
+/**
+ * Generates deterministic buoyancy sample points for a collider.
+ * The shape's local bounding box is split into a grid of cells; cells whose
+ * center lies inside the shape become samples, each carrying an equal share
+ * of the collider volume.
+ * @param {RAPIER.Collider} collider - The collider to sample
+ * @param {number} maxPoints - Maximum number of samples
+ * @returns {Object} { points: [{ position, volume }], cellSize } in collider-local space
+ */
+export function generateBuoyancySamples(collider, maxPoints) {
+  const volume = collider.volume();
+  
+  // Local bounding box and inside test for the shape
+  const min = new THREE.Vector3();
+  const max = new THREE.Vector3();
+  let contains;
+  
+  switch (collider.shapeType()) {
+    case RAPIER.ShapeType.Ball: {
+      const radius = collider.radius();
+      min.setScalar(-radius);
+      max.setScalar(radius);
+      contains = (p) => p.lengthSq() <= radius * radius;
+      break;
+    }
+    case RAPIER.ShapeType.Cuboid: {
+      const halfExtents = collider.halfExtents();
+      max.set(halfExtents.x, halfExtents.y, halfExtents.z);
+      min.copy(max).negate();
+      contains = () => true;
+      break;
+    }
+    case RAPIER.ShapeType.Capsule: {
+      // Capsule axis is local Y
+      const radius = collider.radius();
+      const halfHeight = collider.halfHeight();
+      max.set(radius, halfHeight + radius, radius);
+      min.copy(max).negate();
+      contains = (p) => {
+        const axisY = THREE.MathUtils.clamp(p.y, -halfHeight, halfHeight);
+        return p.x * p.x + (p.y - axisY) * (p.y - axisY) + p.z * p.z <= radius * radius;
+      };
+      break;
+    }
+    case RAPIER.ShapeType.Cylinder: {
+      // Cylinder axis is local Y
+      const radius = collider.radius();
+      const halfHeight = collider.halfHeight();
+      max.set(radius, halfHeight, radius);
+      min.copy(max).negate();
+      contains = (p) => p.x * p.x + p.z * p.z <= radius * radius;
+      break;
+    }
+    case RAPIER.ShapeType.ConvexPolyhedron: {
+      // Bounds from the hull vertices; inside test against the collider itself
+      const vertices = collider.vertices();
+      min.setScalar(Infinity);
+      max.setScalar(-Infinity);
+      for (let i = 0; i < vertices.length; i += 3) {
+        min.min(new THREE.Vector3(vertices[i], vertices[i + 1], vertices[i + 2]));
+        max.max(new THREE.Vector3(vertices[i], vertices[i + 1], vertices[i + 2]));
+      }
+      
+      const translation = collider.translation();
+      const rotation = collider.rotation();
+      const position = new THREE.Vector3(translation.x, translation.y, translation.z);
+      const quaternion = new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w);
+      const worldPoint = new THREE.Vector3();
+      contains = (p) => {
+        worldPoint.copy(p).applyQuaternion(quaternion).add(position);
+        return collider.containsPoint(worldPoint);
+      };
+      break;
+    }
+    default:
+      // Unsupported shape: a single sample at the collider origin
+      return {
+        points: [{ position: new THREE.Vector3(), volume }],
+        cellSize: Math.cbrt(volume)
+      };
+  }
+  
+  // Pick a per-axis resolution that keeps cells roughly cubic
+  const size = new THREE.Vector3().subVectors(max, min);
+  const targetCell = Math.cbrt((size.x * size.y * size.z) / maxPoints);
+  const counts = [size.x, size.y, size.z].map((length) => Math.max(1, Math.round(length / targetCell)));
+  while (counts[0] * counts[1] * counts[2] > maxPoints) {
+    counts[counts.indexOf(Math.max(...counts))]--;
+  }
+  
+  const cell = new THREE.Vector3(size.x / counts[0], size.y / counts[1], size.z / counts[2]);
+  
+  // Keep the cell centers that lie inside the shape
+  const positions = [];
+  for (let ix = 0; ix < counts[0]; ix++) {
+    for (let iy = 0; iy < counts[1]; iy++) {
+      for (let iz = 0; iz < counts[2]; iz++) {
+        const point = new THREE.Vector3(
+          min.x + (ix + 0.5) * cell.x,
+          min.y + (iy + 0.5) * cell.y,
+          min.z + (iz + 0.5) * cell.z
+        );
+        if (contains(point)) positions.push(point);
       }
     }
+  }
+  
+  // Degenerate shapes (thinner than a cell) fall back to the bounding box center
+  if (positions.length === 0) {
+    positions.push(new THREE.Vector3().addVectors(min, max).multiplyScalar(0.5));
+  }
+  
+  // Split the exact collider volume evenly between the samples
+  const sampleVolume = volume / positions.length;
+  
+  return {
+    points: positions.map((position) => ({ position, volume: sampleVolume })),
+    cellSize: Math.cbrt(cell.x * cell.y * cell.z)
   };
 }
 
@@ -6,47 +6,54 @@
  */
 
 import * as THREE from 'three';
+import { createWaveSet, createWaveUniforms, setWaveUniforms } from './waves.js';
+
+// Maps clip space (-1 to 1) to texture space (0 to 1) for projective texturing
+const TEXTURE_BIAS_MATRIX = new THREE.Matrix4().set(
+    0.5, 0.0, 0.0, 0.5,
+    0.0, 0.5, 0.0, 0.5,
+    0.0, 0.0, 0.5, 0.5,
+    0.0, 0.0, 0.0, 1.0
+);
 
 // Custom water vertex shader
 const waterVertexShader = `
 uniform float time;
-uniform float waveHeight;
-uniform float waveFrequency;
-uniform vec2 waveDirection;
+uniform mat4 reflectionMatrix;
+uniform mat4 refractionMatrix;
 
 varying vec3 vPosition;
 varying vec3 vNormal;
 varying vec2 vUv;
 varying vec3 vWorldPosition;
+varying vec4 vReflectionCoord;
+varying vec4 vRefractionCoord;
+
+// Gerstner waves shared with the physics (see waves.js)
+#include <gerstner_waves>
 
 void main() {
     vUv = uv;
     vPosition = position;
-    vNormal = normal;
-    
-    // Apply wave displacement
-    vec3 newPosition = position;
-    
-    // Primary wave
-    float wave1 = sin(dot(position.xz, waveDirection) * waveFrequency + time) * waveHeight;
-    
-    // Secondary wave (perpendicular)
-    vec2 perpDirection = vec2(-waveDirection.y, waveDirection.x);
-    float wave2 = sin(dot(position.xz, perpDirection) * waveFrequency * 1.5 + time * 0.8) * waveHeight * 0.3;
-    
-    // Tertiary wave (diagonal, faster)
-    vec2 diagDirection = normalize(waveDirection + perpDirection);
-    float wave3 = sin(dot(position.xz, diagDirection) * waveFrequency * 2.3 + time * 1.2) * waveHeight * 0.15;
     
-    // Apply combined waves
-    newPosition.y += wave1 + wave2 + wave3;
+    // Apply wave displacement: the waves move the water in world space, and
+    // the transposed model matrix turns that back into local space
+    vec3 tangent;
+    vec3 binormal;
+    vec3 restPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+    vec3 wave = gerstnerWaves(restPosition.xz, time, tangent, binormal);
+    vec3 newPosition = position + (vec4(wave, 0.0) * modelMatrix).xyz;
     
-    // Calculate new normal based on wave derivatives
-    // This would be more complex in a full implementation
+    // World-space normal of the displaced surface
+    vNormal = normalize(cross(binormal, tangent));
     
     // Transform to world space
     vWorldPosition = (modelMatrix * vec4(newPosition, 1.0)).xyz;
     
+    // Where this point lands in the reflection and refraction passes
+    vReflectionCoord = reflectionMatrix * vec4(vWorldPosition, 1.0);
+    vRefractionCoord = refractionMatrix * vec4(vWorldPosition, 1.0);
+    
     // Output position
     gl_Position = projectionMatrix * modelViewMatrix * vec4(newPosition, 1.0);
 }
@@ -78,41 +85,49 @@ varying vec3 vPosition;
 varying vec3 vNormal;
 varying vec2 vUv;
 varying vec3 vWorldPosition;
+varying vec4 vReflectionCoord;
+varying vec4 vRefractionCoord;
 
 // Helper functions
-float fresnel(vec3 normal, vec3 viewDirection, float power) {
-    return pow(1.0 - max(0.0, dot(normal, viewDirection)), power);
+// Schlick's approximation, with the reflectance head-on given by the index ratio
+float fresnel(vec3 normal, vec3 viewDirection, float ratio) {
+    float r0 = pow((1.0 - ratio) / (1.0 + ratio), 2.0);
+    return r0 + (1.0 - r0) * pow(1.0 - max(0.0, dot(normal, viewDirection)), 5.0);
 }
 
 void main() {
-    // Sample normal map
+    // Sample normal map (tangent space, its z turned to world up) and
+    // lay the ripples over the tilt of the waves
     vec4 normalColor = texture2D(normalSampler, vUv * 10.0 + time * 0.05);
-    vec3 normal = normalize(normalColor.rgb * 2.0 - 1.0);
+    vec3 ripple = (normalColor.rgb * 2.0 - 1.0).xzy * vec3(1.5, 1.0, 1.5);
+    vec3 waveNormal = normalize(vNormal);
+    vec3 normal = normalize(vec3(ripple.x + waveNormal.x, ripple.y * waveNormal.y, ripple.z + waveNormal.z));
     
     // View direction
     vec3 viewDirection = normalize(eye - vWorldPosition);
+    float viewDistance = length(eye - vWorldPosition);
     
     // Calculate fresnel term
-    float fresnelTerm = fresnel(normal, viewDirection, 5.0);
+    float fresnelTerm = fresnel(normal, viewDirection, refractionRatio);
     
-    // Reflection and refraction coordinates
-    vec2 reflectionCoord = gl_FragCoord.xy / vec2(1024.0, 1024.0); // Replace with actual resolution
-    vec2 refractionCoord = reflectionCoord;
+    // Ripples shift the lookups, less so far away where they are small on screen
+    vec2 distortion = normal.xz * (0.001 + 1.0 / viewDistance) * distortionScale;
     
-    // Apply distortion from normal map
-    reflectionCoord += normal.xz * distortionScale * 0.05;
-    refractionCoord += normal.xz * distortionScale * 0.05;
+    // Light bends toward the normal entering the water: the further the ratio
+    // is from 1, the more the view of what is below shifts
+    vec3 refracted = refract(-viewDirection, normal, refractionRatio);
+    vec2 bend = (refracted + viewDirection).xz;
     
     // Sample reflection and refraction textures
-    vec4 reflectionColor = texture2D(reflectionSampler, reflectionCoord);
-    vec4 refractionColor = texture2D(refractionSampler, refractionCoord);
+    vec4 reflectionColor = texture2D(reflectionSampler, vReflectionCoord.xy / vReflectionCoord.w + distortion);
+    vec4 refractionColor = texture2D(refractionSampler, vRefractionCoord.xy / vRefractionCoord.w + distortion * 0.5 + bend * 0.1);
     
     // Mix reflection and refraction based on fresnel and reflectivity
     vec4 waterColorRGBA = vec4(waterColor, alpha);
     vec4 finalColor = mix(
         mix(waterColorRGBA, refractionColor, 0.5),
         reflectionColor,
-        fresnelTerm * reflectivity
+        clamp(fresnelTerm * reflectivity * 2.0, 0.0, 1.0) // 0.5 is the physical amount, more exaggerates it
     );
     
     // Add sun specular highlight
@@ -172,15 +187,19 @@ export function createCustomWaterMaterial(options = {}) {
         distortionScale: 3.7,
         alpha: 1.0,
         time: 0,
+        waves: null, // Gerstner wave set (see waves.js); null derives one from the wave settings below
         waveHeight: 0.2,
         waveFrequency: 0.5,
+        waveSpeed: 1.0,
         waveDirection: new THREE.Vector2(1, 1).normalize(),
         reflectivity: 0.5,
         refractionRatio: 0.98,
         foamEnabled: true,
         foamColor: new THREE.Color(0xffffff),
         foamThreshold: 0.7,
-        eye: new THREE.Vector3(0, 0, 0)
+        eye: new THREE.Vector3(0, 0, 0),
+        reflectionMatrix: new THREE.Matrix4(),
+        refractionMatrix: new THREE.Matrix4()
     };
     
     // Merge with provided options
@@ -201,27 +220,32 @@ export function createCustomWaterMaterial(options = {}) {
             distortionScale: { value: mergedOptions.distortionScale },
             alpha: { value: mergedOptions.alpha },
             time: { value: mergedOptions.time },
-            waveHeight: { value: mergedOptions.waveHeight },
-            waveFrequency: { value: mergedOptions.waveFrequency },
-            waveDirection: { value: mergedOptions.waveDirection },
+            ...createWaveUniforms(),
             reflectivity: { value: mergedOptions.reflectivity },
             refractionRatio: { value: mergedOptions.refractionRatio },
             foamEnabled: { value: mergedOptions.foamEnabled },
             foamColor: { value: mergedOptions.foamColor },
             foamThreshold: { value: mergedOptions.foamThreshold },
-            eye: { value: mergedOptions.eye }
+            eye: { value: mergedOptions.eye },
+            reflectionMatrix: { value: mergedOptions.reflectionMatrix },
+            refractionMatrix: { value: mergedOptions.refractionMatrix }
         },
         transparent: mergedOptions.alpha < 1.0,
         side: THREE.DoubleSide
     });
     
+    setWaveUniforms(material.uniforms, mergedOptions.waves || createWaveSet(mergedOptions));
+    
     return material;
 }
 
 /**
- * Extends the standard Three.js Water class with custom shader capabilities
+ * Extends the standard Three.js Water class with custom shader capabilities.
+ * Every update renders the scene twice before the water is drawn: mirrored
+ * below the surface and clipped to what is above it (the reflection), and
+ * from the camera clipped to what is below it (the refraction).
  * @param {THREE.Geometry} geometry - Water surface geometry
- * @param {Object} options - Water options
+ * @param {Object} options - Water options (textureWidth and textureHeight set the pass resolution)
  * @returns {THREE.Mesh} Enhanced water mesh
  */
 export function createEnhancedWater(geometry, options = {}) {
@@ -251,13 +275,15 @@ export function createEnhancedWater(geometry, options = {}) {
         waterColor: new THREE.Color(options.waterColor || 0x001e0f),
         sunColor: new THREE.Color(options.sunColor || 0xffffff),
         sunDirection: options.sunDirection || new THREE.Vector3(0.5, 0.5, 0),
-        distortionScale: options.distortionScale || 3.7,
+        distortionScale: options.distortionScale !== undefined ? options.distortionScale : 3.7,
         alpha: options.alpha !== undefined ? options.alpha : 1.0,
+        waves: options.waves || null,
         waveHeight: options.waveHeight || 0.2,
         waveFrequency: options.waveFrequency || 0.5,
+        waveSpeed: options.waveSpeed || 1.0,
         waveDirection: options.waveDirection || new THREE.Vector2(1, 1).normalize(),
-        reflectivity: options.reflectivity || 0.5,
-        refractionRatio: options.refractionRatio || 0.98,
+        reflectivity: options.reflectivity !== undefined ? options.reflectivity : 0.5,
+        refractionRatio: options.refractionRatio !== undefined ? options.refractionRatio : 0.98,
         foamEnabled: options.foamEnabled !== undefined ? options.foamEnabled : true,
         foamColor: new THREE.Color(options.foamColor || 0xffffff),
         foamThreshold: options.foamThreshold || 0.7
@@ -273,17 +299,104 @@ export function createEnhancedWater(geometry, options = {}) {
         options
     };
     
-    // Add update method
-    water.update = function(renderer, scene, camera, deltaTime) {
+    // Camera and clipping planes for the two passes (reused every frame)
+    const mirrorCamera = new THREE.PerspectiveCamera();
+    const reflectionPlane = new THREE.Plane();
+    const refractionPlane = new THREE.Plane();
+    const surfacePosition = new THREE.Vector3();
+    const cameraPosition = new THREE.Vector3();
+    const lookTarget = new THREE.Vector3();
+    const cameraQuaternion = new THREE.Quaternion();
+    
+    /**
+     * Animate the water and render its reflection and refraction passes
+     * @param {THREE.WebGLRenderer} renderer - The renderer
+     * @param {THREE.Scene} scene - The scene to reflect and refract
+     * @param {THREE.Camera} camera - The camera the water is seen from
+     * @param {number} deltaTime - Time since the last update in seconds
+     * @param {number} time - Water time in seconds (the physics clock, so the
+     *   waves match the floating bodies); the water's own clock is advanced when omitted
+     */
+    water.update = function(renderer, scene, camera, deltaTime, time) {
         // Update time uniform
-        this.material.uniforms.time.value += deltaTime;
+        if (time !== undefined) {
+            this.material.uniforms.time.value = time;
+        } else {
+            this.material.uniforms.time.value += deltaTime;
+        }
+        
+        // The passes need something to render with and a point of view
+        if (!renderer || !camera) return;
+        
+        camera.updateMatrixWorld();
+        cameraPosition.setFromMatrixPosition(camera.matrixWorld);
         
         // Update eye position for fresnel calculations
-        this.material.uniforms.eye.value.copy(camera.position);
+        this.material.uniforms.eye.value.copy(cameraPosition);
         
-        // In a full implementation, you would:
-        // 1. Render the scene to reflection and refraction render targets
-        // 2. Update other dynamic uniforms
+        // The surface is the horizontal plane through the water mesh
+        this.getWorldPosition(surfacePosition);
+        const surfaceY = surfacePosition.y;
+        
+        // Mirror the camera through the surface: position, view direction and up
+        mirrorCamera.position.set(cameraPosition.x, 2 * surfaceY - cameraPosition.y, cameraPosition.z);
+        camera.getWorldDirection(lookTarget).add(cameraPosition);
+        lookTarget.y = 2 * surfaceY - lookTarget.y;
+        mirrorCamera.up.set(0, 1, 0).applyQuaternion(camera.getWorldQuaternion(cameraQuaternion));
+        mirrorCamera.up.y = -mirrorCamera.up.y;
+        mirrorCamera.lookAt(lookTarget);
+        mirrorCamera.projectionMatrix.copy(camera.projectionMatrix);
+        mirrorCamera.projectionMatrixInverse.copy(camera.projectionMatrixInverse);
+        mirrorCamera.updateMatrixWorld();
+        
+        // Projective texture lookups for the water shader
+        this.material.uniforms.reflectionMatrix.value.copy(TEXTURE_BIAS_MATRIX)
+            .multiply(mirrorCamera.projectionMatrix)
+            .multiply(mirrorCamera.matrixWorldInverse);
+        this.material.uniforms.refractionMatrix.value.copy(TEXTURE_BIAS_MATRIX)
+            .multiply(camera.projectionMatrix)
+            .multiply(camera.matrixWorldInverse);
+        
+        // Keep what is above the surface for the reflection, below it for the refraction
+        reflectionPlane.set(new THREE.Vector3(0, 1, 0), -surfaceY);
+        refractionPlane.set(new THREE.Vector3(0, -1, 0), surfaceY);
+        
+        // Render both passes without the water itself
+        const currentRenderTarget = renderer.getRenderTarget();
+        const currentClippingPlanes = renderer.clippingPlanes;
+        this.visible = false;
+        
+        renderer.clippingPlanes = [reflectionPlane];
+        renderer.setRenderTarget(reflectionRenderTarget);
+        renderer.clear();
+        renderer.render(scene, mirrorCamera);
+        
+        renderer.clippingPlanes = [refractionPlane];
+        renderer.setRenderTarget(refractionRenderTarget);
+        renderer.clear();
+        renderer.render(scene, camera);
+        
+        this.visible = true;
+        renderer.clippingPlanes = currentClippingPlanes;
+        renderer.setRenderTarget(currentRenderTarget);
+    };
+    
+    /**
+     * Use another wave set (e.g. that of the water physics)
+     * @param {Array<Object>} waves - The wave set (see waves.js)
+     */
+    water.setWaves = function(waves) {
+        setWaveUniforms(this.material.uniforms, waves);
+    };
+    
+    /**
+     * Change the resolution of the reflection and refraction passes
+     * @param {number} width - Render target width in pixels
+     * @param {number} height - Render target height in pixels
+     */
+    water.setResolution = function(width, height) {
+        reflectionRenderTarget.setSize(width, height);
+        refractionRenderTarget.setSize(width, height);
     };
     
     return water;
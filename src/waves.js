@@ -0,0 +1,231 @@
+/**
+ * Gerstner waves: the one description of the water surface that the
+ * shaders draw and the physics, character and camera sample.
+ *
+ * A wave set is a list of waves ({ direction, steepness, wavelength, speed }).
+ * Gerstner waves move the water in circles, so crests are sharp and troughs
+ * flat, and a point on the surface is displaced sideways as well as up. The
+ * GPU gets the set as uniforms and displaces the water mesh with the
+ * "gerstner_waves" shader chunk; the CPU sampler below evaluates the same
+ * sum, so whatever floats rides the surface that is on screen.
+ */
+
+import * as THREE from 'three';
+
+// Most waves a set can hold (size of the shader's uniform arrays)
+export const MAX_WAVES = 8;
+
+// Largest total steepness of a set; steeper crests fold over themselves
+const MAX_TOTAL_STEEPNESS = 1;
+
+// Fixed-point iterations finding which bit of water is over a sampled point
+const SOLVE_ITERATIONS = 4;
+
+// Waves derived from the simple settings (height, frequency, speed, direction),
+// relative to the main wave: turned by angle, with scaled frequency, height and speed
+const DERIVED_WAVES = [
+  { angle: 0, frequency: 1, height: 1, speed: 1 }, // Primary wave
+  { angle: 90, frequency: 1.5, height: 0.3, speed: 0.8 }, // Secondary wave (perpendicular, smaller)
+  { angle: 45, frequency: 2.3, height: 0.15, speed: 1.2 } // Tertiary wave (diagonal, faster)
+];
+
+// GLSL for the vertex shaders. Must match evaluateWaves() below.
+const GERSTNER_WAVES_CHUNK = `
+#define MAX_WAVES ${MAX_WAVES}
+
+uniform vec4 waves[MAX_WAVES]; // Direction x, direction z, steepness, wavelength
+uniform float waveSpeeds[MAX_WAVES]; // Phase speed (m/s)
+uniform int waveCount;
+
+// Displacement of the water that rests at p (world xz), with the surface
+// tangent (along x) and binormal (along z) for its normal
+vec3 gerstnerWaves(vec2 p, float t, out vec3 tangent, out vec3 binormal) {
+  vec3 displacement = vec3(0.0);
+  tangent = vec3(1.0, 0.0, 0.0);
+  binormal = vec3(0.0, 0.0, 1.0);
+  
+  for (int i = 0; i < MAX_WAVES; i++) {
+    if (i >= waveCount) break;
+    
+    vec2 direction = waves[i].xy;
+    float steepness = waves[i].z;
+    float k = 6.28318530718 / waves[i].w;
+    float amplitude = steepness / k;
+    float phase = k * (dot(direction, p) - waveSpeeds[i] * t);
+    float c = cos(phase);
+    float s = sin(phase);
+    
+    displacement += vec3(direction.x * amplitude * c, amplitude * s, direction.y * amplitude * c);
+    tangent += vec3(-direction.x * direction.x * steepness * s, direction.x * steepness * c, -direction.x * direction.y * steepness * s);
+    binormal += vec3(-direction.x * direction.y * steepness * s, direction.y * steepness * c, -direction.y * direction.y * steepness * s);
+  }
+  
+  return displacement;
+}
+`;
+
+// Shaders pull the waves in with #include <gerstner_waves>
+THREE.ShaderChunk.gerstner_waves = GERSTNER_WAVES_CHUNK;
+
+// Reusable temporaries
+const rest = new THREE.Vector2();
+const tangent = new THREE.Vector3();
+const binormal = new THREE.Vector3();
+const scratchSample = createWaveSample();
+
+/**
+ * Build the wave set of the simple wave settings: a main wave along the
+ * wave direction and two smaller ones across it (flattened if the crests
+ * would fold over)
+ * @param {Object} settings - { waveHeight, waveFrequency, waveSpeed, waveDirection } (see water-physics.js)
+ * @returns {Array<Object>} The waves
+ */
+export function createWaveSet(settings) {
+  const waves = [];
+  
+  for (const shape of DERIVED_WAVES) {
+    const k = settings.waveFrequency * shape.frequency;
+    const amplitude = settings.waveHeight * shape.height;
+    if (k <= 0 || amplitude <= 0) continue;
+    
+    waves.push({
+      direction: settings.waveDirection.clone().rotateAround(new THREE.Vector2(), THREE.MathUtils.degToRad(shape.angle)),
+      steepness: amplitude * k,
+      wavelength: 2 * Math.PI / k,
+      speed: settings.waveSpeed * shape.speed / k
+    });
+  }
+  
+  const totalSteepness = waves.reduce((sum, wave) => sum + wave.steepness, 0);
+  if (totalSteepness > MAX_TOTAL_STEEPNESS) {
+    for (const wave of waves) {
+      wave.steepness *= MAX_TOTAL_STEEPNESS / totalSteepness;
+    }
+  }
+  
+  return waves;
+}
+
+/**
+ * Create an object to receive wave samples (see sampleWaves)
+ * @returns {Object} { height, normal, displacement }
+ */
+export function createWaveSample() {
+  return {
+    height: 0,
+    normal: new THREE.Vector3(0, 1, 0),
+    displacement: new THREE.Vector2()
+  };
+}
+
+/**
+ * Sample the wave surface over a point
+ * @param {Array<Object>} waves - The wave set
+ * @param {number} x - World X coordinate
+ * @param {number} z - World Z coordinate
+ * @param {number} time - Water time in seconds
+ * @param {Object} target - Receives the sample (see createWaveSample)
+ * @returns {Object} The sample: height of the surface over (x, z) relative to
+ *   the water level, its normal, and how far (x, z) the water there has been moved sideways
+ */
+export function sampleWaves(waves, x, z, time, target = createWaveSample()) {
+  // The water over (x, z) rests somewhere else; walk back to it
+  rest.set(x, z);
+  for (let i = 0; i < SOLVE_ITERATIONS; i++) {
+    evaluateWaves(waves, rest.x, rest.y, time, target, false);
+    rest.set(x - target.displacement.x, z - target.displacement.y);
+  }
+  
+  return evaluateWaves(waves, rest.x, rest.y, time, target, true);
+}
+
+/**
+ * Height of the wave surface over a point
+ * @param {Array<Object>} waves - The wave set
+ * @param {number} x - World X coordinate
+ * @param {number} z - World Z coordinate
+ * @param {number} time - Water time in seconds
+ * @returns {number} Height relative to the water level
+ */
+export function getWaveHeight(waves, x, z, time) {
+  return sampleWaves(waves, x, z, time, scratchSample).height;
+}
+
+/**
+ * Create the shader uniforms of a wave set (filled in by setWaveUniforms)
+ * @returns {Object} The uniforms (waves, waveSpeeds, waveCount)
+ */
+export function createWaveUniforms() {
+  return {
+    waves: { value: Array.from({ length: MAX_WAVES }, () => new THREE.Vector4()) },
+    waveSpeeds: { value: new Array(MAX_WAVES).fill(0) },
+    waveCount: { value: 0 }
+  };
+}
+
+/**
+ * Copy a wave set into a material's wave uniforms
+ * @param {Object} uniforms - Uniforms holding those of createWaveUniforms
+ * @param {Array<Object>} waves - The wave set
+ */
+export function setWaveUniforms(uniforms, waves) {
+  const count = Math.min(waves.length, MAX_WAVES);
+  
+  for (let i = 0; i < count; i++) {
+    const wave = waves[i];
+    uniforms.waves.value[i].set(wave.direction.x, wave.direction.y, wave.steepness, wave.wavelength);
+    uniforms.waveSpeeds.value[i] = wave.speed;
+  }
+  uniforms.waveCount.value = count;
+}
+
+/**
+ * Sum the waves for the water resting at a point
+ * @param {Array<Object>} waves - The wave set
+ * @param {number} x - Rest X coordinate
+ * @param {number} z - Rest Z coordinate
+ * @param {number} time - Water time in seconds
+ * @param {Object} target - Receives height, displacement and (optionally) normal
+ * @param {boolean} withNormal - Whether to compute the normal
+ * @returns {Object} The target
+ */
+function evaluateWaves(waves, x, z, time, target, withNormal) {
+  let height = 0;
+  let offsetX = 0;
+  let offsetZ = 0;
+  
+  // Surface tangent (along x) and binormal (along z)
+  tangent.set(1, 0, 0);
+  binormal.set(0, 0, 1);
+  
+  const count = Math.min(waves.length, MAX_WAVES);
+  for (let i = 0; i < count; i++) {
+    const { direction, steepness, wavelength, speed } = waves[i];
+    const k = 2 * Math.PI / wavelength;
+    const amplitude = steepness / k;
+    const phase = k * (direction.x * x + direction.y * z - speed * time);
+    const c = Math.cos(phase);
+    const s = Math.sin(phase);
+    
+    height += amplitude * s;
+    offsetX += direction.x * amplitude * c;
+    offsetZ += direction.y * amplitude * c;
+    
+    if (withNormal) {
+      tangent.x -= direction.x * direction.x * steepness * s;
+      tangent.y += direction.x * steepness * c;
+      tangent.z -= direction.x * direction.y * steepness * s;
+      binormal.x -= direction.x * direction.y * steepness * s;
+      binormal.y += direction.y * steepness * c;
+      binormal.z -= direction.y * direction.y * steepness * s;
+    }
+  }
+  
+  target.height = height;
+  target.displacement.set(offsetX, offsetZ);
+  if (withNormal) {
+    target.normal.crossVectors(binormal, tangent).normalize();
+  }
+  
+  return target;
+}
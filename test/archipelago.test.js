@@ -0,0 +1,100 @@
+/**
+ * Archipelago generator: the same seed gives the same world, islands keep
+ * their spacing, plants grow on grass, and the colliders match the terrain.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { generateArchipelago, ARCHIPELAGO_DEFAULTS } from '../src/archipelago.js';
+import { createRandom } from '../src/random.js';
+import { sampleHeightfield, getHeightfieldSlope, createTerrainIsland } from '../src/terrain.js';
+import { createEntityRegistry } from '../src/entities.js';
+import { createTestWorld } from './helpers.js';
+
+const LEVEL = { version: 2, archipelago: {} };
+
+/**
+ * Generate the test archipelago
+ * @param {number} seed - The seed
+ * @returns {Object} The expanded level
+ */
+function generate(seed) {
+  return generateArchipelago(LEVEL, createRandom(seed));
+}
+
+describe('archipelago generator', () => {
+  test('the same seed gives the same world', () => {
+    const first = generate(42);
+    const second = generate(42);
+    
+    assert.deepEqual(second.trees, first.trees);
+    assert.deepEqual(second.flowers, first.flowers);
+    assert.deepEqual(second.spawnPoints, first.spawnPoints);
+    first.terrainIslands.forEach((heightfield, index) => {
+      assert.deepEqual(second.terrainIslands[index].heights, heightfield.heights);
+    });
+  });
+  
+  test('different seeds give different worlds', () => {
+    const centers = (world) => world.terrainIslands.map((heightfield) => heightfield.center.toArray());
+    assert.notDeepEqual(centers(generate(1)), centers(generate(2)));
+  });
+  
+  test('islands stay inside the area, apart from each other', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+      const islands = generate(seed).terrainIslands;
+      assert.equal(islands.length, ARCHIPELAGO_DEFAULTS.islandCount, `seed ${seed}`);
+      
+      for (const [index, island] of islands.entries()) {
+        assert.ok(Math.hypot(island.center.x, island.center.z) < ARCHIPELAGO_DEFAULTS.area, `seed ${seed}`);
+        
+        // Islands are at least min radius + min radius + spacing apart
+        for (const other of islands.slice(index + 1)) {
+          const distance = island.center.distanceTo(other.center);
+          assert.ok(distance >= 2 * ARCHIPELAGO_DEFAULTS.minRadius + ARCHIPELAGO_DEFAULTS.spacing, `seed ${seed}: ${distance} m apart`);
+        }
+      }
+    }
+  });
+  
+  test('trees grow on grass, above the beach and off steep slopes', () => {
+    const world = generate(7);
+    assert.ok(world.trees.length > 0);
+    
+    for (const tree of world.trees) {
+      const [x, y, z] = tree.position;
+      const island = world.terrainIslands.find((heightfield) => sampleHeightfield(heightfield, x, z) === y);
+      assert.ok(island, `tree at ${tree.position} is not on an island`);
+      assert.ok(y > island.beachHeight);
+      assert.ok(getHeightfieldSlope(island, x, z) <= THREE.MathUtils.degToRad(25));
+    }
+  });
+  
+  test('islands rise out of the water and slope down to the seabed', () => {
+    for (const island of generate(3).terrainIslands) {
+      const { center, size } = island;
+      assert.ok(sampleHeightfield(island, center.x, center.z) > 0, 'island center is under water');
+      assert.ok(sampleHeightfield(island, center.x - size / 2 + 0.1, center.z - size / 2 + 0.1) < -1, 'heightfield corner is above the seabed');
+    }
+  });
+  
+  test('the heightfield collider matches the sampled terrain', async () => {
+    const physicsWorld = await createTestWorld();
+    const heightfield = generate(5).terrainIslands[0];
+    createTerrainIsland(physicsWorld, createEntityRegistry(physicsWorld, { scene: new THREE.Scene() }), heightfield);
+    physicsWorld.world.step();
+    
+    const { center } = heightfield;
+    for (const [dx, dz] of [[0, 0], [3.2, -1.7], [-6.1, 4.4], [8.3, 8.9]]) {
+      const x = center.x + dx;
+      const z = center.z + dz;
+      const ray = new physicsWorld.RAPIER.Ray({ x, y: 50, z }, { x: 0, y: -1, z: 0 });
+      const hit = physicsWorld.world.castRay(ray, 100, true);
+      
+      // Cells are split into triangles rather than blended, so allow a little difference
+      assert.ok(hit, `no collider under (${x}, ${z})`);
+      assert.ok(Math.abs(50 - hit.toi - sampleHeightfield(heightfield, x, z)) < 0.1, `at (${x}, ${z})`);
+    }
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Character controller: grounding and jumping, in both controller modes.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHARACTER_MODES, CHARACTER_STATES } from '../src/character.js';
+import { PHYSICS_TIMESTEP } from '../src/physics.js';
+import { IDLE_INPUT, createTestWorld, createTestBox, createTestCharacter, stepCharacter, getFeetHeight } from './helpers.js';
+
+// Launch speed of a jump (JUMP_FORCE in character.js) and gravity
+const JUMP_SPEED = 10;
+const GRAVITY = 9.81;
+
+// Top of the test floor, well above the highest waves
+const FLOOR_TOP = 2.5;
+
+/**
+ * A world with a floor above the water and a character standing over it
+ * @param {string} mode - The controller mode
+ * @returns {Promise<Object>} The simulation
+ */
+async function createGroundedCharacter(mode) {
+  const physicsWorld = await createTestWorld();
+  createTestBox(physicsWorld, { x: 0, y: FLOOR_TOP - 0.5, z: 0 }, { width: 20, height: 1, depth: 20 }, { isStatic: true });
+  
+  // Dropped from half a metre above the floor
+  const simulation = createTestCharacter(physicsWorld, { x: 0, y: FLOOR_TOP + 2, z: 0 }, mode);
+  stepCharacter(simulation, IDLE_INPUT, 60);
+  return simulation;
+}
+
+/**
+ * Jump once and measure the highest point the feet reach
+ * @param {Object} simulation - A simulation with a grounded character
+ * @returns {Object} { height, wasAirborne }
+ */
+function measureJump(simulation) {
+  const { character } = simulation;
+  const start = getFeetHeight(character);
+  let highest = start;
+  let wasAirborne = false;
+  
+  stepCharacter(simulation, { ...IDLE_INPUT, jump: true }, 1);
+  stepCharacter(simulation, IDLE_INPUT, 180, () => {
+    highest = Math.max(highest, getFeetHeight(character));
+    wasAirborne = wasAirborne || character.state === CHARACTER_STATES.AIR;
+  });
+  
+  return { height: highest - start, wasAirborne };
+}
+
+for (const mode of Object.values(CHARACTER_MODES)) {
+  describe(`${mode} controller`, () => {
+    test('lands and stays grounded on a floor', async () => {
+      const { character } = await createGroundedCharacter(mode);
+      
+      assert.equal(character.isGrounded, true);
+      assert.equal(character.state, CHARACTER_STATES.GROUND);
+      assert.ok(Math.abs(getFeetHeight(character) - FLOOR_TOP) < 0.02, `feet at ${getFeetHeight(character)}`);
+    });
+    
+    test('lands again after a jump', async () => {
+      const simulation = await createGroundedCharacter(mode);
+      
+      const { wasAirborne } = measureJump(simulation);
+      
+      assert.equal(wasAirborne, true);
+      assert.equal(simulation.character.state, CHARACTER_STATES.GROUND);
+      assert.ok(Math.abs(getFeetHeight(simulation.character) - FLOOR_TOP) < 0.02);
+    });
+  });
+}
+
+test('kinematic jump reaches the ballistic height', async () => {
+  const simulation = await createGroundedCharacter(CHARACTER_MODES.KINEMATIC);
+  
+  const { height } = measureJump(simulation);
+  
+  // Gravity is integrated by hand after the launch step: v²/2g plus half a step of rise
+  const expected = JUMP_SPEED * JUMP_SPEED / (2 * GRAVITY) + JUMP_SPEED * PHYSICS_TIMESTEP / 2;
+  assert.ok(Math.abs(height - expected) < 0.05, `jumped ${height} m, expected ${expected} m`);
+});
+
+test('dynamic jump reaches the damped ballistic height', async () => {
+  const simulation = await createGroundedCharacter(CHARACTER_MODES.DYNAMIC);
+  const damping = simulation.character.rigidBody.linearDamping();
+  
+  const { height } = measureJump(simulation);
+  
+  // Highest point of a launch against gravity and linear damping c: v/c - g/c² ln(1 + cv/g)
+  const expected = JUMP_SPEED / damping - GRAVITY / (damping * damping) * Math.log(1 + damping * JUMP_SPEED / GRAVITY);
+  assert.ok(Math.abs(height - expected) / expected < 0.03, `jumped ${height} m, expected ${expected} m`);
+});
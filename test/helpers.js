@@ -0,0 +1,103 @@
+/**
+ * Shared setup for the headless tests: physics worlds, bodies and characters
+ * built and stepped under Node, without a renderer or a browser.
+ */
+
+import * as THREE from 'three';
+import { initPhysics, updatePhysics, createRigidBody, createCollider } from '../src/physics.js';
+import { createCharacter, placeCharacter, CHARACTER_MODES } from '../src/character.js';
+import { createEntityRegistry } from '../src/entities.js';
+import { stepSimulation } from '../src/simulation.js';
+
+// Input of a character left alone
+export const IDLE_INPUT = {
+  forward: 0,
+  backward: 0,
+  left: 0,
+  right: 0,
+  jump: false,
+  dive: false,
+  mouseX: 0,
+  mouseY: 0
+};
+
+// Camera passed to the character controller (it only copies the yaw into it)
+const camera = new THREE.PerspectiveCamera();
+
+/**
+ * Create a physics world with its water
+ * @param {Object} water - Overrides for the water settings (e.g. { waveHeight: 0 } for calm water)
+ * @returns {Promise<Object>} The physics world
+ */
+export async function createTestWorld(water = {}) {
+  const physicsWorld = await initPhysics();
+  Object.assign(physicsWorld.water.settings, water);
+  return physicsWorld;
+}
+
+/**
+ * Create a box body
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object} position - Center of the box
+ * @param {Object} size - { width, height, depth }
+ * @param {Object} options - { isStatic, density }
+ * @returns {Object} The rigid body
+ */
+export function createTestBox(physicsWorld, position, size, { isStatic = false, density = 1 } = {}) {
+  const rigidBody = createRigidBody(physicsWorld, position, isStatic);
+  const collider = createCollider(physicsWorld, rigidBody, 'box', size);
+  collider.setDensity(density);
+  return rigidBody;
+}
+
+/**
+ * Create a character (without its model) and the simulation stepping it
+ * @param {Object} physicsWorld - The physics world
+ * @param {Object} position - Where to place the character's body center
+ * @param {string} mode - The controller mode (one of CHARACTER_MODES)
+ * @returns {Object} The simulation ({ physicsWorld, character, entities })
+ */
+export function createTestCharacter(physicsWorld, position, mode = CHARACTER_MODES.KINEMATIC) {
+  const threeObjects = { scene: new THREE.Scene() };
+  const character = createCharacter(physicsWorld, threeObjects, undefined, mode, false);
+  placeCharacter(character, position);
+  
+  return { physicsWorld, character, entities: createEntityRegistry(physicsWorld, threeObjects) };
+}
+
+/**
+ * Step a physics world (water forces and world step)
+ * @param {Object} physicsWorld - The physics world
+ * @param {number} steps - Number of fixed steps
+ * @param {Function} afterStep - Optional callback after each step, given the step index
+ */
+export function stepWorld(physicsWorld, steps, afterStep) {
+  for (let i = 0; i < steps; i++) {
+    updatePhysics(physicsWorld);
+    if (afterStep) afterStep(i);
+  }
+}
+
+/**
+ * Step a character simulation with the same input every step
+ * @param {Object} simulation - The simulation (see createTestCharacter)
+ * @param {Object} input - The character input
+ * @param {number} steps - Number of fixed steps
+ * @param {Function} afterStep - Optional callback after each step, given the step index
+ */
+export function stepCharacter(simulation, input, steps, afterStep) {
+  for (let i = 0; i < steps; i++) {
+    stepSimulation(simulation, input, camera);
+    if (afterStep) afterStep(i);
+  }
+}
+
+/**
+ * Height of the bottom of the character's capsule
+ * @param {Object} character - The character controller
+ * @returns {number} World Y of the feet
+ */
+export function getFeetHeight(character) {
+  const { collider } = character;
+  return character.rigidBody.translation().y - collider.halfHeight() - collider.radius();
+}
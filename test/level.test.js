@@ -0,0 +1,62 @@
+/**
+ * Level files: the shipped levels pass validation, and mistakes in a level
+ * are reported with their path in the file.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateLevel, LEVEL_VERSION } from '../src/level.js';
+
+/**
+ * A level shipped in public/levels/
+ * @param {string} name - File name
+ * @returns {Object} The parsed level
+ */
+function readLevel(name) {
+  return JSON.parse(readFileSync(new URL(`../public/levels/${name}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * A small valid level with one entry of each kind
+ * @returns {Object} The level
+ */
+function createLevel() {
+  return {
+    version: LEVEL_VERSION,
+    spawnPoints: [{ name: 'start', position: [0, 2, 0] }],
+    islands: [{ position: [0, 0, 0], radius: 10, height: 2, vegetation: true }],
+    trees: [{ position: [2, 2, 0], height: 4, radius: 0.3 }],
+    floatingBodies: [{ shape: 'box', size: { width: 1, height: 1, depth: 1 }, position: [5, 1, 0] }],
+    platforms: [{ type: 'bob', shape: 'box', size: { width: 2, height: 0.3, depth: 2 }, position: [8, 0, 0] }]
+  };
+}
+
+describe('level validation', () => {
+  test('the shipped levels are valid', () => {
+    for (const name of ['default.json', 'archipelago.json']) {
+      assert.deepEqual(validateLevel(readLevel(name)), [], name);
+    }
+    assert.deepEqual(validateLevel(createLevel()), []);
+  });
+  
+  test('misspelled settings are reported, not ignored', () => {
+    const level = createLevel();
+    level.floatingbodies = level.floatingBodies;
+    delete level.floatingBodies;
+    level.islands[0].vegitation = level.islands[0].vegetation;
+    delete level.islands[0].vegetation;
+    
+    const errors = validateLevel(level);
+    assert.equal(errors.length, 2, errors.join('\n'));
+    assert.match(errors[0], /^floatingbodies: unknown setting \(expected one of .*floatingBodies/);
+    assert.match(errors[1], /^islands\[0\]\.vegitation: unknown setting \(expected one of .*vegetation/);
+  });
+  
+  test('a platform only takes the settings of its type', () => {
+    const level = createLevel();
+    level.platforms[0].waypoints = [[0, 0, 0], [1, 0, 0]];
+    
+    assert.deepEqual(validateLevel(level).map((error) => error.split(':')[0]), ['platforms[0].waypoints']);
+  });
+});
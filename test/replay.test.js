@@ -0,0 +1,108 @@
+/**
+ * Replays: a recorded run played back on a freshly built world ends in the
+ * same state, bit for bit. The stored replays in test/fixtures/ (also played
+ * by npm run replay) catch changes to the simulation: after an intended one,
+ * update their checksums with npm run replay -- --update.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import * as THREE from 'three';
+import { createSimulation, stepSimulation } from '../src/simulation.js';
+import { createRecording, recordStep, finishRecording, runReplay, computeChecksum, checkReplay } from '../src/replay.js';
+import { CHARACTER_MODES } from '../src/character.js';
+import { IDLE_INPUT } from './helpers.js';
+
+const LEVEL_URL = '/levels/default.json';
+
+/**
+ * Read a level from public/
+ * @param {string} levelUrl - The level URL
+ * @returns {Promise<Object>} The level
+ */
+async function readLevel(levelUrl) {
+  return JSON.parse(await readFile(new URL(`../public${levelUrl}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Build the default level without models, as the replay harness does
+ * @param {string} characterMode - The controller mode
+ * @returns {Promise<Object>} The simulation
+ */
+async function createDefaultLevel(characterMode) {
+  return createSimulation(await readLevel(LEVEL_URL), { scene: new THREE.Scene() }, { characterMode, seed: 7, loadModels: false });
+}
+
+/**
+ * Read a stored replay and build its starting world, as the replay harness does
+ * @param {string} name - File name in test/fixtures/
+ * @returns {Promise<Object>} { replay, simulation }
+ */
+async function loadFixture(name) {
+  const replay = checkReplay(JSON.parse(await readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')));
+  const simulation = await createSimulation(await readLevel(replay.level), { scene: new THREE.Scene() }, {
+    characterMode: replay.controller,
+    spawn: replay.spawn,
+    seed: replay.seed,
+    loadModels: false
+  });
+  return { replay, simulation };
+}
+
+/**
+ * Input for one step of a scripted run: walk, turn, jump now and then
+ * @param {number} step - The step index
+ * @returns {Object} The input
+ */
+function scriptedInput(step) {
+  return {
+    ...IDLE_INPUT,
+    forward: step < 300 ? 1 : 0,
+    left: step > 200 && step < 260 ? 1 : 0,
+    jump: step % 90 === 0,
+    mouseX: step % 50 === 0 ? 12 : 0
+  };
+}
+
+for (const mode of Object.values(CHARACTER_MODES)) {
+  test(`the stored ${mode} replay still ends in the world it was recorded in`, async () => {
+    const { replay, simulation } = await loadFixture(`replay-${mode}.json`);
+    assert.equal(replay.controller, mode);
+    assert.equal(runReplay(simulation, replay, new THREE.PerspectiveCamera()), replay.checksum);
+  });
+  
+  test(`a ${mode} recording played back in the same process matches it`, async () => {
+    const camera = new THREE.PerspectiveCamera();
+    const recorded = await createDefaultLevel(mode);
+    const recording = createRecording({ level: LEVEL_URL, controller: mode, seed: 7 });
+    
+    for (let step = 0; step < 400; step++) {
+      const input = scriptedInput(step);
+      recordStep(recording, input);
+      stepSimulation(recorded, input, camera);
+    }
+    const replay = finishRecording(recording, recorded);
+    
+    const replayed = await createDefaultLevel(mode);
+    assert.equal(runReplay(replayed, replay, camera), replay.checksum);
+  });
+}
+
+test('a replay recorded with model props is refused on a world without them', async () => {
+  const { replay, simulation } = await loadFixture('replay-kinematic.json');
+  
+  assert.throws(
+    () => runReplay(simulation, { ...replay, props: [0] }, new THREE.PerspectiveCamera()),
+    /recorded with model props \[0\]/
+  );
+});
+
+test('the checksum changes when the world does', async () => {
+  const simulation = await createDefaultLevel(CHARACTER_MODES.KINEMATIC);
+  const before = computeChecksum(simulation);
+  
+  stepSimulation(simulation, IDLE_INPUT, new THREE.PerspectiveCamera());
+  
+  assert.notEqual(computeChecksum(simulation), before);
+});
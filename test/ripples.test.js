@@ -0,0 +1,55 @@
+/**
+ * Ripple sources: what disturbs the water and leaves wakes and rings in the
+ * ripple field. The field itself runs on the GPU and isn't simulated here.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRigidBody, createCollider } from '../src/physics.js';
+import { collectRippleSources } from '../src/ripples.js';
+import { CHARACTER_STATES } from '../src/character.js';
+import { IDLE_INPUT, createTestWorld, createTestCharacter, stepWorld, stepCharacter } from './helpers.js';
+
+describe('ripple sources', () => {
+  test('a swimmer disturbs the water only while moving', async () => {
+    const physicsWorld = await createTestWorld({ waveHeight: 0 });
+    const simulation = createTestCharacter(physicsWorld, { x: 5, y: 0, z: 5 });
+    const { character } = simulation;
+    
+    stepCharacter(simulation, IDLE_INPUT, 600);
+    assert.equal(character.state, CHARACTER_STATES.SWIM);
+    assert.deepEqual(collectRippleSources(physicsWorld, character), []);
+    
+    stepCharacter(simulation, { ...IDLE_INPUT, forward: 1 }, 60);
+    const sources = collectRippleSources(physicsWorld, character);
+    const position = character.rigidBody.translation();
+    assert.equal(sources.length, 1);
+    assert.ok(Math.hypot(sources[0].x - position.x, sources[0].z - position.z) < 1e-6, 'not at the swimmer');
+    assert.ok(sources[0].push > 0);
+  });
+  
+  test('a dropped ball disturbs the water when it hits it, not on the way down', async () => {
+    const physicsWorld = await createTestWorld({ waveHeight: 0 });
+    const ball = createRigidBody(physicsWorld, { x: -4, y: 6, z: 2 });
+    createCollider(physicsWorld, ball, 'sphere', { radius: 0.4 });
+    
+    // Falling through the air
+    stepWorld(physicsWorld, 30);
+    assert.ok(ball.translation().y > 1 && ball.linvel().y < -1);
+    assert.deepEqual(collectRippleSources(physicsWorld, null), []);
+    
+    // Hitting the water: the faster it falls, the harder it pushes
+    let splash = null;
+    stepWorld(physicsWorld, 60, () => {
+      const sources = collectRippleSources(physicsWorld, null);
+      if (!splash && sources.length > 0) splash = sources[0];
+    });
+    assert.ok(splash, 'the ball never disturbed the water');
+    assert.ok(Math.abs(splash.x + 4) < 0.1 && Math.abs(splash.z - 2) < 0.1);
+    assert.ok(Math.abs(splash.radius - 0.4) < 1e-6, 'footprint is not the size of the ball');
+    
+    // Floating still on calm water, once it has bobbed back up from the plunge
+    stepWorld(physicsWorld, 2400);
+    assert.deepEqual(collectRippleSources(physicsWorld, null), []);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Particles and splashes: the particle pool and its emitters, and the
+ * droplets thrown up where bodies and the character cross the water. The
+ * particles are only simulated here; drawing them needs a GPU.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createParticleSystem, createEmitter, emitBurst, emitContinuous, updateParticles } from '../src/particles.js';
+import { createSplashes, updateSplashes } from '../src/splashes.js';
+import { createRigidBody, createCollider, PHYSICS_TIMESTEP } from '../src/physics.js';
+import { createRandom } from '../src/random.js';
+import { CHARACTER_STATES } from '../src/character.js';
+import { IDLE_INPUT, createTestWorld, createTestCharacter, stepWorld, stepCharacter } from './helpers.js';
+
+/**
+ * A particle system in a scene of its own
+ * @param {number} capacity - Pool size
+ * @returns {Object} The particle system
+ */
+function createTestParticles(capacity) {
+  return createParticleSystem(new THREE.Scene(), { capacity });
+}
+
+/**
+ * Drop a ball into calm water and count the droplets it throws up
+ * @param {number} height - Height the ball is dropped from
+ * @param {number} radius - Ball radius
+ * @returns {Promise<number>} The droplets
+ */
+async function dropBall(height, radius) {
+  const physicsWorld = await createTestWorld({ waveHeight: 0 });
+  const particles = createTestParticles(4096);
+  const splashes = createSplashes(particles);
+  const ball = createRigidBody(physicsWorld, { x: 0, y: height, z: 0 });
+  createCollider(physicsWorld, ball, 'sphere', { radius });
+  
+  let droplets = 0;
+  stepWorld(physicsWorld, 240, () => {
+    const before = particles.count;
+    updateSplashes(splashes, physicsWorld, null, PHYSICS_TIMESTEP);
+    droplets += particles.count - before;
+  });
+  return droplets;
+}
+
+describe('particles', () => {
+  test('a burst flies, falls and is gone when its life is over', () => {
+    const particles = createTestParticles(64);
+    const emitter = createEmitter(particles, { speed: [2, 2], spread: 0, life: [1, 1], random: createRandom(1) });
+    
+    assert.equal(emitBurst(emitter, new THREE.Vector3(0, 1, 0), 10), 10);
+    updateParticles(particles, 0.1);
+    assert.equal(particles.mesh.count, 10);
+    assert.ok(Math.abs(particles.positions[1] - (1 + 0.1 * (2 - 9.81 * 0.1))) < 1e-5, 'not launched straight up');
+    
+    updateParticles(particles, 1);
+    assert.equal(particles.count, 0);
+    assert.equal(particles.mesh.count, 0);
+  });
+  
+  test('the pool never grows, and fallen particles free their places', () => {
+    const particles = createTestParticles(16);
+    const emitter = createEmitter(particles, { speed: [0, 0], life: [10, 10], random: createRandom(2) });
+    
+    assert.equal(emitBurst(emitter, new THREE.Vector3(0, 1, 0), 12, { floor: 0 }), 12);
+    assert.equal(emitBurst(emitter, new THREE.Vector3(0, 1, 0), 12), 4);
+    
+    // The first ones fall through their floor; the others move up into their places
+    updateParticles(particles, 0.5);
+    assert.equal(particles.count, 4);
+    assert.ok(Array.from(particles.floors.subarray(0, 4)).every((floor) => floor === -Infinity));
+    assert.equal(emitBurst(emitter, new THREE.Vector3(), 20), 12);
+  });
+  
+  test('a steady emitter keeps up its rate across frames', () => {
+    const particles = createTestParticles(256);
+    const emitter = createEmitter(particles, { life: [10, 10], random: createRandom(3) });
+    
+    for (let frame = 0; frame < 60; frame++) {
+      emitContinuous(emitter, new THREE.Vector3(), 45, 1 / 60);
+    }
+    assert.ok(Math.abs(particles.count - 45) <= 1, `${particles.count} particles`);
+  });
+});
+
+describe('splashes', () => {
+  test('a falling ball splashes, bigger the faster and heavier it hits', async () => {
+    const small = await dropBall(3, 0.3);
+    const fast = await dropBall(8, 0.3);
+    const heavy = await dropBall(3, 0.8);
+    
+    assert.ok(small > 0, 'no splash');
+    assert.ok(fast > small, `dropped from higher: ${fast} vs ${small}`);
+    assert.ok(heavy > small, `heavier: ${heavy} vs ${small}`);
+    
+    // Set down gently, it slips in
+    assert.equal(await dropBall(0.05, 0.3), 0);
+  });
+  
+  test('a swimmer sprays when swimming fast and drips after climbing out', async () => {
+    const physicsWorld = await createTestWorld({ waveHeight: 0 });
+    const particles = createTestParticles(4096);
+    const splashes = createSplashes(particles);
+    const simulation = createTestCharacter(physicsWorld, { x: 5, y: 0, z: 5 });
+    const { character } = simulation;
+    const update = () => updateSplashes(splashes, physicsWorld, character, PHYSICS_TIMESTEP);
+    
+    // Floating still
+    stepCharacter(simulation, IDLE_INPUT, 300, update);
+    assert.equal(character.state, CHARACTER_STATES.SWIM);
+    const idle = particles.count;
+    stepCharacter(simulation, IDLE_INPUT, 60, update);
+    assert.equal(particles.count, idle);
+    
+    // Swimming at full speed
+    stepCharacter(simulation, { ...IDLE_INPUT, forward: 1 }, 120, update);
+    assert.ok(particles.count > idle, 'no spray');
+    
+    // Lifted out of the water, it drips
+    character.rigidBody.setTranslation({ x: 5, y: 3, z: 5 }, true);
+    update();
+    assert.ok(splashes.dripTime > 0, 'not dripping');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Terrain islands of a level: heightfields built from the level's islands,
+ * plants and spawn points on the ground, the shoreline map for the water
+ * shader, and beaches the character can walk out of the water onto.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createLevelIslands } from '../src/archipelago.js';
+import { createRandom } from '../src/random.js';
+import { sampleHeightfield, createTerrainIsland, createShorelineMap } from '../src/terrain.js';
+import { CHARACTER_MODES, CHARACTER_STATES } from '../src/character.js';
+import { createEntityRegistry } from '../src/entities.js';
+import { IDLE_INPUT, createTestWorld, createTestCharacter, stepCharacter, getFeetHeight } from './helpers.js';
+
+const ISLAND = { position: [0, 0, 0], radius: 8, height: 2, vegetation: true };
+
+const LEVEL = {
+  version: 2,
+  spawnPoints: [{ name: 'start', position: [0, 0, 0] }],
+  islands: [ISLAND],
+  trees: [{ position: [1, 5, 1], height: 3, radius: 0.4 }, { position: [40, 0.5, 0], height: 3, radius: 0.4 }]
+};
+
+/**
+ * Build the terrain of the test level
+ * @param {Object} level - The level
+ * @param {Map<string, Object>} heightmaps - Heightmap images by URL
+ * @returns {Object} The level with its islands built
+ */
+function build(level = LEVEL, heightmaps) {
+  return createLevelIslands(level, createRandom(3), heightmaps);
+}
+
+describe('level islands', () => {
+  test('every island becomes a heightfield rising out of the water', () => {
+    const world = build();
+    assert.equal(world.terrainIslands.length, 1);
+    
+    const island = world.terrainIslands[0];
+    assert.ok(sampleHeightfield(island, 0, 0) > 0, 'island center is under water');
+    assert.ok(sampleHeightfield(island, 0, island.size / 2 - 0.1) < -1, 'heightfield edge is above the seabed');
+    assert.ok(world.flowers.length > 0, 'no flowers on an island with vegetation');
+  });
+  
+  test('a heightmap shapes the hills', () => {
+    // Left half black, right half white
+    const values = new Float32Array(16 * 16).map((value, index) => (index % 16 < 8 ? 0 : 1));
+    const heightmaps = new Map([['/hill.png', { width: 16, height: 16, values }]]);
+    const island = build({ ...LEVEL, islands: [{ ...ISLAND, heightmap: '/hill.png' }] }, heightmaps).terrainIslands[0];
+    
+    assert.ok(Math.abs(sampleHeightfield(island, -2, 0) - island.beachHeight) < 0.01, 'black is not the top of the beach');
+    assert.ok(sampleHeightfield(island, 2, 0) > island.beachHeight + 0.5, 'white is not a hill');
+  });
+  
+  test('trees over an island stand on its ground, others stay put', () => {
+    const world = build();
+    const [onIsland, atSea] = world.trees;
+    
+    assert.equal(onIsland.position[1], sampleHeightfield(world.terrainIslands[0], 1, 1));
+    assert.deepEqual(atSea.position, [40, 0.5, 0]);
+  });
+  
+  test('spawn points inside an island are lifted above it', () => {
+    const world = build();
+    assert.ok(world.spawnPoints[0].position[1] > sampleHeightfield(world.terrainIslands[0], 0, 0) + 1);
+  });
+  
+  test('the shoreline map holds the terrain height around the islands', () => {
+    const world = build();
+    const island = world.terrainIslands[0];
+    const { texture, bounds, range } = createShorelineMap(world.terrainIslands);
+    const { data, width, height } = texture.image;
+    
+    // Texel under (x, z) decodes to the terrain height there
+    for (const [x, z] of [[0, 0], [7, 3], [-9, -4], [0, 12]]) {
+      const i = Math.floor((x - bounds.x) / bounds.z * width);
+      const j = Math.floor((z - bounds.y) / bounds.w * height);
+      const terrain = THREE.MathUtils.clamp(sampleHeightfield(island, x, z), -range, range);
+      const decoded = (data[j * width + i] / 255 * 2 - 1) * range;
+      assert.ok(Math.abs(decoded - terrain) < 0.3, `at (${x}, ${z}): ${decoded} vs ${terrain}`);
+    }
+    
+    assert.equal(createShorelineMap([]), null);
+  });
+  
+  for (const mode of Object.values(CHARACTER_MODES)) {
+    test(`${mode} character walks out of the water onto the beach`, async () => {
+      const physicsWorld = await createTestWorld({ waveHeight: 0 });
+      const island = build().terrainIslands[0];
+      createTerrainIsland(physicsWorld, createEntityRegistry(physicsWorld, { scene: new THREE.Scene() }), island);
+      
+      // In the water beyond the beach, walking toward the island center
+      const simulation = createTestCharacter(physicsWorld, { x: 0, y: 0, z: ISLAND.radius + 4 }, mode);
+      stepCharacter(simulation, IDLE_INPUT, 60);
+      assert.equal(simulation.character.state, CHARACTER_STATES.SWIM);
+      
+      // Two and a half seconds later it is walking on the sand
+      stepCharacter(simulation, { ...IDLE_INPUT, forward: 1 }, 150);
+      
+      const { character } = simulation;
+      const position = character.rigidBody.translation();
+      assert.equal(character.state, CHARACTER_STATES.GROUND);
+      assert.ok(position.z < ISLAND.radius - 2, `stopped at z = ${position.z}`);
+      assert.ok(getFeetHeight(character) > 0, 'still in the water');
+    });
+  }
+});
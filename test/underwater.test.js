@@ -0,0 +1,69 @@
+/**
+ * Underwater rendering: where the camera is relative to the sampled water
+ * surface, and the caustics added to the terrain materials. The rendering
+ * itself needs a GPU and isn't tested here.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getCameraWaterState, addCaustics, CAMERA_WATER_STATES } from '../src/underwater.js';
+import { getWaterSurfaceHeight } from '../src/physics.js';
+import { createTestWorld } from './helpers.js';
+
+/**
+ * A camera like the game's, looking along the horizon
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} z - Z coordinate
+ * @returns {THREE.PerspectiveCamera} The camera
+ */
+function createCamera(x, y, z) {
+  const camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000);
+  camera.position.set(x, y, z);
+  camera.lookAt(x + 1, y, z);
+  return camera;
+}
+
+describe('underwater camera', () => {
+  test('the near plane is compared with the waves, not the still water level', async () => {
+    const physicsWorld = await createTestWorld({
+      waveHeight: 0.5,
+      waveFrequency: 0.5,
+      waveSpeed: 1,
+      waveDirection: new THREE.Vector2(1, 0)
+    });
+    const time = 1.5;
+    
+    assert.equal(getCameraWaterState(createCamera(0, 5, 0), physicsWorld, time), CAMERA_WATER_STATES.ABOVE);
+    assert.equal(getCameraWaterState(createCamera(0, -3, 0), physicsWorld, time), CAMERA_WATER_STATES.BELOW);
+    
+    // Level with the surface wherever the waves happen to be
+    for (const x of [0, 2.5, 6]) {
+      const surface = getWaterSurfaceHeight(physicsWorld, x, 0, time);
+      assert.equal(getCameraWaterState(createCamera(x, surface, 0), physicsWorld, time), CAMERA_WATER_STATES.WATERLINE);
+      assert.equal(getCameraWaterState(createCamera(x, surface + 0.2, 0), physicsWorld, time), CAMERA_WATER_STATES.ABOVE);
+      assert.equal(getCameraWaterState(createCamera(x, surface - 0.2, 0), physicsWorld, time), CAMERA_WATER_STATES.BELOW);
+    }
+  });
+  
+  test('caustics are patched into the standard shaders', () => {
+    const material = addCaustics(new THREE.MeshStandardMaterial());
+    const shader = {
+      uniforms: THREE.UniformsUtils.clone(THREE.ShaderLib.standard.uniforms),
+      vertexShader: THREE.ShaderLib.standard.vertexShader,
+      fragmentShader: THREE.ShaderLib.standard.fragmentShader
+    };
+    material.onBeforeCompile(shader);
+    
+    // Every chunk it hooks into was found
+    assert.match(shader.vertexShader, /vCausticsPosition = /);
+    assert.match(shader.fragmentShader, /float getCaustics\(\)/);
+    assert.match(shader.fragmentShader, /outgoingLight \+= diffuseColor\.rgb \* getCaustics\(\);\s*#include <opaque_fragment>/);
+    
+    // One clock for all of them
+    const other = { uniforms: {}, vertexShader: '', fragmentShader: '' };
+    addCaustics(new THREE.MeshStandardMaterial()).onBeforeCompile(other);
+    assert.equal(shader.uniforms.causticsTime, other.uniforms.causticsTime);
+  });
+});
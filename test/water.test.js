@@ -0,0 +1,157 @@
+/**
+ * Water physics: buoyancy, drag and the wave surface the bodies and the
+ * character sample.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWaterSurfaceHeight, WATER_LEVEL } from '../src/physics.js';
+import { CHARACTER_STATES } from '../src/character.js';
+import { IDLE_INPUT, createTestWorld, createTestBox, createTestCharacter, stepWorld, stepCharacter } from './helpers.js';
+
+const GRAVITY = 9.81;
+
+// Depth of a floating swimmer's body center (SWIM_FLOAT_DEPTH in character.js)
+const SWIM_FLOAT_DEPTH = 1.0;
+
+/**
+ * Average of a body's height over the last part of a run, once it has settled
+ * (floating bodies keep bobbing slightly)
+ * @param {Object} physicsWorld - The physics world
+ * @param {Function} sample - Returns the value to average after a step
+ * @param {number} settleSteps - Steps before averaging starts
+ * @param {number} averageSteps - Steps averaged
+ * @returns {number} The average
+ */
+function settleAndAverage(physicsWorld, sample, settleSteps, averageSteps) {
+  let sum = 0;
+  stepWorld(physicsWorld, settleSteps + averageSteps, (step) => {
+    if (step >= settleSteps) sum += sample();
+  });
+  return sum / averageSteps;
+}
+
+describe('buoyancy', () => {
+  for (const density of [0.3, 0.5, 0.9]) {
+    test(`a box of density ${density} floats at its equilibrium depth`, async () => {
+      const physicsWorld = await createTestWorld({ waveHeight: 0 });
+      const { density: waterDensity, buoyancyMultiplier } = physicsWorld.water.settings;
+      const box = createTestBox(physicsWorld, { x: 0, y: 1, z: 0 }, { width: 1, height: 1, depth: 1 }, { density });
+      
+      const centerY = settleAndAverage(physicsWorld, () => box.translation().y, 1200, 600);
+      
+      // Weight balances buoyancy when this fraction of the box is under water
+      const submergedFraction = density / (waterDensity * buoyancyMultiplier);
+      const expected = WATER_LEVEL + 0.5 - submergedFraction;
+      assert.ok(Math.abs(centerY - expected) < 0.01, `center at ${centerY}, expected ${expected}`);
+    });
+  }
+  
+  test('a box floating on waves rides the sampled surface', async () => {
+    const physicsWorld = await createTestWorld();
+    const { density: waterDensity, buoyancyMultiplier } = physicsWorld.water.settings;
+    const box = createTestBox(physicsWorld, { x: 3, y: 1, z: 0 }, { width: 0.5, height: 0.5, depth: 0.5 }, { density: 0.5 });
+    
+    // Height above the surface right under the box, which moves with the waves
+    const offset = settleAndAverage(physicsWorld, () => {
+      const position = box.translation();
+      return position.y - getWaterSurfaceHeight(physicsWorld, position.x, position.z);
+    }, 600, 1200);
+    
+    const expected = 0.25 - 0.5 * 0.5 / (waterDensity * buoyancyMultiplier);
+    assert.ok(Math.abs(offset - expected) < 0.01, `${offset} m above the surface, expected ${expected} m`);
+  });
+});
+
+describe('drag', () => {
+  test('a sinking box reaches its terminal velocity', async () => {
+    const physicsWorld = await createTestWorld({ waveHeight: 0 });
+    const { density: waterDensity, buoyancyMultiplier, linearDrag, quadraticDrag } = physicsWorld.water.settings;
+    const density = 2;
+    
+    // Away from the ground collider, so it sinks freely
+    const box = createTestBox(physicsWorld, { x: 200, y: -2, z: 0 }, { width: 1, height: 1, depth: 1 }, { density });
+    stepWorld(physicsWorld, 900);
+    
+    // Weight minus buoyancy = (linearDrag v + quadraticDrag v²) ρ V, solved for v
+    const netForce = (density - waterDensity * buoyancyMultiplier) * GRAVITY / waterDensity;
+    const expected = (-linearDrag + Math.sqrt(linearDrag * linearDrag + 4 * quadraticDrag * netForce)) / (2 * quadraticDrag);
+    const speed = -box.linvel().y;
+    assert.ok(Math.abs(speed - expected) / expected < 0.01, `sinking at ${speed} m/s, expected ${expected} m/s`);
+  });
+  
+  test('drag slows a body moving through the water', async () => {
+    const physicsWorld = await createTestWorld({ waveHeight: 0 });
+    const box = createTestBox(physicsWorld, { x: 0, y: -3, z: 0 }, { width: 1, height: 1, depth: 1 }, { density: 1.2 });
+    box.setLinvel({ x: 5, y: 0, z: 0 }, true);
+    
+    let previousSpeed = 5;
+    stepWorld(physicsWorld, 120, () => {
+      const speed = box.linvel().x;
+      assert.ok(speed < previousSpeed && speed > 0, `speed went from ${previousSpeed} to ${speed}`);
+      previousSpeed = speed;
+    });
+  });
+});
+
+describe('wave height sampling', () => {
+  test('the surface height is the water level plus the wave height', async () => {
+    const physicsWorld = await createTestWorld();
+    
+    for (const [x, z, time] of [[0, 0, 0], [3.5, -2, 1.25], [-10, 7, 40]]) {
+      assert.equal(
+        getWaterSurfaceHeight(physicsWorld, x, z, time),
+        WATER_LEVEL + physicsWorld.water.getWaterHeight(x, z, time)
+      );
+    }
+  });
+  
+  test('waves stay within the combined amplitude of their components', async () => {
+    const physicsWorld = await createTestWorld({ waveHeight: 0.4 });
+    
+    // Primary wave plus the 0.3 and 0.15 scaled secondary and tertiary waves
+    const limit = 0.4 * (1 + 0.3 + 0.15);
+    let highest = -Infinity;
+    for (let x = -20; x <= 20; x += 0.7) {
+      for (let z = -20; z <= 20; z += 0.7) {
+        const height = physicsWorld.water.getWaterHeight(x, z, x * z);
+        assert.ok(Math.abs(height) <= limit + 1e-9, `wave height ${height} at (${x}, ${z})`);
+        highest = Math.max(highest, height);
+      }
+    }
+    assert.ok(highest > 0.4, 'waves never rose above the primary amplitude');
+  });
+  
+  test('the surface moves over time and is flat without waves', async () => {
+    const physicsWorld = await createTestWorld();
+    assert.notEqual(getWaterSurfaceHeight(physicsWorld, 2, 3, 0), getWaterSurfaceHeight(physicsWorld, 2, 3, 0.5));
+    
+    // The current simulation time is used by default
+    stepWorld(physicsWorld, 30);
+    assert.equal(getWaterSurfaceHeight(physicsWorld, 2, 3), getWaterSurfaceHeight(physicsWorld, 2, 3, physicsWorld.time));
+    
+    physicsWorld.water.settings.waveHeight = 0;
+    assert.equal(getWaterSurfaceHeight(physicsWorld, 2, 3), WATER_LEVEL);
+  });
+  
+  test('a swimming character floats at a fixed depth below the waves', async () => {
+    const physicsWorld = await createTestWorld();
+    const simulation = createTestCharacter(physicsWorld, { x: 5, y: 0, z: 5 });
+    const { character } = simulation;
+    
+    let sum = 0;
+    let largestError = 0;
+    stepCharacter(simulation, IDLE_INPUT, 1200, (step) => {
+      if (step < 600) return;
+      
+      const position = character.rigidBody.translation();
+      const depth = getWaterSurfaceHeight(physicsWorld, position.x, position.z) - position.y;
+      sum += depth;
+      largestError = Math.max(largestError, Math.abs(depth - SWIM_FLOAT_DEPTH));
+    });
+    
+    assert.equal(character.state, CHARACTER_STATES.SWIM);
+    assert.ok(Math.abs(sum / 600 - SWIM_FLOAT_DEPTH) < 0.05, `average depth ${sum / 600} m`);
+    assert.ok(largestError < 0.15, `depth strayed ${largestError} m from the float depth`);
+  });
+});
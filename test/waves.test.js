@@ -0,0 +1,157 @@
+/**
+ * Gerstner waves: the wave set shared by the water shaders and the physics,
+ * and the CPU sampler that finds the surface over a point.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createWaveSet, sampleWaves, getWaveHeight, createWaveUniforms, setWaveUniforms } from '../src/waves.js';
+import { getWaterSurface, getWaterSurfaceHeight, WATER_LEVEL } from '../src/physics.js';
+import { validateLevel, LEVEL_VERSION } from '../src/level.js';
+import { createTestWorld } from './helpers.js';
+
+const SETTINGS = {
+  waveHeight: 0.3,
+  waveFrequency: 0.6,
+  waveSpeed: 1.2,
+  waveDirection: new THREE.Vector2(1, 1).normalize()
+};
+
+const POINTS = [[0, 0, 0], [3.5, -2, 1.25], [-10, 7, 40], [21, 13, 7.5]];
+
+/**
+ * Where the water resting at a point is moved by the waves (the same sum the
+ * shader applies to the vertices of the water mesh)
+ * @param {Array<Object>} waves - The wave set
+ * @param {number} x - Rest X coordinate
+ * @param {number} z - Rest Z coordinate
+ * @param {number} time - Water time in seconds
+ * @returns {THREE.Vector3} The displaced position
+ */
+function displace(waves, x, z, time) {
+  const position = new THREE.Vector3(x, 0, z);
+  for (const { direction, steepness, wavelength, speed } of waves) {
+    const k = 2 * Math.PI / wavelength;
+    const amplitude = steepness / k;
+    const phase = k * (direction.x * x + direction.y * z - speed * time);
+    position.x += direction.x * amplitude * Math.cos(phase);
+    position.y += amplitude * Math.sin(phase);
+    position.z += direction.y * amplitude * Math.cos(phase);
+  }
+  return position;
+}
+
+/**
+ * A level with only the water settings under test
+ * @param {Object} water - The water section
+ * @returns {Object} The level
+ */
+function levelWithWater(water) {
+  return { version: LEVEL_VERSION, spawnPoints: [{ name: 'start', position: [0, 2, 0] }], water };
+}
+
+describe('Gerstner wave sampling', () => {
+  test('the simple settings give a main wave and two smaller ones', () => {
+    const waves = createWaveSet(SETTINGS);
+    
+    assert.equal(waves.length, 3);
+    assert.ok(waves[0].direction.equals(SETTINGS.waveDirection));
+    assert.ok(Math.abs(waves[0].steepness - 0.3 * 0.6) < 1e-12);
+    assert.ok(Math.abs(waves[0].wavelength - 2 * Math.PI / 0.6) < 1e-12);
+    assert.deepEqual(createWaveSet({ ...SETTINGS, waveHeight: 0 }), []);
+    
+    // Too steep to hold together: flattened until the crests just meet
+    const steep = createWaveSet({ ...SETTINGS, waveHeight: 1, waveFrequency: 2 });
+    assert.ok(Math.abs(steep.reduce((sum, wave) => sum + wave.steepness, 0) - 1) < 1e-12);
+  });
+  
+  test('the sampled height is that of the displaced surface over the point', () => {
+    const waves = createWaveSet(SETTINGS);
+    
+    for (const [x, z, time] of POINTS) {
+      const sample = sampleWaves(waves, x, z, time);
+      
+      // The water the sample found, moved by the waves, lands on the sampled point
+      const landed = displace(waves, x - sample.displacement.x, z - sample.displacement.y, time);
+      assert.ok(Math.hypot(landed.x - x, landed.z - z) < 1e-3, `landed ${landed.x - x}, ${landed.z - z} off at (${x}, ${z})`);
+      assert.ok(Math.abs(landed.y - sample.height) < 1e-3, `height ${sample.height} vs ${landed.y} at (${x}, ${z})`);
+      assert.equal(getWaveHeight(waves, x, z, time), sample.height);
+    }
+  });
+  
+  test('the sampled normal matches the slope of the surface', () => {
+    const waves = createWaveSet(SETTINGS);
+    const e = 0.01;
+    
+    for (const [x, z, time] of POINTS) {
+      const { normal } = sampleWaves(waves, x, z, time);
+      const height = (sampleX, sampleZ) => getWaveHeight(waves, sampleX, sampleZ, time);
+      const slope = new THREE.Vector3(
+        height(x - e, z) - height(x + e, z),
+        2 * e,
+        height(x, z - e) - height(x, z + e)
+      ).normalize();
+      
+      assert.ok(Math.abs(normal.length() - 1) < 1e-9);
+      assert.ok(normal.angleTo(slope) < 0.01, `normal off by ${normal.angleTo(slope)} rad at (${x}, ${z})`);
+    }
+  });
+  
+  test('the shader uniforms carry the same waves', () => {
+    const waves = createWaveSet(SETTINGS);
+    const uniforms = createWaveUniforms();
+    setWaveUniforms(uniforms, waves);
+    
+    assert.equal(uniforms.waveCount.value, waves.length);
+    waves.forEach((wave, i) => {
+      assert.deepEqual(uniforms.waves.value[i].toArray(), [wave.direction.x, wave.direction.y, wave.steepness, wave.wavelength]);
+      assert.equal(uniforms.waveSpeeds.value[i], wave.speed);
+    });
+  });
+});
+
+describe('water surface', () => {
+  test('the physics samples its wave set, which follows the settings', async () => {
+    const physicsWorld = await createTestWorld(SETTINGS);
+    const surface = getWaterSurface(physicsWorld, 3, -4, 2);
+    
+    assert.equal(surface.height, WATER_LEVEL + getWaveHeight(createWaveSet(SETTINGS), 3, -4, 2));
+    assert.equal(surface.height, getWaterSurfaceHeight(physicsWorld, 3, -4, 2));
+    
+    // Changed settings (e.g. from the GUI) rebuild the set
+    physicsWorld.water.settings.waveHeight = 0;
+    assert.deepEqual(physicsWorld.water.getWaves(), []);
+    assert.equal(getWaterSurface(physicsWorld, 3, -4, 2).normal.y, 1);
+  });
+  
+  test('a level may list its own waves', async () => {
+    const waves = [
+      { direction: [1, 0], steepness: 0.2, wavelength: 12, speed: 4 },
+      { direction: [0, 1], steepness: 0.1, wavelength: 5, speed: 2.5 }
+    ];
+    assert.deepEqual(validateLevel(levelWithWater({ waves })), []);
+    
+    const physicsWorld = await createTestWorld({
+      waves: waves.map((wave) => ({ ...wave, direction: new THREE.Vector2(...wave.direction) }))
+    });
+    assert.equal(physicsWorld.water.getWaves().length, 2);
+    assert.equal(getWaterSurfaceHeight(physicsWorld, 1, 2, 3), WATER_LEVEL + getWaveHeight(physicsWorld.water.settings.waves, 1, 2, 3));
+  });
+  
+  test('invalid waves are reported with their path', () => {
+    const tooSteep = [
+      { direction: [1, 0], steepness: 0.7, wavelength: 10, speed: 1 },
+      { direction: [0, 0], steepness: 0.6, wavelength: 0, speed: 1, height: 2 }
+    ];
+    
+    const errors = validateLevel(levelWithWater({ waves: tooSteep })).join('\n');
+    assert.match(errors, /water\.waves\[1\]\.direction: expected a non-zero direction/);
+    assert.match(errors, /water\.waves\[1\]\.wavelength/);
+    assert.match(errors, /water\.waves\[1\]\.height: unknown setting/);
+    assert.match(errors, /water\.waves: expected steepnesses adding up to at most 1/);
+    assert.deepEqual(validateLevel(levelWithWater({ waves: new Array(9).fill(tooSteep[0]).map((wave) => ({ ...wave, steepness: 0.1 })) })), [
+      'water.waves: expected at most 8 waves, got 9'
+    ]);
+  });
+});